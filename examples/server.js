@@ -1,93 +1,30 @@
 const express = require('express');
-const http = require('http');
-const { DockerManager, K8sManager, ProcessManager, WorkerManager } = require('../lib');
+const { DockerManager, K8sManager, ProcessManager, WorkerManager, createPoolProxy } = require('../lib');
 const greet = require('./scripts/greet');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize managers
-const dockerManager = new DockerManager();
-const k8sManager = new K8sManager();
-const processManager = new ProcessManager();
-const workerManager = new WorkerManager();
+// Initialize managers, only handing out instances once their express server answers.
+// How long to keep probing is sized per backend, long enough for pods to run npm install.
+const readiness = { type: 'http', path: '/' };
+const dockerManager = new DockerManager({ readiness });
+const k8sManager = new K8sManager({ readiness });
+const processManager = new ProcessManager({ readiness });
+const workerManager = new WorkerManager({ readiness });
+
+const scriptDir = `${__dirname}/scripts`;
+const scriptFiles = ['index.js', 'greet.js'];
 
 app.get('/', (req, res) => {
     res.send(greet('World'));
 });
 
-app.get('/docker', async (req, res) => {
-    try {
-        const scriptFiles = ['index.js', 'greet.js'];
-        const { name: containerName, port } = await dockerManager.getOrCreateContainerInPool(`${__dirname}/scripts`, scriptFiles);
-        http.get(`http://localhost:${port}/`, (response) => {
-            let data = '';
-            response.on('data', chunk => data += chunk);
-            response.on('end', async () => {
-                res.json({ containerResponse: data, port, containerName });
-            });
-        }).on('error', async (err) => {
-            res.status(500).json({ error: err.message });
-        });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
-
-app.get('/process', async (req, res) => {
-    try {
-        let processs = await processManager.getOrCreateProcessInPool(`${__dirname}/scripts/index.js`);
-        const { port, name: processName } = processs;
-        http.get(`http://localhost:${port}/`, (response) => {
-            let data = '';
-            response.on('data', chunk => data += chunk);
-            response.on('end', () => {
-                res.json({childResponse: data, processName, port });
-            });
-        }).on('error', (err) => {
-            res.status(500).json({ error: err.message });
-        });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
-
-app.get('/worker', async (req, res) => {
-    try {
-        let worker = await workerManager.getOrCreateWorkerInPool(`${__dirname}/scripts/index.js`);
-        const { port, name: workerName } = worker;
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        http.get(`http://localhost:${port}/`, (response) => {
-            let data = '';
-            response.on('data', chunk => data += chunk);
-            response.on('end', () => {
-                res.json({ workerResponse: data, workerName, port });
-            });
-        }).on('error', (err) => {
-            res.status(500).json({ error: err.message });
-        });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
-
-app.get('/k8s', async (req, res) => {
-    try {
-        const scriptFiles = ['index.js', 'greet.js'];
-        const { name: podName, port } = await k8sManager.getOrCreatePodInPool(`${__dirname}/scripts`, scriptFiles);
-        http.get(`http://localhost:${port}/`, (response) => {
-            let data = '';
-            response.on('data', chunk => data += chunk);
-            response.on('end', async () => {
-                res.json({ podResponse: data, port, podName });
-            });
-        }).on('error', async (err) => {
-            res.status(500).json({ error: err.message });
-        });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
+// Each route forwards the request, below its prefix, to a pooled instance running scripts/index.js
+app.use('/docker', createPoolProxy(dockerManager, { scriptPath: scriptDir, files: scriptFiles }));
+app.use('/k8s', createPoolProxy(k8sManager, { scriptPath: scriptDir, files: scriptFiles }));
+app.use('/process', createPoolProxy(processManager, { scriptPath: `${scriptDir}/index.js` }));
+app.use('/worker', createPoolProxy(workerManager, { scriptPath: `${scriptDir}/index.js` }));
 
 app.listen(PORT, () => {
     console.log(`Example server running on http://localhost:${PORT}`);
@@ -0,0 +1,88 @@
+// Autoscaling policies decide how many instances each function should run.
+// evaluate(metrics, state) is called once per function every autoscale interval with
+// metrics = { key, current, inFlight, waiting, latencyMs, minPoolSize, maxPoolSize, now }, where
+// current counts ready and starting instances, inFlight the leased ones, waiting the queued acquire()
+// callers and latencyMs the average invoke() latency since the last evaluation (null without traffic).
+// state is a per-function object the policy may keep history in. The returned size is clamped
+// to minPoolSize..maxPoolSize by the manager.
+
+// Keeps inFlight / targetConcurrency instances per function. Scales up right away when callers
+// queue or latency crosses a threshold, and down one step at a time once demand stayed low.
+class TargetConcurrencyPolicy {
+    constructor(options = {}) {
+        this.name = 'target-concurrency';
+        this.targetConcurrency = options.targetConcurrency || 1; // below 1 keeps headroom, e.g. 0.8
+        this.queueThreshold = options.queueThreshold ?? 1; // waiting callers that add instances, 0 disables
+        this.latencyThreshold = options.latencyThreshold || 0; // ms, 0 disables
+        this.scaleUpStep = options.scaleUpStep || 1;
+        this.scaleDownStep = options.scaleDownStep || 1;
+        this.scaleDownDelay = options.scaleDownDelay ?? 30000; // demand must stay low this long
+        this.cooldown = options.cooldown ?? 10000; // no scale down this soon after a scale up
+    }
+
+    evaluate(metrics, state) {
+        const { current, now } = metrics;
+        let desired = Math.ceil((metrics.inFlight + metrics.waiting) / this.targetConcurrency);
+
+        const queued = this.queueThreshold > 0 && metrics.waiting >= this.queueThreshold;
+        const slow = this.latencyThreshold > 0 && metrics.latencyMs > this.latencyThreshold;
+        if (queued || slow) {
+            desired = Math.max(desired, current + this.scaleUpStep);
+        }
+
+        if (desired > current) {
+            state.scaledUpAt = now;
+            state.lowSince = null;
+            return desired;
+        }
+        if (desired === current) {
+            state.lowSince = null;
+            return current;
+        }
+
+        // Hysteresis: shrink only after demand stayed below the pool for scaleDownDelay
+        if (state.lowSince == null) {
+            state.lowSince = now;
+        }
+        if (now - state.lowSince < this.scaleDownDelay || now - (state.scaledUpAt ?? -Infinity) < this.cooldown) {
+            return current;
+        }
+        // The next step waits for another full delay
+        state.lowSince = now;
+        return Math.max(desired, current - this.scaleDownStep);
+    }
+}
+
+const POLICIES = {
+    'target-concurrency': TargetConcurrencyPolicy,
+};
+
+// options: true for the defaults, a policy object with evaluate(), or
+// { policy, interval, ...policy options } where policy is a name or a policy object.
+// Returns null when autoscaling is off.
+function createAutoscaler(options) {
+    if (!options) {
+        return null;
+    }
+
+    const config = options === true ? {} : options;
+    const interval = config.interval || 5000;
+    if (typeof config.evaluate === 'function') {
+        return { policy: config, interval }; // Custom policy object
+    }
+    if (config.policy && typeof config.policy.evaluate === 'function') {
+        return { policy: config.policy, interval };
+    }
+
+    const name = config.policy || 'target-concurrency';
+    const Policy = POLICIES[name];
+    if (!Policy) {
+        throw new Error(`Unknown autoscaling policy "${name}". Available: ${Object.keys(POLICIES).join(', ')}`);
+    }
+    return { policy: new Policy(config), interval };
+}
+
+module.exports = {
+    TargetConcurrencyPolicy,
+    createAutoscaler,
+};
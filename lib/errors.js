@@ -0,0 +1,86 @@
+// Base class for errors raised by the managers. code is a stable string callers can branch on
+// and backend names the manager that raised it ('docker', 'k8s', 'process', 'worker', ...).
+class ManagerError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.backend = details.backend;
+        if (details.cause) {
+            this.cause = details.cause;
+        }
+    }
+}
+
+// Raised when the pool cannot hand out an instance.
+// reason is 'timeout' (waited longer than acquireTimeout), 'queue_full' (maxQueueLength reached)
+// or 'empty' (nothing could be created and no instance is alive);
+// retryAfter is a hint in seconds, suitable for an HTTP Retry-After header.
+class PoolExhaustedError extends ManagerError {
+    constructor(message, details = {}) {
+        super(message, 'POOL_EXHAUSTED', details);
+        this.reason = details.reason;
+        this.retryAfter = details.retryAfter;
+        this.queueLength = details.queueLength;
+    }
+}
+
+// Raised when an instance does not start within the backend's creation timeout (timeout, in ms)
+class CreationTimeoutError extends ManagerError {
+    constructor(message, details = {}) {
+        super(message, 'CREATION_TIMEOUT', details);
+        this.timeout = details.timeout;
+    }
+}
+
+// Raised for requests made after shutdown() started, and for callers still queued at that point
+class ShuttingDownError extends ManagerError {
+    constructor(message, details = {}) {
+        super(message, 'SHUTTING_DOWN', details);
+    }
+}
+
+// Raised when the backend itself (Docker daemon, Kubernetes API) cannot be reached
+class BackendUnavailableError extends ManagerError {
+    constructor(message, details = {}) {
+        super(message, 'BACKEND_UNAVAILABLE', details);
+    }
+}
+
+// Raised when an instance does not answer a request forwarded by invoke() within timeout (ms)
+class RequestTimeoutError extends ManagerError {
+    constructor(message, details = {}) {
+        super(message, 'REQUEST_TIMEOUT', details);
+        this.timeout = details.timeout;
+    }
+}
+
+// Raised when a function handler called over a message channel throws. errorName, errorCode and
+// remoteStack describe the original error inside the instance.
+class HandlerError extends ManagerError {
+    constructor(message, details = {}) {
+        super(message, 'HANDLER_ERROR', details);
+        this.errorName = details.errorName;
+        this.errorCode = details.errorCode;
+        this.remoteStack = details.remoteStack;
+    }
+}
+
+// Raised when the script an instance should run does not exist
+class ScriptNotFoundError extends ManagerError {
+    constructor(message, details = {}) {
+        super(message, 'SCRIPT_NOT_FOUND', details);
+        this.scriptPath = details.scriptPath;
+    }
+}
+
+module.exports = {
+    ManagerError,
+    PoolExhaustedError,
+    CreationTimeoutError,
+    ShuttingDownError,
+    BackendUnavailableError,
+    RequestTimeoutError,
+    HandlerError,
+    ScriptNotFoundError,
+};
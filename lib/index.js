@@ -1,11 +1,61 @@
+const BaseManager = require('./managers/base');
 const DockerManager = require('./managers/docker');
 const K8sManager = require('./managers/k8s');
 const ProcessManager = require('./managers/process');
 const WorkerManager = require('./managers/worker');
+const {
+    registerBackend,
+    unregisterBackend,
+    hasBackend,
+    getBackend,
+    listBackends,
+    createManager,
+} = require('./registry');
+const {
+    ManagerError,
+    PoolExhaustedError,
+    CreationTimeoutError,
+    ShuttingDownError,
+    BackendUnavailableError,
+    RequestTimeoutError,
+    HandlerError,
+    ScriptNotFoundError,
+} = require('./errors');
+const { createStrategy } = require('./strategies');
+const { createAutoscaler, TargetConcurrencyPolicy } = require('./autoscaler');
+const { createConsoleLogger, createSilentLogger, adaptWinstonLogger } = require('./logger');
+const { createMetrics, PoolMetrics } = require('./metrics');
+const { withSpan } = require('./tracing');
+const { createPoolProxy } = require('./middleware');
 
 module.exports = {
+    BaseManager,
     DockerManager,
     K8sManager,
     ProcessManager,
     WorkerManager,
+    registerBackend,
+    unregisterBackend,
+    hasBackend,
+    getBackend,
+    listBackends,
+    createManager,
+    ManagerError,
+    PoolExhaustedError,
+    CreationTimeoutError,
+    ShuttingDownError,
+    BackendUnavailableError,
+    RequestTimeoutError,
+    HandlerError,
+    ScriptNotFoundError,
+    createStrategy,
+    createAutoscaler,
+    TargetConcurrencyPolicy,
+    createConsoleLogger,
+    createSilentLogger,
+    adaptWinstonLogger,
+    createMetrics,
+    PoolMetrics,
+    withSpan,
+    createPoolProxy,
 };
\ No newline at end of file
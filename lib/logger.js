@@ -0,0 +1,111 @@
+// Logging used by the managers. Loggers are called pino-style, as logger.info(fields, message),
+// with child(bindings) used when available. winston loggers, which take (message, meta), are
+// detected and wrapped with adaptWinstonLogger().
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const CONSOLE_METHODS = {
+    debug: 'debug',
+    info: 'log',
+    warn: 'warn',
+    error: 'error'
+};
+
+// Minimal default: prints the message text through console and drops structured fields
+function createConsoleLogger(options = {}) {
+    const threshold = LEVELS.indexOf(options.level || 'info');
+    if (threshold === -1) {
+        throw new Error(`Unknown log level "${options.level}". Available: ${LEVELS.join(', ')}`);
+    }
+
+    const logger = {
+        child: () => logger
+    };
+
+    for (const level of Object.keys(CONSOLE_METHODS)) {
+        logger[level] = LEVELS.indexOf(level) < threshold
+            ? () => {}
+            : (fields, message) => {
+                // Resolved on every call so console can be replaced or spied on at runtime
+                console[CONSOLE_METHODS[level]](typeof fields === 'string' ? fields : message);
+            };
+    }
+
+    return logger;
+}
+
+function createSilentLogger() {
+    return createConsoleLogger({ level: 'silent' });
+}
+
+// Attach bindings to every record, using the logger's own child() when it has one
+function bindLogger(logger, bindings) {
+    const complete = Object.keys(CONSOLE_METHODS).every(level => typeof logger[level] === 'function');
+    if (complete && typeof logger.child === 'function') {
+        return logger.child(bindings);
+    }
+
+    const bound = { child: more => bindLogger(logger, { ...bindings, ...more }) };
+    for (const level of Object.keys(CONSOLE_METHODS)) {
+        bound[level] = (fields, message) => {
+            if (typeof logger[level] !== 'function') {
+                return;
+            }
+            if (typeof fields === 'string') {
+                logger[level]({ ...bindings }, fields);
+            } else {
+                logger[level]({ ...bindings, ...fields }, message);
+            }
+        };
+    }
+    return bound;
+}
+
+// winston exposes log() and a level name -> priority map; pino keeps its levels under levels.values
+function isWinstonLogger(logger) {
+    return typeof logger.log === 'function' && Boolean(logger.levels) && typeof logger.levels.info === 'number';
+}
+
+// Call a (message, meta) logger such as winston through the fields-first interface
+function adaptWinstonLogger(logger) {
+    const adapted = {};
+    for (const level of Object.keys(CONSOLE_METHODS)) {
+        adapted[level] = (fields, message) => {
+            if (typeof logger[level] !== 'function') {
+                return;
+            }
+            if (typeof fields === 'string') {
+                logger[level](fields);
+            } else {
+                logger[level](message, fields);
+            }
+        };
+    }
+    if (typeof logger.child === 'function') {
+        adapted.child = bindings => adaptWinstonLogger(logger.child(bindings));
+    }
+    return adapted;
+}
+
+// Turn the logger option into a logger: undefined uses the console, false silences all output
+function resolveLogger(logger, options = {}) {
+    if (logger === undefined || logger === null) {
+        return createConsoleLogger({ level: options.logLevel });
+    }
+    if (logger === false) {
+        return createSilentLogger();
+    }
+
+    const missing = ['info', 'warn', 'error'].filter(level => typeof logger[level] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`logger is missing required methods: ${missing.join(', ')}`);
+    }
+    return isWinstonLogger(logger) ? adaptWinstonLogger(logger) : logger;
+}
+
+module.exports = {
+    createConsoleLogger,
+    createSilentLogger,
+    bindLogger,
+    resolveLogger,
+    adaptWinstonLogger,
+};
@@ -0,0 +1,1617 @@
+// Shared pool lifecycle for all managers. Backends plug in through hooks:
+//   validateRequest(...args)     - throw if the request arguments are invalid
+//   createInstance(...args)      - start a new instance and resolve with its info ({ name, port, ... })
+//   terminateInstance(info)      - stop an instance and release its resources
+//   probeInstance(info)          - resolve truthy if the instance is still usable
+//   describeInstance(info)       - public view of an instance used by getPoolInfo()
+//   handleCreateError(err, key)  - decide what happens when createInstance() fails for function key
+//   onInstanceRemoved(info)      - clean up after an instance leaves the pool
+//   prepare()                    - one-off async setup run before every request
+//   callInstance(info, request, options) - deliver an invoke() request (HTTP to info.port by default)
+//   streamsResponse(info)        - false when callInstance() resolves without a body stream, e.g. { result }
+//   functionKey(...args)         - identity of the function the arguments run; each one gets its own pool
+//
+// Managers are EventEmitters. Instance events carry { backend, name, port, timestamp, ... }:
+//   instance:created   - createInstance() resolved and the readiness probe passed (durationMs is the startup time)
+//   instance:ready     - the instance joined the pool and can serve requests
+//   instance:evicted   - removed on purpose (reason: idle, max lifetime/requests reached, destroyed)
+//   instance:crashed   - found dead by a probe or exited on its own
+//   instance:unhealthy - a liveness check failed (failures, failureThreshold)
+//   instance:recovered - a liveness check passed again after failures
+//   instance:replaced  - a new instance took the place of one removed by liveness checks (replaced)
+//   lease:acquired     - acquire() handed out a lease (waitMs is the time the caller waited)
+//   pool:exhausted     - a PoolExhaustedError was raised ({ backend, reason, queueLength, timestamp })
+//   pool:scaled        - the autoscaler changed a function's desired size ({ backend, key, from, to, timestamp })
+//   shutdown:start / shutdown:complete
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const {
+    PoolExhaustedError,
+    ShuttingDownError,
+    BackendUnavailableError,
+    CreationTimeoutError,
+    RequestTimeoutError,
+    ScriptNotFoundError
+} = require('../errors');
+const { createStrategy } = require('../strategies');
+const { createAutoscaler } = require('../autoscaler');
+const { bindLogger, resolveLogger } = require('../logger');
+const { withSpan, instanceAttributes } = require('../tracing');
+const { createProbe, waitUntilReady } = require('../probes');
+const { forwardRequest, isUnreachable, isStream } = require('../proxy');
+const { getAvailablePort, releasePort, isAddressInUse } = require('../utils/port');
+const { ensureSocketDir, removeSocket, removeSocketDir } = require('../utils/socket');
+
+// Exclusive handle on a pooled instance returned by acquire()
+class Lease {
+    constructor(manager, instance) {
+        this.manager = manager;
+        this.instance = instance;
+        this.acquiredAt = Date.now();
+        this.active = true;
+    }
+
+    get name() {
+        return this.instance.name;
+    }
+
+    get port() {
+        return this.instance.port;
+    }
+
+    // Return the instance to the pool for the next caller
+    release() {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+        this.manager.releaseInstance(this.instance);
+    }
+
+    // Terminate the instance instead of returning it, e.g. after it was left in a bad state
+    async destroy() {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+        await this.manager.destroyInstance(this.instance);
+    }
+}
+
+class BaseManager extends EventEmitter {
+    constructor(options = {}, descriptor = {}) {
+        super();
+        this.managerName = descriptor.managerName || this.constructor.name;
+        this.backend = descriptor.backend || this.managerName;
+        this.resourceName = descriptor.resourceName || 'instance';
+        this.resourcePlural = descriptor.resourcePlural || `${this.resourceName}s`;
+        this.logger = bindLogger(resolveLogger(options.logger, { logLevel: options.logLevel }), {
+            backend: this.backend,
+            manager: this.managerName
+        });
+
+        this.maxPoolSize = options.maxPoolSize || 3;
+        this.minPoolSize = Math.min(options.minPoolSize || 0, this.maxPoolSize);
+        this.poolCheckInterval = options.poolCheckInterval || 10000; // 10 seconds
+        this.shutdownTimeout = options.shutdownTimeout || 5000; // 5 seconds
+        this.idleTimeout = options.idleTimeout || this.poolCheckInterval;
+        this.maxLifetime = options.maxLifetime || 0; // 0 keeps instances forever
+        this.maxRequestsPerInstance = options.maxRequestsPerInstance || 0; // 0 is unlimited
+        this.acquireTimeout = options.acquireTimeout ?? 30000; // 30 seconds, 0 waits forever
+        this.maxQueueLength = options.maxQueueLength ?? Infinity;
+        this.requestTimeout = options.requestTimeout ?? 30000; // 30 seconds, 0 waits forever
+        this.requestRetries = options.requestRetries ?? 2;
+        this.portRange = options.portRange || null; // [min, max], OS ephemeral ports when unset
+        this.portRetries = options.portRetries ?? 3; // creations retried when the port was taken meanwhile
+        this.socketDir = options.socketDir ? path.resolve(options.socketDir) : null; // created on first use
+        this.ownsSocketDir = !options.socketDir; // a temporary directory is removed on shutdown
+        this.strategy = createStrategy(options.strategy, options.strategyOptions);
+        this.tracer = options.tracer || null;
+        // Backends that boot slowly (containers, pods running npm install) size their own probe budget
+        this.readinessProbe = createProbe(options.readiness, descriptor.readinessDefaults);
+        this.liveness = this.createLivenessCheck(options.liveness);
+        this.autoscaler = createAutoscaler(options.autoscale);
+
+        this.pool = [];
+        // Function key -> { key, args, limits, autoscale }, and the function each instance runs
+        this.functions = new Map();
+        this.instanceFunctions = new Map();
+        // Function key -> in-flight creations ({ promise, joiners }); they count toward maxPoolSize
+        this.creating = new Map();
+        this.busyInstances = new Set();
+        this.activeConnections = new Map();
+        this.requestCounts = new Map();
+        this.livenessFailures = new Map();
+        // Instances whose port and socket were handed back, so a later release cannot free a reused port
+        this.releasedInstances = new WeakSet();
+        this.waitQueue = [];
+        this.lastRequestTime = Date.now();
+        this.watcherStarted = false;
+        this.watcherInterval = null;
+        this.livenessInterval = null;
+        this.checkingLiveness = false;
+        this.autoscaleInterval = null;
+        this.autoscaling = false;
+        this.isShuttingDown = false;
+        this.shutdownHandler = null;
+        this.warming = new Map();
+        // Arguments of the latest request, the default for warmUp() and for instances added by hand
+        this.warmArgs = options.prewarm || null;
+
+        for (const { args, ...limits } of options.functions || []) {
+            this.configureFunction(args, limits);
+        }
+
+        // Graceful shutdown handling
+        this.setupShutdownHandlers();
+
+        if (options.prewarm) {
+            // Deferred so subclass constructors finish before the first instance is created
+            process.nextTick(() => {
+                this.warmUp().catch(err => {
+                    this.logger.warn({ operation: 'prewarm', err }, `${this.managerName} pre-warm failed: ${err.message}`);
+                });
+            });
+        }
+    }
+
+    setupShutdownHandlers() {
+        this.shutdownHandler = () => {
+            this.shutdown().catch(err => {
+                this.logger.error({ operation: 'shutdown', err }, `${this.managerName} shutdown failed: ${err.message}`);
+            });
+        };
+
+        process.once('SIGINT', this.shutdownHandler);
+        process.once('SIGTERM', this.shutdownHandler);
+        process.once('beforeExit', this.shutdownHandler);
+    }
+
+    removeShutdownHandlers() {
+        if (!this.shutdownHandler) {
+            return;
+        }
+
+        // Only remove our own handlers so other managers and the host app keep theirs
+        process.removeListener('SIGINT', this.shutdownHandler);
+        process.removeListener('SIGTERM', this.shutdownHandler);
+        process.removeListener('beforeExit', this.shutdownHandler);
+        this.shutdownHandler = null;
+    }
+
+    async poolWatcher() {
+        if (this.watcherInterval) {
+            return; // Already started
+        }
+
+        this.watcherInterval = setInterval(async () => {
+            if (this.isShuttingDown) {
+                return;
+            }
+
+            await this.evictExpired();
+
+            // Replace instances that died or were removed below each function's warm minimum
+            if (this.warmArgs) {
+                this.functionFor(this.warmArgs);
+            }
+            for (const fn of this.functions.values()) {
+                if (this.poolFor(fn.key).length < this.poolFloor(fn)) {
+                    await this.fillToMinimum(fn.args);
+                }
+            }
+        }, this.poolCheckInterval);
+    }
+
+    // Function key for a set of instance arguments; backends normalize paths and include env
+    functionKey(...args) {
+        return JSON.stringify(args);
+    }
+
+    // Registry entry for the function the arguments run
+    functionFor(args) {
+        const key = this.functionKey(...args);
+        let fn = this.functions.get(key);
+        if (!fn) {
+            fn = { key, args, limits: {} };
+            if (this.autoscaler) {
+                // target is the size the autoscaler last decided on, latency sums invoke() times since
+                fn.autoscale = { target: null, state: {}, latency: { total: 0, count: 0 } };
+            }
+            this.functions.set(key, fn);
+        }
+        return fn;
+    }
+
+    // Size one function's pool independently; limits left out follow the manager's
+    configureFunction(args, limits = {}) {
+        const fn = this.functionFor(args);
+        if (limits.maxPoolSize !== undefined) {
+            fn.limits.maxPoolSize = limits.maxPoolSize;
+        }
+        if (limits.minPoolSize !== undefined) {
+            fn.limits.minPoolSize = limits.minPoolSize;
+        }
+        return fn;
+    }
+
+    functionLimits(fn) {
+        const maxPoolSize = fn.limits.maxPoolSize ?? this.maxPoolSize;
+        return {
+            minPoolSize: Math.min(fn.limits.minPoolSize ?? this.minPoolSize, maxPoolSize),
+            maxPoolSize
+        };
+    }
+
+    // Instances fn keeps when idle: the size set by scaleTo(), else its minPoolSize
+    poolFloor(fn) {
+        return fn.scaledTo ?? this.functionLimits(fn).minPoolSize;
+    }
+
+    // Function an instance runs, or null for instances added to the pool by hand
+    functionOf(info) {
+        const key = this.instanceFunctions.get(info);
+        return key === undefined ? null : this.functions.get(key) || null;
+    }
+
+    // Instances that may serve a function. Instances added by hand serve every function,
+    // and without a key the whole pool is returned.
+    poolFor(key) {
+        if (key === undefined) {
+            return this.pool;
+        }
+        return this.pool.filter((info) => {
+            const instanceKey = this.instanceFunctions.get(info);
+            return instanceKey === undefined || instanceKey === key;
+        });
+    }
+
+    // Creations in flight for a function, or for every function without a key
+    pendingCreations(key) {
+        if (key === undefined) {
+            return [...this.creating.values()].flatMap(creations => [...creations]);
+        }
+        return [...(this.creating.get(key) || [])];
+    }
+
+    // Most instances fn may run. With autoscaling, requests grow the pool only up to the autoscaler's
+    // target and queue beyond it until the next evaluation scales up. A size set by scaleTo() replaces
+    // both, though a function scaled to 0 still starts one instance for a request. A resize in
+    // progress caps it too.
+    sizeLimit(fn) {
+        const { minPoolSize, maxPoolSize } = this.functionLimits(fn);
+        let limit = maxPoolSize;
+        if (fn.scaledTo !== undefined) {
+            limit = Math.max(fn.scaledTo, 1);
+        } else if (fn.autoscale) {
+            limit = Math.min(maxPoolSize, Math.max(fn.autoscale.target ?? 0, minPoolSize, 1));
+        }
+        return fn.resizing ? Math.min(limit, fn.resizing.size) : limit;
+    }
+
+    // Instances fn may still start, counting the ones already starting
+    capacityLeft(fn) {
+        const used = this.poolFor(fn.key).length + this.pendingCreations(fn.key).length;
+        return Math.max(0, this.sizeLimit(fn) - used);
+    }
+
+    hasCapacity(fn) {
+        return this.capacityLeft(fn) > 0;
+    }
+
+    // Start an instance of fn and add it to the pool. The slot is taken before the async create,
+    // so a burst of callers never starts more instances than maxPoolSize allows. claim(info) runs
+    // in the same tick the instance joins the pool, before anyone else can pick it.
+    // Resolves with null when the manager shut down while the instance was starting.
+    createPooled(fn, claim = info => info) {
+        const creation = { joiners: 0 };
+        const creations = this.creating.get(fn.key) || new Set();
+        this.creating.set(fn.key, creations);
+
+        creation.promise = (async () => {
+            try {
+                const info = await this.startInstance(fn.args);
+                if (this.isShuttingDown) {
+                    await this.terminateSafely(info);
+                    return null;
+                }
+                this.addToPool(info, fn.key);
+                return claim(info);
+            } finally {
+                creations.delete(creation);
+                if (creations.size === 0 && this.creating.get(fn.key) === creations) {
+                    this.creating.delete(fn.key);
+                }
+                // A failed creation frees its slot for callers queued behind it
+                this.serveWaiters();
+            }
+        })();
+        creations.add(creation);
+        return creation.promise;
+    }
+
+    // Wait on the in-flight creation with the fewest callers already waiting on it
+    joinCreation(key) {
+        const pending = this.pendingCreations(key);
+        if (pending.length === 0) {
+            return null;
+        }
+        const creation = pending.reduce((least, candidate) => (candidate.joiners < least.joiners ? candidate : least));
+        creation.joiners++;
+        return creation.promise;
+    }
+
+    // Evict every idle instance past its idle TTL, lifetime or request budget.
+    // Idle instances are left to the autoscaler when it is enabled.
+    async evictExpired() {
+        const now = Date.now();
+        const expired = [];
+        // Instances left per function, each function keeps its own minPoolSize
+        const remaining = new Map();
+        for (const info of this.pool) {
+            const key = this.instanceFunctions.get(info);
+            remaining.set(key, (remaining.get(key) || 0) + 1);
+        }
+
+        for (const info of this.pool) {
+            if (this.busyInstances.has(info)) {
+                continue; // Leased instances are recycled on release
+            }
+
+            const key = this.instanceFunctions.get(info);
+            const fn = this.functionOf(info);
+            const minPoolSize = fn ? this.poolFloor(fn) : this.minPoolSize;
+            const reason = this.recycleReason(info, now);
+            if (reason) {
+                expired.push({ info, reason });
+                remaining.set(key, remaining.get(key) - 1);
+            } else if (!this.autoscaler && remaining.get(key) > minPoolSize && now - this.lastActivity(info) > this.idleTimeout) {
+                expired.push({ info, reason: null });
+                remaining.set(key, remaining.get(key) - 1);
+            }
+        }
+
+        await Promise.all(expired.map(({ info, reason }) => this.evictInstance(info, reason)));
+    }
+
+    // Why an instance should be replaced regardless of traffic, or null to keep it
+    recycleReason(info, now = Date.now()) {
+        if (this.maxLifetime > 0 && info.createdAt !== undefined && now - info.createdAt >= this.maxLifetime) {
+            return 'max lifetime reached';
+        }
+        if (this.maxRequestsPerInstance > 0 && (this.requestCounts.get(info) || 0) >= this.maxRequestsPerInstance) {
+            return 'max requests reached';
+        }
+        return null;
+    }
+
+    lastActivity(info) {
+        // Instances added without timestamps fall back to the manager-wide request time
+        return info.lastUsed ?? info.createdAt ?? this.lastRequestTime;
+    }
+
+    async evictInstance(info, reason) {
+        if (reason) {
+            this.logger.info(
+                { operation: 'recycle', name: info.name, port: info.port, reason },
+                `Recycling ${this.resourceName} ${info.name}: ${reason}`
+            );
+        }
+        if (this.removeFromPool(info.name)) {
+            this.emit('instance:evicted', this.instanceEvent(info, { reason: reason || 'idle' }));
+            await this.terminateSafely(info);
+        }
+    }
+
+    // Remove an instance that died on its own and report it
+    removeDeadInstance(info, details = {}) {
+        const removed = this.removeFromPool(info.name);
+        if (removed) {
+            this.emit('instance:crashed', this.instanceEvent(removed, details));
+        }
+        return removed;
+    }
+
+    // Called by backends when an instance exits unexpectedly, e.g. a child process 'close' event
+    handleInstanceExit(name, details = {}) {
+        const info = this.pool.find(i => i.name === name);
+        if (!info || this.isShuttingDown) {
+            return null;
+        }
+        return this.removeDeadInstance(info, details);
+    }
+
+    instanceEvent(info, details = {}) {
+        const now = Date.now();
+        return {
+            backend: this.backend,
+            name: info.name,
+            port: info.port,
+            ...(info.createdAt !== undefined && { uptimeMs: now - info.createdAt }),
+            ...details,
+            timestamp: now
+        };
+    }
+
+    // liveness: true uses probeInstance(); probe options (http/tcp/exec/custom) check the instance directly
+    createLivenessCheck(liveness) {
+        if (!liveness) {
+            return null;
+        }
+
+        const options = liveness === true ? {} : liveness;
+        const type = typeof options === 'function' ? 'custom' : (options.type || 'backend');
+        const check = type === 'backend'
+            ? info => this.isAlive(info)
+            : createProbe(options).check;
+
+        return {
+            type,
+            check,
+            interval: options.interval || 10000,
+            failureThreshold: options.failureThreshold || 3
+        };
+    }
+
+    startLivenessChecks() {
+        if (!this.liveness || this.livenessInterval) {
+            return;
+        }
+
+        this.livenessInterval = setInterval(() => {
+            this.checkLiveness().catch(err => {
+                this.logger.error({ operation: 'liveness', err }, `Liveness check failed: ${err.message}`);
+            });
+        }, this.liveness.interval);
+    }
+
+    // Probe every pooled instance, remove the ones past the failure threshold and replace them
+    async checkLiveness() {
+        if (!this.liveness || this.isShuttingDown || this.checkingLiveness) {
+            return;
+        }
+
+        this.checkingLiveness = true;
+        try {
+            const results = await Promise.all(this.pool.map(async (info) => {
+                try {
+                    return [info, Boolean(await this.liveness.check(info))];
+                } catch (err) {
+                    return [info, false];
+                }
+            }));
+
+            const removed = [];
+            for (const [info, alive] of results) {
+                if (!this.pool.includes(info)) {
+                    continue;
+                }
+
+                if (alive) {
+                    if (this.livenessFailures.delete(info)) {
+                        this.emit('instance:recovered', this.instanceEvent(info));
+                    }
+                    continue;
+                }
+
+                const failures = (this.livenessFailures.get(info) || 0) + 1;
+                const { failureThreshold } = this.liveness;
+                this.livenessFailures.set(info, failures);
+                this.emit('instance:unhealthy', this.instanceEvent(info, { failures, failureThreshold }));
+                this.logger.warn(
+                    { operation: 'liveness', name: info.name, port: info.port, failures, failureThreshold },
+                    `${this.resourceName} ${info.name} failed liveness check (${failures}/${failureThreshold})`
+                );
+
+                if (failures >= failureThreshold) {
+                    // Instances added by hand are replaced with the latest request's function
+                    const fn = this.functionOf(info) || (this.warmArgs && this.functionFor(this.warmArgs));
+                    this.removeDeadInstance(info, { reason: 'liveness failed', failures });
+                    removed.push({ old: info, fn });
+                }
+            }
+
+            await Promise.all(removed.map(({ old }) => this.terminateSafely(old)));
+            if (removed.length > 0) {
+                await this.replaceInstances(removed);
+            }
+        } finally {
+            this.checkingLiveness = false;
+        }
+    }
+
+    // removed: [{ old, fn }], each replaced with a new instance of the same function
+    async replaceInstances(removed) {
+        for (const { old, fn } of removed) {
+            if (this.isShuttingDown) {
+                break;
+            }
+            if (!fn || !this.hasCapacity(fn)) {
+                continue;
+            }
+
+            try {
+                const info = await this.createPooled(fn);
+                if (!info) {
+                    break;
+                }
+
+                this.logger.info(
+                    { operation: 'replace', name: info.name, port: info.port, replaced: old.name },
+                    `Replaced ${this.resourceName} ${old.name} with ${info.name} (port ${info.port})`
+                );
+                this.emit('instance:replaced', this.instanceEvent(info, { replaced: old.name }));
+            } catch (err) {
+                this.logger.warn(
+                    { operation: 'replace', replaced: old.name, err },
+                    `Failed to replace ${this.resourceName} ${old.name}: ${err.message}`
+                );
+            }
+        }
+
+        this.serveWaiters();
+    }
+
+    startAutoscaler() {
+        if (!this.autoscaler || this.autoscaleInterval) {
+            return;
+        }
+
+        this.autoscaleInterval = setInterval(() => {
+            this.autoscale().catch(err => {
+                this.logger.error({ operation: 'autoscale', err }, `Autoscaling failed: ${err.message}`);
+            });
+        }, this.autoscaler.interval);
+    }
+
+    // Ask the autoscaling policy for every function's size, then start or drain instances to match
+    async autoscale() {
+        if (!this.autoscaler || this.isShuttingDown || this.autoscaling) {
+            return;
+        }
+
+        this.autoscaling = true;
+        try {
+            // Functions sized by scaleTo() keep that size until it is changed
+            const scalable = [...this.functions.values()].filter(fn => fn.scaledTo === undefined);
+            await Promise.all(scalable.map(fn => this.scaleFunction(fn)));
+        } finally {
+            this.autoscaling = false;
+        }
+    }
+
+    async scaleFunction(fn) {
+        const metrics = this.scalingMetrics(fn);
+        const { current, minPoolSize, maxPoolSize } = metrics;
+        const desired = Number(this.autoscaler.policy.evaluate(metrics, fn.autoscale.state));
+        const target = Math.min(maxPoolSize, Math.max(minPoolSize, Number.isFinite(desired) ? Math.round(desired) : current));
+        fn.autoscale.target = target;
+
+        if (target === current) {
+            return;
+        }
+
+        this.logger.info(
+            { operation: 'autoscale', key: fn.key, from: current, to: target, inFlight: metrics.inFlight, waiting: metrics.waiting },
+            `Scaling ${this.resourcePlural} of ${fn.key} from ${current} to ${target}`
+        );
+        this.emit('pool:scaled', { backend: this.backend, key: fn.key, from: current, to: target, timestamp: Date.now() });
+
+        if (target > current) {
+            await this.scaleUp(fn, target - current);
+        } else {
+            await this.scaleDown(fn, current - target);
+        }
+    }
+
+    // Demand seen by one function since the last evaluation
+    scalingMetrics(fn) {
+        const instances = this.poolFor(fn.key);
+        const { total, count } = fn.autoscale.latency;
+        fn.autoscale.latency = { total: 0, count: 0 };
+
+        return {
+            key: fn.key,
+            current: instances.length + this.pendingCreations(fn.key).length,
+            inFlight: instances.reduce((sum, info) => sum + (this.activeConnections.get(info) || 0), 0),
+            waiting: this.waitQueue.filter(waiter => waiter.key === fn.key).length,
+            latencyMs: count > 0 ? total / count : null,
+            ...this.functionLimits(fn),
+            now: Date.now()
+        };
+    }
+
+    recordLatency(args, durationMs) {
+        const fn = this.autoscaler && this.functions.get(this.functionKey(...args));
+        if (fn && fn.autoscale) {
+            fn.autoscale.latency.total += durationMs;
+            fn.autoscale.latency.count++;
+        }
+    }
+
+    // Start up to count instances of fn, resolving with the errors of the ones that failed
+    async scaleUp(fn, count) {
+        const missing = Math.min(count, this.capacityLeft(fn));
+        const results = await Promise.allSettled(Array.from({ length: missing }, () => this.createPooled(fn)));
+
+        const errors = [];
+        for (const result of results) {
+            if (result.status === 'rejected') {
+                errors.push(result.reason);
+                this.logger.warn(
+                    { operation: 'scale', err: result.reason },
+                    `Failed to scale up ${this.resourcePlural}: ${result.reason.message}`
+                );
+            } else if (result.value) {
+                this.logStarted(result.value);
+            }
+        }
+
+        this.serveWaiters();
+        return errors;
+    }
+
+    // Evict the longest idle instances; leased ones are drained when released
+    async scaleDown(fn, count) {
+        const idle = this.pool
+            .filter(info => this.instanceFunctions.get(info) === fn.key && !this.busyInstances.has(info))
+            .sort((a, b) => this.lastActivity(a) - this.lastActivity(b))
+            .slice(0, count);
+
+        await Promise.all(idle.map(info => this.evictInstance(info, 'scaled down')));
+    }
+
+    // True when a released instance leaves its function above its size limit. Draining goes first,
+    // queued callers are served by the instances that stay.
+    isSurplus(info) {
+        const fn = this.functionOf(info);
+        if (!fn) {
+            return false;
+        }
+        return this.poolFor(fn.key).length + this.pendingCreations(fn.key).length > this.sizeLimit(fn);
+    }
+
+    // Start or drain instances until every function the arguments select runs exactly n, and keep
+    // that size until the next scaleTo() or setPoolLimits(). Without arguments every known function
+    // is resized. Leased instances leave when released.
+    async scaleTo(n, ...args) {
+        const fns = await this.resizeTargets(args);
+        if (fns.length === 0) {
+            throw new Error(`${this.managerName} needs the instance arguments to scale, pass them to scaleTo()`);
+        }
+        for (const fn of fns) {
+            const { minPoolSize, maxPoolSize } = this.functionLimits(fn);
+            if (!Number.isInteger(n) || n < minPoolSize || n > maxPoolSize) {
+                throw new Error(
+                    `Cannot scale ${this.resourcePlural} of ${fn.key} to ${n}: expected an integer from ${minPoolSize} to ${maxPoolSize}`
+                );
+            }
+        }
+
+        this.logger.info({ operation: 'scale', size: n, functions: fns.length }, `Scaling ${this.resourcePlural} to ${n}`);
+        fns.forEach((fn) => {
+            fn.scaledTo = n;
+        });
+        await Promise.all(fns.map(fn => this.resizeFunction(fn, n, n)));
+    }
+
+    // Change minPoolSize and maxPoolSize at runtime, for the function the arguments run or as the
+    // manager-wide defaults, and resolve once the affected pools are within the new limits
+    async setPoolLimits({ min, max } = {}, ...args) {
+        const fns = await this.resizeTargets(args);
+        const current = args.length > 0
+            ? this.functionLimits(fns[0])
+            : { minPoolSize: this.minPoolSize, maxPoolSize: this.maxPoolSize };
+        const minPoolSize = min ?? current.minPoolSize;
+        const maxPoolSize = max ?? current.maxPoolSize;
+        const valid = Number.isInteger(minPoolSize) && Number.isInteger(maxPoolSize) &&
+            minPoolSize >= 0 && maxPoolSize >= 1 && minPoolSize <= maxPoolSize;
+        if (!valid) {
+            throw new Error(`Invalid pool limits { min: ${minPoolSize}, max: ${maxPoolSize} }: expected integers with 0 <= min <= max and max >= 1`);
+        }
+
+        if (args.length > 0) {
+            this.configureFunction(args, { minPoolSize, maxPoolSize });
+        } else {
+            this.minPoolSize = minPoolSize;
+            this.maxPoolSize = maxPoolSize;
+        }
+        // New limits replace sizes set by scaleTo()
+        fns.forEach((fn) => {
+            delete fn.scaledTo;
+        });
+        this.logger.info(
+            { operation: 'scale', minPoolSize, maxPoolSize, functions: fns.length },
+            `Pool limits set to ${minPoolSize}-${maxPoolSize}`
+        );
+
+        await Promise.all(fns.map((fn) => {
+            const limits = this.functionLimits(fn);
+            return this.resizeFunction(fn, limits.minPoolSize, limits.maxPoolSize);
+        }));
+    }
+
+    // Functions a resize applies to: the one the arguments run, or every known function
+    async resizeTargets(args) {
+        await this.prepare();
+        if (this.isShuttingDown) {
+            throw this.createShuttingDownError();
+        }
+
+        // The pool watcher keeps the new size, e.g. replacing instances that died
+        if (!this.watcherStarted) {
+            await this.startWatchers();
+        }
+        if (args.length > 0) {
+            this.validateRequest(...args);
+            return [this.functionFor(args)];
+        }
+        if (this.functions.size === 0 && this.warmArgs) {
+            this.functionFor(this.warmArgs);
+        }
+        return [...this.functions.values()];
+    }
+
+    // Bring fn to between low and high instances. Requests do not grow it past high meanwhile.
+    async resizeFunction(fn, low, high) {
+        const size = () => this.pool.filter(info => this.instanceFunctions.get(info) === fn.key).length +
+            this.pendingCreations(fn.key).length;
+        const resizing = { size: high };
+        fn.resizing = resizing;
+        if (fn.autoscale) {
+            fn.autoscale.target = Math.min(Math.max(fn.autoscale.target ?? low, low), high);
+        }
+
+        try {
+            if (size() < low) {
+                const errors = await this.scaleUp(fn, low - size());
+                if (errors.length > 0) {
+                    throw errors[0];
+                }
+            }
+
+            // Creations already in flight count until they land
+            await Promise.allSettled(this.pendingCreations(fn.key).map(creation => creation.promise));
+            if (size() > high) {
+                await this.scaleDown(fn, size() - high);
+            }
+            await this.waitForPool(() => size() <= high);
+        } finally {
+            if (fn.resizing === resizing) {
+                delete fn.resizing;
+            }
+        }
+    }
+
+    // Resolves once check() passes, re-checking whenever an instance leaves the pool
+    waitForPool(check) {
+        const events = ['instance:evicted', 'instance:crashed', 'shutdown:start'];
+        return new Promise((resolve, reject) => {
+            const update = () => {
+                if (this.isShuttingDown) {
+                    done();
+                    reject(this.createShuttingDownError());
+                } else if (check()) {
+                    done();
+                    resolve();
+                }
+            };
+            const done = () => events.forEach(event => this.removeListener(event, update));
+
+            events.forEach(event => this.on(event, update));
+            update();
+        });
+    }
+
+    async prepare() {}
+
+    validateRequest() {}
+
+    async createInstance() {
+        throw new Error(`${this.managerName} must implement createInstance()`);
+    }
+
+    async terminateInstance() {
+        throw new Error(`${this.managerName} must implement terminateInstance()`);
+    }
+
+    async probeInstance() {
+        return true;
+    }
+
+    describeInstance(info) {
+        return {
+            name: info.name,
+            port: info.port,
+            ...(info.socketPath && { socketPath: info.socketPath }),
+            createdAt: info.createdAt,
+            lastUsed: info.lastUsed
+        };
+    }
+
+    handleCreateError(err, key) {
+        this.logger.warn({ operation: 'create', err }, `Failed to create new ${this.resourceName}: ${err.message}`);
+
+        // Nothing of this function to fall back to, report the outage rather than an empty pool
+        if (err instanceof BackendUnavailableError && this.poolFor(key).length === 0) {
+            throw err;
+        }
+    }
+
+    onInstanceRemoved() {}
+
+    // Run fn(span) in a tracing span tagged with the backend
+    trace(name, attributes, fn) {
+        return withSpan(this.tracer, name, { 'serverless.backend': this.backend, ...attributes }, fn);
+    }
+
+    async terminateSafely(info) {
+        try {
+            await this.trace(`terminate ${this.resourceName}`, instanceAttributes(info), () => this.terminateInstance(info));
+        } catch (err) {
+            this.logger.error(
+                { operation: 'terminate', name: info.name, port: info.port, err },
+                `Error stopping ${this.resourceName} ${info.name}: ${err.message}`
+            );
+        } finally {
+            this.releaseResources(info);
+        }
+    }
+
+    // Hand back an instance's port and socket on removal or termination, whichever comes first
+    releaseResources(info) {
+        if (this.releasedInstances.has(info)) {
+            return;
+        }
+        this.releasedInstances.add(info);
+        releasePort(info.port);
+        removeSocket(info.socketPath);
+    }
+
+    // For validateRequest(): fail before anything starts when a script the instance runs is missing
+    requireScripts(scriptPaths) {
+        const missing = scriptPaths.find(scriptPath => !fs.existsSync(scriptPath));
+        if (missing) {
+            throw new ScriptNotFoundError(`Script path does not exist: ${missing}`, {
+                backend: this.backend,
+                scriptPath: missing
+            });
+        }
+    }
+
+    // Reserve a port in the process-wide registry until the instance is terminated
+    allocatePort() {
+        return getAvailablePort({ range: this.portRange, owner: this.managerName });
+    }
+
+    // Unix socket for an instance of a backend using the socket transport
+    socketPathFor(name) {
+        this.socketDir = ensureSocketDir(this.socketDir);
+        return path.join(this.socketDir, `${name}.sock`);
+    }
+
+    // Run create(port) with a reserved port, handing the port back if the instance never starts
+    async withPort(create) {
+        const port = await this.allocatePort();
+        try {
+            return await create(port);
+        } catch (err) {
+            releasePort(port, { inUse: isAddressInUse(err) });
+            throw err;
+        }
+    }
+
+    async beginRequest(...args) {
+        await this.prepare();
+
+        if (this.isShuttingDown) {
+            throw this.createShuttingDownError();
+        }
+
+        this.validateRequest(...args);
+
+        this.lastRequestTime = Date.now();
+        this.warmArgs = args;
+        this.functionFor(args);
+
+        if (!this.watcherStarted) {
+            await this.startWatchers();
+        }
+    }
+
+    async startWatchers() {
+        this.watcherStarted = true;
+        await this.poolWatcher();
+        this.startLivenessChecks();
+        this.startAutoscaler();
+    }
+
+    // Create instances up to minPoolSize ahead of traffic, e.g. at application boot
+    async warmUp(...args) {
+        const warmArgs = args.length > 0 ? args : this.warmArgs;
+        if (!warmArgs) {
+            throw new Error(`${this.managerName} needs the instance arguments to warm up, pass them to warmUp() or the prewarm option`);
+        }
+
+        await this.beginRequest(...warmArgs);
+        return this.fillToMinimum(warmArgs);
+    }
+
+    async fillToMinimum(args) {
+        const fn = this.functionFor(args);
+
+        // Concurrent callers share one fill per function instead of over-provisioning
+        if (this.warming.has(fn.key)) {
+            return this.warming.get(fn.key);
+        }
+
+        const warming = (async () => {
+            // Instances already starting count toward the minimum
+            const starting = this.poolFor(fn.key).length + this.pendingCreations(fn.key).length;
+            const missing = Math.min(this.poolFloor(fn) - starting, this.capacityLeft(fn));
+            if (missing <= 0) {
+                return [];
+            }
+
+            const results = await Promise.allSettled(
+                Array.from({ length: missing }, () => this.createPooled(fn))
+            );
+
+            const created = [];
+            for (const result of results) {
+                if (result.status === 'rejected') {
+                    this.logger.warn(
+                        { operation: 'prewarm', err: result.reason },
+                        `Failed to pre-warm ${this.resourceName}: ${result.reason.message}`
+                    );
+                    continue;
+                }
+
+                const info = result.value;
+                if (!info) {
+                    continue;
+                }
+
+                created.push(info);
+                this.logger.info(
+                    { operation: 'prewarm', name: info.name, port: info.port },
+                    `Pre-warmed ${this.resourceName}: ${info.name} (port ${info.port})`
+                );
+            }
+
+            this.serveWaiters();
+            return created;
+        })();
+
+        this.warming.set(fn.key, warming);
+        try {
+            return await warming;
+        } finally {
+            this.warming.delete(fn.key);
+        }
+    }
+
+    // Route requests by key, used by the consistent-hash strategy
+    withKey(key) {
+        const context = { key };
+        return {
+            getOrCreateInstance: (...args) => this.getOrCreateWithContext(args, context),
+            acquire: (...args) => this.acquireWithContext(args, context),
+            invoke: request => this.invokeWithContext(request, context)
+        };
+    }
+
+    // Shared handout: concurrent callers may receive the same instance
+    getOrCreateInstance(...args) {
+        return this.getOrCreateWithContext(args, {});
+    }
+
+    getOrCreateWithContext(args, context) {
+        return this.trace(`getOrCreate ${this.resourceName}`, {}, async (span) => {
+            const info = await this.getOrCreateFromPool(args, context);
+            span.setAttributes(instanceAttributes(info));
+            return info;
+        });
+    }
+
+    async getOrCreateFromPool(args, context) {
+        await this.beginRequest(...args);
+        const fn = this.functionFor(args);
+
+        // Try to create a new instance if the function's pool is not full
+        if (this.hasCapacity(fn)) {
+            try {
+                const info = await this.createPooled(fn);
+                if (info) {
+                    this.touchInstance(info);
+                    this.logStarted(info);
+                    return info;
+                }
+            } catch (err) {
+                this.handleCreateError(err, fn.key);
+                // Continue to try existing instances
+            }
+        }
+
+        // Burst before any instance is ready: share a creation already in flight
+        const creation = this.poolFor(fn.key).length === 0 && this.joinCreation(fn.key);
+        if (creation) {
+            try {
+                const info = await creation;
+                if (info && this.pool.includes(info)) {
+                    this.touchInstance(info);
+                    return info;
+                }
+            } catch (err) {
+                this.handleCreateError(err, fn.key);
+            }
+        }
+
+        return this.selectFromPool(context, fn.key);
+    }
+
+    selectInstance(candidates, context = {}) {
+        return this.strategy.select(candidates, {
+            key: context.key,
+            getConnections: info => this.activeConnections.get(info) || 0
+        });
+    }
+
+    idleInstances(key) {
+        return this.poolFor(key).filter(info => !this.busyInstances.has(info));
+    }
+
+    // Steer traffic away from instances due for recycling while others are available
+    preferFresh(candidates) {
+        const now = Date.now();
+        const fresh = candidates.filter(info => !this.recycleReason(info, now));
+        return fresh.length > 0 ? fresh : candidates;
+    }
+
+    // Another program can bind a reserved port before the instance does; start over on a new port
+    async startInstance(args) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.launchInstance(args);
+            } catch (err) {
+                if (!isAddressInUse(err) || attempt > this.portRetries) {
+                    throw err;
+                }
+                this.logger.warn(
+                    { operation: 'create', attempt, err },
+                    `Port already in use while starting ${this.resourceName}, retrying: ${err.message}`
+                );
+            }
+        }
+    }
+
+    launchInstance(args) {
+        return this.trace(`create ${this.resourceName}`, {}, async (span) => {
+            const startedAt = Date.now();
+            const info = await this.createInstance(...args);
+            span.setAttributes(instanceAttributes(info));
+            await this.ensureReady(info);
+            this.emit('instance:created', this.instanceEvent(info, { durationMs: Date.now() - startedAt }));
+            return info;
+        });
+    }
+
+    // Hold a new instance back until the readiness probe passes, terminating it if it never does
+    async ensureReady(info) {
+        if (!this.readinessProbe) {
+            return;
+        }
+
+        const probe = this.readinessProbe;
+        const attempts = await this.trace(`readiness ${this.resourceName}`, instanceAttributes(info), () =>
+            waitUntilReady(probe, info)
+        );
+
+        if (!attempts) {
+            await this.terminateSafely(info);
+            throw new CreationTimeoutError(
+                `${this.resourceName} ${info.name} did not pass the ${probe.type} readiness probe after ${probe.retries} attempts`,
+                { backend: this.backend, timeout: probe.retries * probe.interval }
+            );
+        }
+
+        this.logger.debug(
+            { operation: 'readiness', name: info.name, port: info.port, attempts },
+            `${this.resourceName} ${info.name} is ready after ${attempts} probe attempt(s)`
+        );
+    }
+
+    logStarted(info) {
+        this.logger.info(
+            { operation: 'create', name: info.name, port: info.port },
+            `Started ${this.resourceName}: ${info.name} (port ${info.port})`
+        );
+    }
+
+    addToPool(info, key) {
+        if (info.createdAt === undefined) {
+            info.createdAt = Date.now();
+        }
+        if (key !== undefined) {
+            this.instanceFunctions.set(info, key);
+        }
+        this.pool.push(info);
+        this.emit('instance:ready', this.instanceEvent(info));
+    }
+
+    touchInstance(info) {
+        info.lastUsed = Date.now();
+        this.requestCounts.set(info, (this.requestCounts.get(info) || 0) + 1);
+    }
+
+    async selectFromPool(context = {}, key) {
+        if (this.poolFor(key).length === 0) {
+            throw this.createExhaustedError(`No ${this.resourcePlural} available in pool`, 'empty');
+        }
+
+        let candidates;
+        while ((candidates = this.poolFor(key)).length > 0) {
+            // Prefer instances that are not exclusively leased
+            const idle = this.idleInstances(key);
+            const selected = this.selectInstance(this.preferFresh(idle.length > 0 ? idle : candidates), context);
+
+            if (await this.isAlive(selected)) {
+                this.touchInstance(selected);
+                return selected;
+            }
+
+            // Remove dead instance and try the remaining ones
+            this.removeDeadInstance(selected, { reason: 'probe failed' });
+        }
+
+        throw this.createExhaustedError(`No ${this.resourcePlural} available in pool after health check`, 'empty');
+    }
+
+    // Exclusive handout: resolves with a Lease once an instance is free
+    acquire(...args) {
+        return this.acquireWithContext(args, {});
+    }
+
+    acquireWithContext(args, context) {
+        return this.trace(`acquire ${this.resourceName}`, {}, async (span) => {
+            const startedAt = Date.now();
+            const lease = await this.acquireLease(args, context);
+            span.setAttributes(instanceAttributes(lease.instance));
+            this.emit('lease:acquired', this.instanceEvent(lease.instance, { waitMs: Date.now() - startedAt }));
+            return lease;
+        });
+    }
+
+    // Forward an HTTP request to a leased instance and release it once the response is read.
+    // request: { args, method, path, headers, body, stream, timeout, retries }, where args are the
+    // instance arguments passed to acquire() and body is a string, Buffer or readable stream.
+    // With stream: true the response body is returned as a stream and the lease is held until it ends.
+    invoke(request = {}) {
+        return this.invokeWithContext(request, {});
+    }
+
+    async invokeWithContext(request = {}, context = {}) {
+        const args = request.args || [];
+        const timeout = request.timeout ?? this.requestTimeout;
+        // A streamed body is consumed by the first attempt and cannot be replayed
+        const retries = isStream(request.body) ? 0 : (request.retries ?? this.requestRetries);
+        const startedAt = Date.now();
+
+        for (let attempt = 0; ; attempt++) {
+            const lease = await this.acquireWithContext(args, context);
+            if (request.stream && !this.streamsResponse(lease.instance)) {
+                lease.release();
+                throw new Error(`${this.resourceName} ${lease.name} answers with a result, not an HTTP body; invoke it without stream: true`);
+            }
+
+            let response;
+            try {
+                response = await this.callInstance(lease.instance, request, {
+                    timeout,
+                    onTimeout: () => new RequestTimeoutError(
+                        `${this.resourceName} ${lease.name} did not respond within ${timeout}ms`,
+                        { backend: this.backend, timeout }
+                    )
+                });
+            } catch (err) {
+                // A function mode instance is still running the timed-out call, so it cannot serve another
+                if (err instanceof RequestTimeoutError && lease.instance.channel) {
+                    this.logger.warn(
+                        { operation: 'invoke', name: lease.name, err },
+                        `${this.resourceName} ${lease.name} timed out and is replaced: ${err.message}`
+                    );
+                    await lease.destroy();
+                    throw err;
+                }
+                if (!isUnreachable(err)) {
+                    lease.release();
+                    throw err;
+                }
+
+                // Nothing is listening on the port: drop the instance so the retry lands elsewhere
+                this.logger.warn(
+                    { operation: 'invoke', name: lease.name, port: lease.port, err },
+                    `${this.resourceName} ${lease.name} refused the request: ${err.message}`
+                );
+                await lease.destroy();
+                if (attempt >= retries) {
+                    throw err;
+                }
+                continue;
+            }
+
+            this.recordLatency(args, Date.now() - startedAt);
+            const { socketPath } = lease.instance;
+            const instance = { name: lease.name, port: lease.port, ...(socketPath && { socketPath }) };
+            let held = false;
+            try {
+                if (request.stream) {
+                    const release = () => lease.release();
+                    response.body.once('end', release);
+                    response.body.once('close', release);
+                    response.body.once('error', release);
+                    held = true;
+                }
+            } finally {
+                if (!held) {
+                    lease.release();
+                }
+            }
+            return { ...response, instance };
+        }
+    }
+
+    streamsResponse() {
+        return true;
+    }
+
+    callInstance(info, request, options) {
+        return forwardRequest(info.port, request, info.socketPath ? { ...options, socketPath: info.socketPath } : options);
+    }
+
+    async acquireLease(args, context) {
+        await this.beginRequest(...args);
+        const fn = this.functionFor(args);
+
+        // Reuse an idle instance of the same function first
+        let idle = this.idleInstances(fn.key);
+        while (idle.length > 0) {
+            const info = this.selectInstance(this.preferFresh(idle), context);
+            if (!(await this.isAlive(info))) {
+                this.removeDeadInstance(info, { reason: 'probe failed' });
+            } else if (!this.busyInstances.has(info) && this.pool.includes(info)) {
+                return this.leaseInstance(info);
+            }
+            idle = this.idleInstances(fn.key);
+        }
+
+        if (this.hasCapacity(fn)) {
+            try {
+                const lease = await this.leaseNewInstance(args);
+                if (lease) {
+                    return lease;
+                }
+            } catch (err) {
+                this.handleCreateError(err, fn.key);
+            }
+        }
+
+        if (this.poolFor(fn.key).length === 0 && this.pendingCreations(fn.key).length === 0) {
+            throw this.createExhaustedError(`No ${this.resourcePlural} available in pool`, 'empty');
+        }
+
+        // Every instance of the function is leased or still starting, wait for one to be released
+        return this.enqueueWaiter(args, context);
+    }
+
+    enqueueWaiter(args, context = {}) {
+        if (this.waitQueue.length >= this.maxQueueLength) {
+            throw this.createExhaustedError(
+                `${this.managerName} wait queue is full (${this.maxQueueLength} waiting)`,
+                'queue_full'
+            );
+        }
+
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const waiter = {
+                args,
+                key: this.functionKey(...args),
+                context,
+                settled: false,
+                // Both return false if the waiter already timed out
+                resolve: (lease) => {
+                    if (waiter.settled) {
+                        return false;
+                    }
+                    waiter.settled = true;
+                    clearTimeout(timer);
+                    resolve(lease);
+                    return true;
+                },
+                reject: (err) => {
+                    if (waiter.settled) {
+                        return false;
+                    }
+                    waiter.settled = true;
+                    clearTimeout(timer);
+                    reject(err);
+                    return true;
+                }
+            };
+
+            if (this.acquireTimeout > 0) {
+                timer = setTimeout(() => {
+                    const index = this.waitQueue.indexOf(waiter);
+                    if (index !== -1) {
+                        this.waitQueue.splice(index, 1);
+                    }
+                    waiter.reject(this.createExhaustedError(
+                        `Timed out after ${this.acquireTimeout}ms waiting for a ${this.resourceName}`,
+                        'timeout'
+                    ));
+                }, this.acquireTimeout);
+            }
+
+            this.waitQueue.push(waiter);
+        });
+    }
+
+    createExhaustedError(message, reason) {
+        const err = new PoolExhaustedError(message, {
+            backend: this.backend,
+            reason,
+            retryAfter: Math.max(1, Math.ceil(this.acquireTimeout / 1000)),
+            queueLength: this.waitQueue.length
+        });
+        this.emit('pool:exhausted', {
+            backend: this.backend,
+            reason,
+            queueLength: err.queueLength,
+            poolSize: this.pool.length,
+            timestamp: Date.now()
+        });
+        return err;
+    }
+
+    createShuttingDownError() {
+        return new ShuttingDownError(`${this.managerName} is shutting down`, { backend: this.backend });
+    }
+
+    leaseInstance(info) {
+        this.busyInstances.add(info);
+        this.activeConnections.set(info, (this.activeConnections.get(info) || 0) + 1);
+        this.touchInstance(info);
+        return new Lease(this, info);
+    }
+
+    leaseNewInstance(args) {
+        return this.createPooled(this.functionFor(args), (info) => {
+            this.logStarted(info);
+            return this.leaseInstance(info);
+        });
+    }
+
+    releaseInstance(info) {
+        this.busyInstances.delete(info);
+        this.dropConnection(info);
+        info.lastUsed = Date.now();
+
+        // Rotate out instances that used up their lifetime or request budget
+        const reason = this.recycleReason(info);
+        if (reason && this.pool.includes(info)) {
+            this.evictInstance(info, reason);
+            return;
+        }
+        if (this.pool.includes(info) && this.isSurplus(info)) {
+            this.evictInstance(info, 'scaled down');
+            return;
+        }
+
+        this.serveWaiters();
+    }
+
+    async destroyInstance(info) {
+        this.busyInstances.delete(info);
+        this.dropConnection(info);
+        if (this.removeFromPool(info.name)) {
+            this.emit('instance:evicted', this.instanceEvent(info, { reason: 'destroyed' }));
+            await this.terminateSafely(info);
+        }
+        this.serveWaiters();
+    }
+
+    dropConnection(info) {
+        const connections = (this.activeConnections.get(info) || 0) - 1;
+        if (connections > 0) {
+            this.activeConnections.set(info, connections);
+        } else {
+            this.activeConnections.delete(info);
+        }
+    }
+
+    // Hand freed capacity to queued acquire() callers in FIFO order per function.
+    // A waiter whose function has no free capacity does not hold up other functions.
+    serveWaiters() {
+        const starting = new Set();
+        for (const waiter of [...this.waitQueue]) {
+            if (this.isShuttingDown) {
+                break;
+            }
+            if (starting.has(waiter.key)) {
+                continue;
+            }
+
+            const idle = this.idleInstances(waiter.key);
+            if (idle.length > 0) {
+                this.waitQueue.splice(this.waitQueue.indexOf(waiter), 1);
+                waiter.resolve(this.leaseInstance(this.selectInstance(this.preferFresh(idle), waiter.context)));
+                continue;
+            }
+
+            // Start one instance per function and pass, later waiters get it or the next release
+            starting.add(waiter.key);
+            if (this.hasCapacity(this.functionFor(waiter.args))) {
+                this.waitQueue.splice(this.waitQueue.indexOf(waiter), 1);
+                this.leaseNewInstance(waiter.args).then(lease => {
+                    if (!lease) {
+                        if (!waiter.settled) {
+                            this.waitQueue.unshift(waiter);
+                        }
+                    } else if (!waiter.resolve(lease)) {
+                        // Waiter timed out while the instance was starting
+                        lease.release();
+                    }
+                }, waiter.reject);
+            }
+        }
+    }
+
+    rejectWaiters(err) {
+        const waiters = this.waitQueue.splice(0);
+        waiters.forEach(waiter => waiter.reject(err));
+    }
+
+    async isAlive(info) {
+        try {
+            return Boolean(await this.probeInstance(info));
+        } catch (err) {
+            return false;
+        }
+    }
+
+    removeFromPool(name) {
+        const index = this.pool.findIndex(i => i.name === name);
+        if (index !== -1) {
+            const removed = this.pool.splice(index, 1)[0];
+            this.instanceFunctions.delete(removed);
+            this.busyInstances.delete(removed);
+            this.activeConnections.delete(removed);
+            this.requestCounts.delete(removed);
+            this.livenessFailures.delete(removed);
+            this.releaseResources(removed);
+            this.logger.info({ operation: 'remove', name, port: removed.port }, `Removed ${this.resourceName} ${name} from pool`);
+            this.onInstanceRemoved(removed);
+            this.serveWaiters();
+            return removed;
+        }
+        return null;
+    }
+
+    getPoolInfo() {
+        return {
+            poolSize: this.pool.length,
+            minPoolSize: this.minPoolSize,
+            maxPoolSize: this.maxPoolSize,
+            busy: this.busyInstances.size,
+            idle: this.pool.length - this.busyInstances.size,
+            waiting: this.waitQueue.length,
+            isShuttingDown: this.isShuttingDown,
+            watcherStarted: this.watcherStarted,
+            functions: [...this.functions.values()].map(fn => {
+                const instances = this.pool.filter(info => this.instanceFunctions.get(info) === fn.key);
+                return {
+                    key: fn.key,
+                    poolSize: instances.length,
+                    busy: instances.filter(info => this.busyInstances.has(info)).length,
+                    starting: this.pendingCreations(fn.key).length,
+                    ...this.functionLimits(fn),
+                    ...(fn.autoscale && { targetPoolSize: this.sizeLimit(fn) }),
+                    ...(fn.scaledTo !== undefined && { scaledTo: fn.scaledTo })
+                };
+            }),
+            [this.resourcePlural]: this.pool.map(info => this.describeInstance(info))
+        };
+    }
+
+    clearPool() {
+        this.pool = [];
+        this.instanceFunctions.clear();
+        this.busyInstances.clear();
+        this.activeConnections.clear();
+        this.requestCounts.clear();
+        this.livenessFailures.clear();
+        this.lastRequestTime = Date.now();
+    }
+
+    async stopAllInstances() {
+        if (this.pool.length === 0) {
+            this.logger.info({ operation: 'stop' }, `No ${this.resourcePlural} to stop`);
+            return;
+        }
+
+        this.logger.info({ operation: 'stop', count: this.pool.length }, `Stopping ${this.pool.length} ${this.resourcePlural}...`);
+
+        await Promise.allSettled(this.pool.map(info => this.terminateSafely(info)));
+
+        this.clearPool();
+        this.logger.info({ operation: 'stop' }, `All ${this.resourcePlural} stopped`);
+    }
+
+    async shutdown() {
+        if (this.isShuttingDown) {
+            return;
+        }
+
+        this.logger.info({ operation: 'shutdown' }, `${this.managerName} shutting down...`);
+        this.isShuttingDown = true;
+        const startedAt = Date.now();
+        this.emit('shutdown:start', { backend: this.backend, poolSize: this.pool.length, timestamp: startedAt });
+
+        this.rejectWaiters(this.createShuttingDownError());
+
+        // Stop the pool watcher
+        if (this.watcherInterval) {
+            clearInterval(this.watcherInterval);
+            this.watcherInterval = null;
+        }
+        if (this.livenessInterval) {
+            clearInterval(this.livenessInterval);
+            this.livenessInterval = null;
+        }
+        if (this.autoscaleInterval) {
+            clearInterval(this.autoscaleInterval);
+            this.autoscaleInterval = null;
+        }
+
+        await this.stopAllInstances();
+        if (this.ownsSocketDir && this.socketDir) {
+            removeSocketDir(this.socketDir);
+        }
+
+        this.removeShutdownHandlers();
+
+        this.logger.info({ operation: 'shutdown' }, `${this.managerName} shutdown complete`);
+        this.emit('shutdown:complete', { backend: this.backend, durationMs: Date.now() - startedAt, timestamp: Date.now() });
+    }
+
+    // Health check method
+    async healthCheck() {
+        const deadInstances = [];
+
+        for (let i = this.pool.length - 1; i >= 0; i--) {
+            const info = this.pool[i];
+            // The pool may have changed while probing, removeDeadInstance() skips instances already gone
+            if (!(await this.isAlive(info)) && this.removeDeadInstance(info, { reason: 'health check failed' })) {
+                deadInstances.push(info);
+            }
+        }
+
+        if (deadInstances.length > 0) {
+            this.logger.info(
+                { operation: 'healthCheck', names: deadInstances.map(info => info.name) },
+                `Removed ${deadInstances.length} dead ${this.resourcePlural} from pool`
+            );
+        }
+
+        const plural = this.resourcePlural.charAt(0).toUpperCase() + this.resourcePlural.slice(1);
+        return {
+            [`total${plural}`]: this.pool.length,
+            [`dead${plural}Removed`]: deadInstances.length,
+            healthy: this.pool.length > 0 || !this.isShuttingDown
+        };
+    }
+}
+
+module.exports = BaseManager;
@@ -1,55 +1,125 @@
+const path = require('path');
 const Docker = require('dockerode');
-const { getAvailablePort } = require('../utils/port');
+const { functionKey } = require('../utils/function-key');
+const BaseManager = require('./base');
+const { CreationTimeoutError, BackendUnavailableError } = require('../errors');
+const { RUNTIME_DIR } = require('../runtime');
 
-class DockerManager {
+// Where the bundled handler runtime is mounted inside containers
+const CONTAINER_RUNTIME_DIR = '/opt/serverless-runtime';
+// Where socketDir is mounted inside containers with the socket transport
+const CONTAINER_SOCKET_DIR = '/var/run/serverless';
+
+const TRANSPORTS = ['tcp', 'socket'];
+
+// Socket errors meaning the Docker daemon is down or not reachable
+const DAEMON_UNAVAILABLE_CODES = ['ECONNREFUSED', 'ENOENT', 'EACCES', 'ECONNRESET', 'ETIMEDOUT'];
+
+class DockerManager extends BaseManager {
     constructor(options = {}) {
+        super(options, {
+            backend: 'docker',
+            managerName: 'DockerManager',
+            resourceName: 'container',
+            resourcePlural: 'containers',
+            readinessDefaults: { interval: 500, retries: 60 }
+        });
         this.docker = new Docker();
         this.defaultContainerName = options.defaultContainerName || 'my-nodejs-express';
         this.defaultImageName = options.defaultImageName || 'my-nodejs-express';
-        this.maxPoolSize = options.maxPoolSize || 3;
-        this.poolCheckInterval = options.poolCheckInterval || 10000; // 10 seconds
         this.containerTimeout = options.containerTimeout || 30000; // 30 seconds
         this.shutdownTimeout = options.shutdownTimeout || 10000; // 10 seconds for Docker operations
-        
-        this.containerPool = [];
-        this.lastDockerRequestTime = Date.now();
-        this.watcherStarted = false;
-        this.watcherInterval = null;
-        this.isShuttingDown = false;
-        
-        // Graceful shutdown handling
-        this.setupShutdownHandlers();
+        // index.js exports handler(event, context) and runs under the bundled runtime
+        this.handler = Boolean(options.handler);
+        // 'socket' bind-mounts socketDir and has index.js listen on a Unix socket instead of a host port
+        this.transport = options.transport || 'tcp';
+        if (!TRANSPORTS.includes(this.transport)) {
+            throw new Error(`Unknown container transport "${this.transport}". Available: ${TRANSPORTS.join(', ')}`);
+        }
+        this.containerCount = 0;
     }
 
-    setupShutdownHandlers() {
-        const shutdownHandler = () => {
-            this.shutdown().catch(console.error);
-        };
-        
-        process.once('SIGINT', shutdownHandler);
-        process.once('SIGTERM', shutdownHandler);
-        process.once('beforeExit', shutdownHandler);
+    get containerPool() {
+        return this.pool;
+    }
+
+    set containerPool(pool) {
+        this.pool = pool;
     }
 
-    async poolWatcher() {
-        if (this.watcherInterval) {
-            return; // Already started
+    get lastDockerRequestTime() {
+        return this.lastRequestTime;
+    }
+
+    set lastDockerRequestTime(time) {
+        this.lastRequestTime = time;
+    }
+
+    validateRequest(scriptDirPath, scriptFiles = ['index.js']) {
+        if (!scriptDirPath) {
+            throw new Error('Script directory path is required');
         }
-        
-        this.watcherInterval = setInterval(async () => {
-            if (this.isShuttingDown) {
-                return;
-            }
-            
-            const now = Date.now();
-            // If no new request in the last interval and pool is not empty
-            if (this.containerPool.length > 0 && now - this.lastDockerRequestTime > this.poolCheckInterval) {
-                const containerToRemove = this.containerPool.shift();
-                if (containerToRemove) {
-                    await this.terminateContainer(containerToRemove);
-                }
+        const files = Array.isArray(scriptFiles) ? scriptFiles : [scriptFiles];
+        this.requireScripts(files.map(file => path.join(scriptDirPath, file)));
+    }
+
+    // options.env is passed to the container; each directory, file list and env gets its own pool
+    createInstance(scriptDirPath, scriptFiles = ['index.js'], options = {}) {
+        if (this.transport === 'socket') {
+            const containerName = `${this.defaultContainerName}-sock-${++this.containerCount}-${Date.now()}`;
+            return this.startContainer(null, containerName, scriptDirPath, scriptFiles, options.env);
+        }
+        return this.withPort(port => this.startContainer(
+            port, `${this.defaultContainerName}-${port}-${Date.now()}`, scriptDirPath, scriptFiles, options.env
+        ));
+    }
+
+    async startContainer(port, containerName, scriptDirPath, scriptFiles, env) {
+        let result;
+        try {
+            result = await this.createContainer(port, containerName, scriptDirPath, scriptFiles, env);
+        } catch (err) {
+            if (DAEMON_UNAVAILABLE_CODES.includes(err.code)) {
+                throw new BackendUnavailableError(`Docker daemon is not reachable: ${err.message}`, {
+                    backend: this.backend,
+                    cause: err
+                });
             }
-        }, this.poolCheckInterval);
+            throw err;
+        }
+        return {
+            name: containerName,
+            port,
+            ...(result.socketPath && { socketPath: result.socketPath }),
+            id: result.id,
+            createdAt: Date.now(),
+            lastUsed: Date.now()
+        };
+    }
+
+    functionKey(scriptDirPath, scriptFiles = ['index.js'], options = {}) {
+        return functionKey(scriptDirPath, scriptFiles, options.env);
+    }
+
+    terminateInstance(containerInfo) {
+        return this.terminateContainer(containerInfo);
+    }
+
+    async probeInstance(containerInfo) {
+        const container = this.docker.getContainer(containerInfo.name);
+        const info = await container.inspect();
+        return info.State.Running;
+    }
+
+    describeInstance(containerInfo) {
+        return {
+            name: containerInfo.name,
+            port: containerInfo.port,
+            ...(containerInfo.socketPath && { socketPath: containerInfo.socketPath }),
+            id: containerInfo.id,
+            createdAt: containerInfo.createdAt,
+            lastUsed: containerInfo.lastUsed
+        };
     }
 
     async terminateContainer(containerInfo) {
@@ -61,100 +131,34 @@ class DockerManager {
                     setTimeout(() => reject(new Error('Container termination timeout')), this.shutdownTimeout)
                 )
             ]);
-            console.log(`Stopped and removed container: ${containerName} (port ${containerPort})`);
+            this.logger.info(
+                { operation: 'terminate', name: containerName, port: containerPort },
+                `Stopped and removed container: ${containerName} (port ${containerPort})`
+            );
         } catch (err) {
-            console.error(`Error stopping container ${containerName}:`, err.message);
+            this.logger.error(
+                { operation: 'terminate', name: containerName, port: containerPort, err },
+                `Error stopping container ${containerName}: ${err.message}`
+            );
             // Force remove if graceful stop fails
             try {
                 const container = this.docker.getContainer(containerName);
                 await container.remove({ force: true });
-                console.log(`Force removed container: ${containerName}`);
+                this.logger.info({ operation: 'terminate', name: containerName }, `Force removed container: ${containerName}`);
             } catch (forceErr) {
-                console.error(`Error force removing container ${containerName}:`, forceErr.message);
+                this.logger.error(
+                    { operation: 'terminate', name: containerName, err: forceErr },
+                    `Error force removing container ${containerName}: ${forceErr.message}`
+                );
             }
         }
     }
 
-    async getOrCreateContainerInPool(scriptDirPath, scriptFiles = ['index.js']) {
-        if (this.isShuttingDown) {
-            throw new Error('DockerManager is shutting down');
-        }
-
-        if (!scriptDirPath) {
-            throw new Error('Script directory path is required');
-        }
-
-        this.lastDockerRequestTime = Date.now();
-
-        if (!this.watcherStarted) {
-            this.watcherStarted = true;
-            await this.poolWatcher();
-        }
-
-        // Try to create a new container if pool is not full
-        if (this.containerPool.length < this.maxPoolSize) {
-            try {
-                const port = await getAvailablePort();
-                const containerName = `${this.defaultContainerName}-${port}-${Date.now()}`;
-                const result = await this.createContainer(port, containerName, scriptDirPath, scriptFiles);
-                
-                // Double-check pool size in case it changed during async operation
-                if (this.containerPool.length < this.maxPoolSize) {
-                    const containerInfo = { 
-                        name: containerName, 
-                        port,
-                        id: result.id,
-                        createdAt: Date.now(),
-                        lastUsed: Date.now()
-                    };
-                    this.containerPool.push(containerInfo);
-                    console.log(`Started container: ${containerName} (port ${port})`);
-                    return containerInfo;
-                } else {
-                    // Pool filled up while we were creating, terminate this container
-                    await this.terminateContainer({ name: containerName, port });
-                }
-            } catch (err) {
-                console.warn(`Failed to create new container: ${err.message}`);
-                // Continue to try existing containers
-            }
-        }
-
-        // Return existing container from pool
-        if (this.containerPool.length > 0) {
-            // Use round-robin instead of random for better load distribution
-            const containerIndex = Math.floor(Date.now() / 1000) % this.containerPool.length;
-            const selectedContainer = this.containerPool[containerIndex];
-            
-            // Verify container is still alive
-            if (selectedContainer) {
-                try {
-                    const container = this.docker.getContainer(selectedContainer.name);
-                    const info = await container.inspect();
-                    if (info.State.Running) {
-                        selectedContainer.lastUsed = Date.now();
-                        return selectedContainer;
-                    } else {
-                        // Remove dead container and try again
-                        this.containerPool.splice(containerIndex, 1);
-                        if (this.containerPool.length > 0) {
-                            return this.containerPool[0];
-                        }
-                    }
-                } catch (err) {
-                    // Container doesn't exist, remove from pool
-                    this.containerPool.splice(containerIndex, 1);
-                    if (this.containerPool.length > 0) {
-                        return this.containerPool[0];
-                    }
-                }
-            }
-        }
-
-        throw new Error('No containers available in pool');
+    getOrCreateContainerInPool(scriptDirPath, scriptFiles = ['index.js'], options) {
+        return this.getOrCreateInstance(scriptDirPath, scriptFiles, options);
     }
 
-    async createContainer(port = 8080, containerName = null, scriptDir, scriptFiles = ['index.js']) {
+    async createContainer(port = 8080, containerName = null, scriptDir, scriptFiles = ['index.js'], env = null) {
         return new Promise(async (resolve, reject) => {
             let isResolved = false;
             
@@ -162,13 +166,19 @@ class DockerManager {
             const timeoutId = setTimeout(() => {
                 if (!isResolved) {
                     isResolved = true;
-                    reject(new Error(`Container creation timeout after ${this.containerTimeout}ms`));
+                    reject(new CreationTimeoutError(`Container creation timeout after ${this.containerTimeout}ms`, {
+                        backend: this.backend,
+                        timeout: this.containerTimeout
+                    }));
                 }
             }, this.containerTimeout);
 
             try {
                 containerName = containerName || this.defaultContainerName;
-                console.log(`Creating container "${containerName}" on port ${port}`);
+                this.logger.debug(
+                    { operation: 'create', name: containerName, port },
+                    `Creating container "${containerName}" on port ${port}`
+                );
                 
                 if (!scriptDir) {
                     clearTimeout(timeoutId);
@@ -183,18 +193,38 @@ class DockerManager {
                 }
                 
                 const binds = scriptFiles.map(file => `${scriptDir}/${file}:/usr/src/app/${file}`);
+                const socket = this.transport === 'socket';
+                let socketPath = null;
+                let listenOn = '9000';
+                if (socket) {
+                    socketPath = this.socketPathFor(containerName);
+                    binds.push(`${this.socketDir}:${CONTAINER_SOCKET_DIR}`);
+                    listenOn = `${CONTAINER_SOCKET_DIR}/${containerName}.sock`;
+                }
+                let cmd = ['node', 'index.js', listenOn];
+                if (this.handler) {
+                    binds.push(`${RUNTIME_DIR}:${CONTAINER_RUNTIME_DIR}:ro`);
+                    cmd = ['node', `${CONTAINER_RUNTIME_DIR}/bootstrap.js`, 'index.js', listenOn];
+                }
+                // Socket containers publish no ports
+                const network = socket
+                    ? { HostConfig: { Binds: binds } }
+                    : {
+                        ExposedPorts: { '9000/tcp': {} },
+                        HostConfig: {
+                            PortBindings: { '9000/tcp': [{ HostPort: String(port) }] },
+                            Binds: binds
+                        }
+                    };
                 
                 // Create and start the container
                 const container = await this.docker.createContainer({
                     Image: this.defaultImageName,
                     name: containerName,
-                    ExposedPorts: { '9000/tcp': {} },
-                    HostConfig: {
-                        PortBindings: { '9000/tcp': [{ HostPort: String(port) }] },
-                        Binds: binds
-                    },
+                    ...network,
                     WorkingDir: '/usr/src/app',
-                    Cmd: ['node', 'index.js', '9000']
+                    Cmd: cmd,
+                    ...(env && { Env: Object.entries(env).map(([name, value]) => `${name}=${value}`) })
                 });
                 
                 await container.start();
@@ -202,7 +232,7 @@ class DockerManager {
                 if (!isResolved) {
                     isResolved = true;
                     clearTimeout(timeoutId);
-                    resolve({ id: container.id, status: 'started', name: containerName });
+                    resolve({ id: container.id, status: 'started', name: containerName, ...(socketPath && { socketPath }) });
                 }
             } catch (err) {
                 clearTimeout(timeoutId);
@@ -215,13 +245,7 @@ class DockerManager {
     }
 
     removeContainerFromPool(containerName) {
-        const index = this.containerPool.findIndex(c => c.name === containerName);
-        if (index !== -1) {
-            const removed = this.containerPool.splice(index, 1)[0];
-            console.log(`Removed container ${containerName} from pool`);
-            return removed;
-        }
-        return null;
+        return this.removeFromPool(containerName);
     }
 
     async stopContainer(containerName = null) {
@@ -245,100 +269,8 @@ class DockerManager {
         }
     }
 
-    getPoolInfo() {
-        return {
-            poolSize: this.containerPool.length,
-            maxPoolSize: this.maxPoolSize,
-            isShuttingDown: this.isShuttingDown,
-            watcherStarted: this.watcherStarted,
-            containers: this.containerPool.map(c => ({ 
-                name: c.name, 
-                port: c.port,
-                id: c.id,
-                createdAt: c.createdAt,
-                lastUsed: c.lastUsed
-            }))
-        };
-    }
-
-    clearPool() {
-        this.containerPool = [];
-        this.lastDockerRequestTime = Date.now();
-    }
-
-    async stopAllContainers() {
-        if (this.containerPool.length === 0) {
-            return;
-        }
-
-        console.log(`Stopping ${this.containerPool.length} containers...`);
-        
-        const terminatePromises = this.containerPool.map(containerInfo => 
-            this.terminateContainer(containerInfo)
-        );
-        
-        try {
-            await Promise.allSettled(terminatePromises);
-        } catch (err) {
-            console.error('Error during container termination:', err);
-        }
-        
-        this.clearPool();
-        console.log('All containers stopped');
-    }
-
-    async shutdown() {
-        if (this.isShuttingDown) {
-            return;
-        }
-
-        console.log('DockerManager shutting down...');
-        this.isShuttingDown = true;
-
-        // Stop the pool watcher
-        if (this.watcherInterval) {
-            clearInterval(this.watcherInterval);
-            this.watcherInterval = null;
-        }
-
-        // Stop all containers
-        await this.stopAllContainers();
-
-        // Remove process event listeners
-        process.removeAllListeners('SIGINT');
-        process.removeAllListeners('SIGTERM');
-        process.removeAllListeners('beforeExit');
-
-        console.log('DockerManager shutdown complete');
-    }
-
-    // Health check method
-    async healthCheck() {
-        const deadContainers = [];
-        
-        for (let i = this.containerPool.length - 1; i >= 0; i--) {
-            const containerInfo = this.containerPool[i];
-            try {
-                const container = this.docker.getContainer(containerInfo.name);
-                const info = await container.inspect();
-                if (!info.State.Running) {
-                    deadContainers.push(this.containerPool.splice(i, 1)[0]);
-                }
-            } catch (err) {
-                // Container doesn't exist
-                deadContainers.push(this.containerPool.splice(i, 1)[0]);
-            }
-        }
-
-        if (deadContainers.length > 0) {
-            console.log(`Removed ${deadContainers.length} dead containers from pool`);
-        }
-
-        return {
-            totalContainers: this.containerPool.length,
-            deadContainersRemoved: deadContainers.length,
-            healthy: this.containerPool.length > 0 || !this.isShuttingDown
-        };
+    stopAllContainers() {
+        return this.stopAllInstances();
     }
 }
 
@@ -1,10 +1,26 @@
 const { spawn } = require('child_process');
-const { getAvailablePort } = require('../utils/port');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const BaseManager = require('./base');
+const { ManagerError, CreationTimeoutError, BackendUnavailableError } = require('../errors');
+const { instanceAttributes } = require('../tracing');
+const { readRuntimeFiles } = require('../runtime');
+const { functionKey } = require('../utils/function-key');
 
-class K8sManager {
+// ConfigMap holding the bundled handler runtime, mounted at /runtime in handler mode
+const RUNTIME_CONFIG_MAP = 'serverless-runtime';
+
+class K8sManager extends BaseManager {
     constructor(options = {}) {
+        super(options, {
+            backend: 'k8s',
+            managerName: 'K8sManager',
+            resourceName: 'pod',
+            resourcePlural: 'pods',
+            // Pods run npm install once Running, which can take well over 30s
+            readinessDefaults: { interval: 1000, retries: 180 }
+        });
         this.k8s = null;
         this.kc = null;
         this.k8sApi = null;
@@ -13,28 +29,29 @@ class K8sManager {
         this.namespace = options.namespace || 'default';
         this.defaultPodName = options.defaultPodName || 'my-nodejs-pod';
         this.defaultPodPort = options.defaultPodPort || 9000;
-        this.maxPoolSize = options.maxPoolSize || 3;
-        this.poolCheckInterval = options.poolCheckInterval || 10000; // 10 seconds
         this.podTimeout = options.podTimeout || 60000; // 60 seconds for pod to be ready
         this.shutdownTimeout = options.shutdownTimeout || 15000; // 15 seconds for pod deletion
+        this.portForwardTimeout = options.portForwardTimeout || 10000; // kubectl must be forwarding by then
+        // index.js exports handler(event, context) and runs under the bundled runtime
+        this.handler = Boolean(options.handler);
         
-        this.podPool = [];
-        this.lastPodRequestTime = Date.now();
-        this.watcherStarted = false;
-        this.watcherInterval = null;
-        this.isShuttingDown = false;
         this.portForwardProcesses = new Map(); // Track port-forward processes
-        
-        this.setupShutdownHandlers();
     }
 
-    setupShutdownHandlers() {
-        const shutdownHandler = () => {
-            this.shutdown().catch(console.error);
-        };
-        process.once('SIGINT', shutdownHandler);
-        process.once('SIGTERM', shutdownHandler);
-        process.once('beforeExit', shutdownHandler);
+    get podPool() {
+        return this.pool;
+    }
+
+    set podPool(pool) {
+        this.pool = pool;
+    }
+
+    get lastPodRequestTime() {
+        return this.lastRequestTime;
+    }
+
+    set lastPodRequestTime(time) {
+        this.lastRequestTime = time;
     }
 
     async initialize() {
@@ -47,45 +64,133 @@ class K8sManager {
             this.k8sApi = this.kc.makeApiClient(this.k8s.CoreV1Api);
             this.initialized = true;
         } catch (err) {
-            throw new Error(`Failed to initialize Kubernetes client: ${err.message}`);
+            throw new BackendUnavailableError(`Failed to initialize Kubernetes client: ${err.message}`, {
+                backend: this.backend,
+                cause: err
+            });
         }
     }
 
-    async poolWatcher() {
-        if (this.watcherInterval) {
-            return; // Already started
+    prepare() {
+        return this.initialize();
+    }
+
+    validateRequest(scriptDirPath, scriptFiles = ['index.js']) {
+        if (!scriptDirPath) {
+            throw new Error('Script directory path is required');
         }
-        
-        this.watcherInterval = setInterval(async () => {
-            const now = Date.now();
-            // If no new request in the last 10 seconds and pool is not empty
-            if (this.podPool.length > 0 && now - this.lastPodRequestTime > this.poolCheckInterval) {
-                const { name: podName, port: podPort } = this.podPool.shift();
-                try {
-                    await this.terminatePod({ name: podName, port: podPort });
-                    console.log(`Stopped and removed pod: ${podName} (port ${podPort})`);
-                } catch (err) {
-                    console.error(`Error stopping pod ${podName}:`, err.message);
+        this.requireScripts(scriptFiles.map(file => path.join(scriptDirPath, file)));
+    }
+
+    // options.env is added to the pod's environment; each function's scripts live in their own ConfigMap
+    async createInstance(scriptDirPath, scriptFiles = ['index.js'], options = {}) {
+        const configMapName = this.scriptsConfigMapName(scriptDirPath, scriptFiles);
+        try {
+            await this.trace('upsert configmap', { 'k8s.namespace': this.namespace }, async () => {
+                await this.createOrUpdateConfigMap(scriptDirPath, scriptFiles, configMapName);
+                if (this.handler) {
+                    await this.applyConfigMap(RUNTIME_CONFIG_MAP, readRuntimeFiles());
                 }
+            });
+        } catch (configMapErr) {
+            this.logger.error(
+                { operation: 'configMap', err: configMapErr },
+                `Failed to create/update ConfigMap: ${configMapErr.message}`
+            );
+            throw new ManagerError(`ConfigMap creation failed: ${configMapErr.message}`, 'CONFIG_MAP_FAILED', {
+                backend: this.backend,
+                cause: configMapErr
+            });
+        }
+
+        return this.withPort(async (port) => {
+            const podName = `${this.defaultPodName}-${port}-${Date.now()}`;
+            await this.createPod(port, podName, { configMapName, env: options.env });
+            return {
+                name: podName,
+                port,
+                createdAt: Date.now(),
+                lastUsed: Date.now()
+            };
+        });
+    }
+
+    functionKey(scriptDirPath, scriptFiles = ['index.js'], options = {}) {
+        return functionKey(scriptDirPath, scriptFiles, options.env);
+    }
+
+    // Env does not change the scripts, so functions differing only in env share a ConfigMap
+    scriptsConfigMapName(scriptDirPath, scriptFiles) {
+        const hash = crypto.createHash('sha1').update(functionKey(scriptDirPath, scriptFiles)).digest('hex');
+        return `scripts-${hash.slice(0, 12)}`;
+    }
+
+    async terminateInstance(podInfo) {
+        await this.terminatePod(podInfo);
+        this.logger.info(
+            { operation: 'terminate', name: podInfo.name, port: podInfo.port },
+            `Stopped and removed pod: ${podInfo.name} (port ${podInfo.port})`
+        );
+    }
+
+    async probeInstance(podInfo) {
+        try {
+            const podStatus = await this.k8sApi.readNamespacedPod({
+                namespace: this.namespace,
+                name: podInfo.name
+            });
+
+            if (podStatus.status && podStatus.status.phase === 'Running') {
+                return true;
             }
-        }, this.poolCheckInterval);
+            this.logger.warn(
+                { operation: 'probe', name: podInfo.name, port: podInfo.port, phase: podStatus.status?.phase },
+                `Pod ${podInfo.name} is not running (${podStatus.status?.phase}), removing from pool`
+            );
+            return false;
+        } catch (err) {
+            this.logger.warn(
+                { operation: 'probe', name: podInfo.name, port: podInfo.port, err },
+                `Failed to check pod status for ${podInfo.name}: ${err.message}`
+            );
+            return false;
+        }
     }
 
-    async createOrUpdateConfigMap(scriptDirPath, scriptFiles = ['index.js']) {
-        console.log(`Creating ConfigMap from scripts in: ${scriptDirPath}`);
-        console.log(`Script files: ${scriptFiles.join(', ')}`);
+    // Pods are expensive to create, so fail fast when there is nothing to fall back on
+    handleCreateError(err, key) {
+        if (this.poolFor(key).length === 0) {
+            this.logger.warn({ operation: 'create', err }, `Pod creation failed and pool is empty: ${err.message}`);
+            throw err;
+        }
+        this.logger.warn({ operation: 'create', err }, `Pod creation failed, using existing pod from pool: ${err.message}`);
+    }
+
+    onInstanceRemoved(podInfo) {
+        // Clean up port-forward process
+        const portForwardProcess = this.portForwardProcesses.get(podInfo.name);
+        if (portForwardProcess && !portForwardProcess.killed) {
+            portForwardProcess.kill('SIGTERM');
+            this.portForwardProcesses.delete(podInfo.name);
+        }
+    }
+
+    async createOrUpdateConfigMap(scriptDirPath, scriptFiles = ['index.js'], name = 'scripts') {
+        this.logger.debug(
+            { operation: 'configMap', scriptDirPath, scriptFiles },
+            `Creating ConfigMap from scripts in: ${scriptDirPath} (${scriptFiles.join(', ')})`
+        );
         
         const configMapData = {};
         
         // Add all script files to ConfigMap
         for (const scriptFile of scriptFiles) {
             const scriptPath = path.join(scriptDirPath, scriptFile);
-            console.log(`Checking script file: ${scriptPath}`);
             if (fs.existsSync(scriptPath)) {
                 configMapData[scriptFile] = fs.readFileSync(scriptPath, 'utf8');
-                console.log(`Added ${scriptFile} to ConfigMap`);
+                this.logger.debug({ operation: 'configMap', scriptFile }, `Added ${scriptFile} to ConfigMap`);
             } else {
-                console.warn(`Script file not found: ${scriptPath}`);
+                this.logger.warn({ operation: 'configMap', scriptPath }, `Script file not found: ${scriptPath}`);
             }
         }
         
@@ -94,143 +199,62 @@ class K8sManager {
             name: 'my-app',
             dependencies: { express: '^4.18.2' }
         });
-        console.log('Added package.json to ConfigMap');
 
+        await this.applyConfigMap(name, configMapData);
+    }
+
+    // Create the ConfigMap or replace its data when it already exists
+    async applyConfigMap(name, data) {
         const configMapManifest = {
             apiVersion: 'v1',
             kind: 'ConfigMap',
             metadata: {
-                name: 'scripts',
+                name,
                 namespace: this.namespace
             },
-            data: configMapData
+            data
         };
 
-        console.log(`ConfigMap data keys: ${Object.keys(configMapData).join(', ')}`);
-
         try {
             // Try to read existing ConfigMap
-            console.log(`Checking if ConfigMap 'scripts' exists in namespace '${this.namespace}'`);
-            await this.k8sApi.readNamespacedConfigMap({ namespace: this.namespace, name: 'scripts' });
+            await this.k8sApi.readNamespacedConfigMap({ namespace: this.namespace, name });
             // If it exists, update it
-            console.log('ConfigMap exists, updating...');
             await this.k8sApi.replaceNamespacedConfigMap({ 
                 namespace: this.namespace, 
-                name: 'scripts', 
+                name, 
                 body: configMapManifest 
             });
-            console.log('ConfigMap updated successfully');
+            this.logger.debug({ operation: 'configMap', namespace: this.namespace }, 'ConfigMap updated successfully');
         } catch (err) {
-            // console.log('ConfigMap does not exist or error reading it:', err.message);
-            console.log('>>>>>ConfigMap does not exist or error reading it:', err.code);
             // if (err.response?.statusCode === 404) {
             if (err.code === 404) {
                 // ConfigMap doesn't exist, create it
-                console.log('ConfigMap not found, creating new one...');
                 try {
                     await this.k8sApi.createNamespacedConfigMap({ 
                         namespace: this.namespace, 
                         body: configMapManifest 
                     });
-                    console.log('ConfigMap created successfully');
+                    this.logger.debug({ operation: 'configMap', namespace: this.namespace }, 'ConfigMap created successfully');
                 } catch (createErr) {
-                    console.error('Failed to create ConfigMap:', createErr.message);
+                    this.logger.error(
+                        { operation: 'configMap', err: createErr },
+                        `Failed to create ConfigMap: ${createErr.message}`
+                    );
                     throw createErr;
                 }
             } else {
-                console.error('Error reading ConfigMap:', err.message);
-                console.error('Error reading ConfigMap:', JSON.stringify(err));
+                this.logger.error({ operation: 'configMap', err }, `Error reading ConfigMap: ${err.message}`);
                 throw err;
             }
         }
     }
 
-    async getOrCreatePodInPool(scriptDirPath, scriptFiles = ['index.js']) {
-        await this.initialize();
-        
-        if (this.isShuttingDown) {
-            throw new Error('K8sManager is shutting down');
-        }
-
-        if (!scriptDirPath) {
-            throw new Error('Script directory path is required');
-        }
-        
-        this.lastPodRequestTime = Date.now();
-
-        if (!this.watcherStarted) {
-            this.watcherStarted = true;
-            this.poolWatcher();
-        }
-        
-        if (this.podPool.length < this.maxPoolSize) {        
-            try {
-                await this.createOrUpdateConfigMap(scriptDirPath, scriptFiles);
-            } catch (configMapErr) {
-                console.error('Failed to create/update ConfigMap:', configMapErr.message);
-                throw new Error(`ConfigMap creation failed: ${configMapErr.message}`);
-            }
-            
-            try {
-                const port = await getAvailablePort();
-                const podName = `${this.defaultPodName}-${port}-${Date.now()}`;
-                await this.createPod(port, podName);
-                this.podPool.push({ 
-                    name: podName, 
-                    port,
-                    createdAt: Date.now(),
-                    lastUsed: Date.now()
-                });
-                console.log(`Started pod: ${podName} (port ${port})`);
-            } catch (err) {
-                if (this.podPool.length === 0) {
-                    console.warn('Pod creation failed and pool is empty:', err.message);
-                    throw err;
-                }
-                console.warn('Pod creation failed, using existing pod from pool:', err.message);
-            }
-        }
-
-        if (this.podPool.length === 0) {
-            throw new Error('No pods available in pool');
-        }
-
-        // Round-robin selection with liveness check
-        const podIndex = Math.floor(Date.now() / 1000) % this.podPool.length;
-        const selectedPod = this.podPool[podIndex];
-        
-        // Verify pod is still running
-        try {
-            const podStatus = await this.k8sApi.readNamespacedPod({
-                namespace: this.namespace,
-                name: selectedPod.name
-            });
-            
-            if (podStatus.status && podStatus.status.phase === 'Running') {
-                selectedPod.lastUsed = Date.now();
-                return { name: selectedPod.name, port: selectedPod.port };
-            } else {
-                console.warn(`Pod ${selectedPod.name} is not running (${podStatus.status?.phase}), removing from pool`);
-                this.removePodFromPool(selectedPod.name);
-                
-                // Recursively try again with remaining pods
-                if (this.podPool.length > 0) {
-                    return this.getOrCreatePodInPool(scriptDirPath, scriptFiles);
-                }
-                throw new Error('No healthy pods available in pool');
-            }
-        } catch (err) {
-            console.warn(`Failed to check pod status for ${selectedPod.name}:`, err.message);
-            // Remove dead pod and try again
-            this.removePodFromPool(selectedPod.name);
-            if (this.podPool.length > 0) {
-                return this.getOrCreatePodInPool(scriptDirPath, scriptFiles);
-            }
-            throw new Error('No pods available in pool after health check');
-        }
+    getOrCreatePodInPool(scriptDirPath, scriptFiles = ['index.js'], options) {
+        return this.getOrCreateInstance(scriptDirPath, scriptFiles, options);
     }
 
-    async createPod(port = 8080, podName = null) {
+    // options: { configMapName, env }
+    async createPod(port = 8080, podName = null, options = {}) {
         await this.initialize();
         
         podName = podName || this.defaultPodName;
@@ -240,12 +264,15 @@ class K8sManager {
             const timeoutId = setTimeout(() => {
                 if (!isResolved) {
                     isResolved = true;
-                    reject(new Error(`Pod creation timeout after ${this.podTimeout}ms`));
+                    reject(new CreationTimeoutError(`Pod creation timeout after ${this.podTimeout}ms`, {
+                        backend: this.backend,
+                        timeout: this.podTimeout
+                    }));
                 }
             }, this.podTimeout);
             
             try {
-                const result = await this._createPodInternal(port, podName);
+                const result = await this._createPodInternal(port, podName, options);
                 if (!isResolved) {
                     isResolved = true;
                     clearTimeout(timeoutId);
@@ -261,7 +288,7 @@ class K8sManager {
         });
     }
 
-    async _createPodInternal(port, podName) {
+    async _createPodInternal(port, podName, options = {}) {
         const podManifest = {
             apiVersion: 'v1',
             kind: 'Pod',
@@ -287,7 +314,8 @@ class K8sManager {
                         ],
                         command: ['sh', '-c'],
                         args: [
-                            'cp -L -r /scripts/* /app/ && npm install --omit=dev --no-audit --no-fund && exec node index.js'
+                            'cp -L -r /scripts/* /app/ && npm install --omit=dev --no-audit --no-fund && ' +
+                            (this.handler ? 'exec node /runtime/bootstrap.js index.js' : 'exec node index.js')
                         ],
                         env: [
                             {
@@ -297,7 +325,8 @@ class K8sManager {
                             {
                                 name: 'NODE_ENV',
                                 value: 'production'
-                            }
+                            },
+                            ...Object.entries(options.env || {}).map(([name, value]) => ({ name, value: String(value) }))
                         ]
                     },
                 ],
@@ -305,7 +334,7 @@ class K8sManager {
                     {
                         name: 'app-scripts',
                         configMap: {
-                            name: 'scripts',
+                            name: options.configMapName || 'scripts',
                             defaultMode: 0o755
                         }
                     }
@@ -313,32 +342,66 @@ class K8sManager {
             },
         };
 
-        console.log(`Attempting to create Pod in namespace: ${this.namespace}`);
+        if (this.handler) {
+            const container = podManifest.spec.containers[0];
+            container.volumeMounts.push({ name: 'serverless-runtime', mountPath: '/runtime', readOnly: true });
+            podManifest.spec.volumes.push({ name: 'serverless-runtime', configMap: { name: RUNTIME_CONFIG_MAP } });
+        }
+
+        this.logger.debug(
+            { operation: 'create', name: podName, port, namespace: this.namespace },
+            `Attempting to create Pod in namespace: ${this.namespace}`
+        );
+        const res = await this.k8sApi.createNamespacedPod({ 
+            namespace: this.namespace, 
+            body: podManifest 
+        });
+
         try {
-            const res = await this.k8sApi.createNamespacedPod({ 
-                namespace: this.namespace, 
-                body: podManifest 
-            });
+            const attributes = { ...instanceAttributes({ name: podName, port }), 'k8s.namespace': this.namespace };
+            await this.trace('wait pod running', attributes, () => this.waitForPodRunning(podName));
+            this.logger.info({ operation: 'create', name: podName, port }, `Pod "${podName}" is running.`);
 
-            // Wait for pod to be ready (status.phase === 'Running')
-            let isReady = false;
-            for (let i = 0; i < 30; i++) {
-                const podStatus = await this.k8sApi.readNamespacedPod({ 
-                    namespace: this.namespace, 
-                    name: podName 
-                });
-                if (podStatus.status && podStatus.status.phase === 'Running') {
-                    isReady = true;
-                    break;
-                }
-                await new Promise(resolve => setTimeout(resolve, 500));
+            const portForwardProcess = await this.trace('port-forward pod', attributes, () =>
+                this.startPortForward(podName, port)
+            );
+
+            return { status: 'started', name: podName, pod: res.body, portForwardProcess };
+        } catch (err) {
+            // The pod exists already: delete it so a failed start leaves nothing behind in the cluster
+            try {
+                await this.deletePod(podName);
+            } catch (deleteErr) {
+                this.logger.warn(
+                    { operation: 'create', name: podName, err: deleteErr },
+                    `Failed to delete pod ${podName} after a failed start: ${deleteErr.message}`
+                );
             }
+            throw err;
+        }
+    }
 
-            if (!isReady) {
-                throw new Error(`Pod "${podName}" did not become ready in time.`);
+    async waitForPodRunning(podName) {
+        // Wait for pod to be ready (status.phase === 'Running')
+        for (let i = 0; i < 30; i++) {
+            const podStatus = await this.k8sApi.readNamespacedPod({ 
+                namespace: this.namespace, 
+                name: podName 
+            });
+            if (podStatus.status && podStatus.status.phase === 'Running') {
+                return;
             }
-            console.log(`Pod "${podName}" is running.`);
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+
+        throw new CreationTimeoutError(`Pod "${podName}" did not become ready in time.`, {
+            backend: this.backend
+        });
+    }
 
+    // Resolves with the kubectl process once it prints "Forwarding from", i.e. once the port accepts connections
+    startPortForward(podName, port) {
+        return new Promise((resolve, reject) => {
             // Port-forward defaultPodPort to the requested port
             const portForwardProcess = spawn('kubectl', [
                 'port-forward',
@@ -348,21 +411,50 @@ class K8sManager {
                 this.namespace
             ]);
 
-            // Optionally, handle port-forward process events
-            portForwardProcess.stdout.on('data', data => {
-                console.log(`kubectl port-forward stdout: ${data}`);
-            });
-            portForwardProcess.stderr.on('data', data => {
-                console.error(`kubectl port-forward stderr: ${data}`);
-            });
+            let settled = false;
+            const settle = err => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(timer);
+                if (!err) {
+                    resolve(portForwardProcess);
+                    return;
+                }
+                portForwardProcess.kill('SIGTERM');
+                this.portForwardProcesses.delete(podName);
+                reject(err);
+            };
+            const timer = setTimeout(() => settle(new CreationTimeoutError(
+                `kubectl port-forward for pod "${podName}" was not forwarding after ${this.portForwardTimeout}ms`,
+                { backend: this.backend, timeout: this.portForwardTimeout }
+            )), this.portForwardTimeout);
 
             // Track port-forward process for cleanup
             this.portForwardProcesses.set(podName, portForwardProcess);
 
-            return { status: 'started', name: podName, pod: res.body, portForwardProcess };
-        } catch (err) {
-            throw err;
-        }
+            portForwardProcess.stdout.on('data', data => {
+                this.logger.debug({ name: podName, port, stream: 'stdout' }, `kubectl port-forward stdout: ${data}`);
+                if (String(data).includes('Forwarding from')) {
+                    settle();
+                }
+            });
+            let addressInUse = false;
+            portForwardProcess.stderr.on('data', data => {
+                this.logger.warn({ name: podName, port, stream: 'stderr' }, `kubectl port-forward stderr: ${data}`);
+                addressInUse = addressInUse || /address already in use/i.test(String(data));
+            });
+            portForwardProcess.on('error', err => settle(err));
+            portForwardProcess.on('exit', code => {
+                const err = new Error(`kubectl port-forward for pod "${podName}" exited with code ${code} before forwarding`);
+                // Lets withPort() quarantine the port instead of handing it out again
+                if (addressInUse) {
+                    err.code = 'EADDRINUSE';
+                }
+                settle(err);
+            });
+        });
     }
 
     async terminatePod(podInfo) {
@@ -384,7 +476,10 @@ class K8sManager {
                 )
             ]);
         } catch (err) {
-            console.warn(`Failed to gracefully terminate pod ${podName}, attempting force delete:`, err.message);
+            this.logger.warn(
+                { operation: 'terminate', name: podName, err },
+                `Failed to gracefully terminate pod ${podName}, attempting force delete: ${err.message}`
+            );
             
             // Force delete pod
             try {
@@ -396,75 +491,17 @@ class K8sManager {
                     }
                 });
             } catch (forceErr) {
-                console.error(`Force delete also failed for pod ${podName}:`, forceErr.message);
+                this.logger.error(
+                    { operation: 'terminate', name: podName, err: forceErr },
+                    `Force delete also failed for pod ${podName}: ${forceErr.message}`
+                );
                 throw forceErr;
             }
         }
     }
 
-    async shutdown() {
-        if (this.isShuttingDown) {
-            return;
-        }
-        
-        console.log('K8sManager shutting down...');
-        this.isShuttingDown = true;
-        
-        // Stop pool watcher
-        if (this.watcherInterval) {
-            clearInterval(this.watcherInterval);
-            this.watcherInterval = null;
-        }
-        
-        // Terminate all pods
-        await this.stopAllPods();
-        
-        console.log('K8sManager shutdown complete');
-    }
-
-    async healthCheck() {
-        const deadPods = [];
-        
-        for (let i = this.podPool.length - 1; i >= 0; i--) {
-            const podInfo = this.podPool[i];
-            try {
-                const podStatus = await this.k8sApi.readNamespacedPod({
-                    namespace: this.namespace,
-                    name: podInfo.name
-                });
-                
-                if (!podStatus.status || podStatus.status.phase !== 'Running') {
-                    deadPods.push(this.podPool.splice(i, 1)[0]);
-                }
-            } catch (err) {
-                // Pod doesn't exist or can't be read
-                deadPods.push(this.podPool.splice(i, 1)[0]);
-            }
-        }
-        
-        return {
-            totalPods: this.podPool.length,
-            deadPodsRemoved: deadPods.length,
-            healthy: this.podPool.length > 0 || !this.isShuttingDown
-        };
-    }
-
     removePodFromPool(podName) {
-        const index = this.podPool.findIndex(p => p.name === podName);
-        if (index !== -1) {
-            const removed = this.podPool.splice(index, 1)[0];
-            console.log(`Removed pod ${podName} from pool`);
-            
-            // Clean up port-forward process
-            const portForwardProcess = this.portForwardProcesses.get(podName);
-            if (portForwardProcess && !portForwardProcess.killed) {
-                portForwardProcess.kill('SIGTERM');
-                this.portForwardProcesses.delete(podName);
-            }
-            
-            return removed;
-        }
-        return null;
+        return this.removeFromPool(podName);
     }
 
     async deletePod(podName = null) {
@@ -486,42 +523,8 @@ class K8sManager {
         }
     }
 
-    getPoolInfo() {
-        return {
-            poolSize: this.podPool.length,
-            maxPoolSize: this.maxPoolSize,
-            isShuttingDown: this.isShuttingDown,
-            watcherStarted: this.watcherStarted,
-            pods: this.podPool.map(p => ({ 
-                name: p.name, 
-                port: p.port,
-                createdAt: p.createdAt,
-                lastUsed: p.lastUsed
-            }))
-        };
-    }
-
-    clearPool() {
-        this.podPool = [];
-        this.lastPodRequestTime = Date.now();
-    }
-
-    async stopAllPods() {
-        if (this.podPool.length === 0) {
-            console.log('No pods to stop');
-            return;
-        }
-
-        const promises = this.podPool.map(async (podInfo) => {
-            try {
-                await this.terminatePod(podInfo);
-            } catch (err) {
-                console.error(`Error stopping pod ${podInfo.name}:`, err.message);
-            }
-        });
-        
-        await Promise.allSettled(promises);
-        this.clearPool();
+    stopAllPods() {
+        return this.stopAllInstances();
     }
 }
 
@@ -1,52 +1,107 @@
-const { spawn } = require('child_process');
-const { getAvailablePort } = require('../utils/port');
+const path = require('path');
+const { spawn, fork } = require('child_process');
+const { functionKey } = require('../utils/function-key');
+const BaseManager = require('./base');
+const { CreationTimeoutError } = require('../errors');
+const { RpcChannel, MESSAGE_TYPES } = require('../rpc');
 
-class ProcessManager {
+const { RUNTIME_ENTRY } = require('../runtime');
+
+const MODES = ['http', 'function'];
+const TRANSPORTS = ['tcp', 'socket'];
+
+class ProcessManager extends BaseManager {
     constructor(options = {}) {
-        this.maxPoolSize = options.maxPoolSize || 3;
-        this.poolCheckInterval = options.poolCheckInterval || 10000; // 10 seconds
+        super(options, {
+            backend: 'process',
+            managerName: 'ProcessManager',
+            resourceName: 'process',
+            resourcePlural: 'processes'
+        });
         this.processTimeout = options.processTimeout || 30000; // 30 seconds
-        this.shutdownTimeout = options.shutdownTimeout || 5000; // 5 seconds
-        
-        this.processPool = [];
-        this.lastProcessRequestTime = Date.now();
-        this.watcherStarted = false;
-        this.watcherInterval = null;
-        this.isShuttingDown = false;
-        
-        // Graceful shutdown handling
-        this.setupShutdownHandlers();
+        // 'http' runs scripts that serve HTTP on the port passed as argv[2], 'function' forks
+        // scripts that export a handler called over the IPC channel
+        this.mode = options.mode || 'http';
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Unknown process mode "${this.mode}". Available: ${MODES.join(', ')}`);
+        }
+        // Scripts export handler(event, context) and run under the bundled runtime (always in function mode)
+        this.handler = this.mode === 'function' || Boolean(options.handler);
+        // 'socket' passes a Unix socket path (under socketDir) instead of the port as argv[2]
+        this.transport = options.transport || 'tcp';
+        if (!TRANSPORTS.includes(this.transport)) {
+            throw new Error(`Unknown process transport "${this.transport}". Available: ${TRANSPORTS.join(', ')}`);
+        }
+        this.processCount = 0;
     }
 
-    setupShutdownHandlers() {
-        const shutdownHandler = () => {
-            this.shutdown().catch(console.error);
-        };
-        
-        process.once('SIGINT', shutdownHandler);
-        process.once('SIGTERM', shutdownHandler);
-        process.once('beforeExit', shutdownHandler);
+    get processPool() {
+        return this.pool;
+    }
+
+    set processPool(pool) {
+        this.pool = pool;
     }
 
-    async poolWatcher() {
-        if (this.watcherInterval) {
-            return; // Already started
+    get lastProcessRequestTime() {
+        return this.lastRequestTime;
+    }
+
+    set lastProcessRequestTime(time) {
+        this.lastRequestTime = time;
+    }
+
+    validateRequest(scriptPath) {
+        if (!scriptPath) {
+            throw new Error('Script path is required');
         }
-        
-        this.watcherInterval = setInterval(async () => {
-            if (this.isShuttingDown) {
-                return;
-            }
-            
-            const now = Date.now();
-            // If no new request in the last interval and pool is not empty
-            if (this.processPool.length > 0 && now - this.lastProcessRequestTime > this.poolCheckInterval) {
-                const processToRemove = this.processPool.shift();
-                if (processToRemove) {
-                    await this.terminateProcess(processToRemove);
-                }
-            }
-        }, this.poolCheckInterval);
+        this.requireScripts([scriptPath]);
+    }
+
+    // options.env is merged over the manager's environment; scripts with different env get separate pools
+    async createInstance(scriptPath, options = {}) {
+        if (this.mode === 'function') {
+            return this.forkProcess(scriptPath, `process-fn-${++this.processCount}-${Date.now()}`, options.env);
+        }
+        if (this.transport === 'socket') {
+            const processName = `process-sock-${++this.processCount}-${Date.now()}`;
+            const socketPath = this.socketPathFor(processName);
+            const processInfo = await this.createProcess(scriptPath, socketPath, processName, options.env);
+            return Object.assign(processInfo, { port: null, socketPath });
+        }
+        return this.withPort(port => this.createProcess(scriptPath, port, `process-${port}-${Date.now()}`, options.env));
+    }
+
+    functionKey(scriptPath, options = {}) {
+        return functionKey(scriptPath, null, options.env);
+    }
+
+    // Function mode calls the handler with request.payload over IPC
+    async callInstance(processInfo, request, options) {
+        if (!processInfo.channel) {
+            return super.callInstance(processInfo, request, options);
+        }
+        const result = await processInfo.channel.call(request.payload, options);
+        return { result };
+    }
+
+    streamsResponse(processInfo) {
+        return !processInfo.channel;
+    }
+
+    terminateInstance(processInfo) {
+        return this.terminateProcess(processInfo);
+    }
+
+    probeInstance(processInfo) {
+        return Boolean(processInfo.process && !processInfo.process.killed);
+    }
+
+    describeInstance(processInfo) {
+        return {
+            ...super.describeInstance(processInfo),
+            alive: processInfo.process && !processInfo.process.killed
+        };
     }
 
     async terminateProcess(processInfo) {
@@ -61,78 +116,30 @@ class ProcessManager {
                     setTimeout(() => reject(new Error('Process termination timeout')), this.shutdownTimeout)
                 )
             ]);
-            console.log(`Stopped and removed process: ${processName}`);
+            this.logger.info({ operation: 'terminate', name: processName }, `Stopped and removed process: ${processName}`);
         } catch (err) {
-            console.error(`Error stopping process ${processName}:`, err.message);
+            this.logger.error(
+                { operation: 'terminate', name: processName, err },
+                `Error stopping process ${processName}: ${err.message}`
+            );
             // Force kill if graceful termination fails
             try {
                 childProcess.kill('SIGKILL');
             } catch (killErr) {
-                console.error(`Error force killing process ${processName}:`, killErr.message);
+                this.logger.error(
+                    { operation: 'terminate', name: processName, err: killErr },
+                    `Error force killing process ${processName}: ${killErr.message}`
+                );
             }
         }
     }
 
-    async getOrCreateProcessInPool(scriptPath) {
-        if (this.isShuttingDown) {
-            throw new Error('ProcessManager is shutting down');
-        }
-
-        if (!scriptPath) {
-            throw new Error('Script path is required');
-        }
-
-        this.lastProcessRequestTime = Date.now();
-
-        if (!this.watcherStarted) {
-            this.watcherStarted = true;
-            await this.poolWatcher();
-        }
-
-        // Try to create a new process if pool is not full
-        if (this.processPool.length < this.maxPoolSize) {
-            try {
-                const port = await getAvailablePort();
-                const processName = `process-${port}-${Date.now()}`;
-                const processInfo = await this.createProcess(scriptPath, port, processName);
-                
-                // Double-check pool size in case it changed during async operation
-                if (this.processPool.length < this.maxPoolSize) {
-                    this.processPool.push(processInfo);
-                    console.log(`Started process: ${processName} (port ${port})`);
-                    return processInfo;
-                } else {
-                    // Pool filled up while we were creating, terminate this process
-                    await this.terminateProcess(processInfo);
-                }
-            } catch (err) {
-                console.warn(`Failed to create new process: ${err.message}`);
-                // Continue to try existing processes
-            }
-        }
-        
-        // Return existing process from pool
-        if (this.processPool.length > 0) {
-            // Use round-robin instead of random for better load distribution
-            const processIndex = Math.floor(Date.now() / 1000) % this.processPool.length;
-            const selectedProcess = this.processPool[processIndex];
-            
-            // Verify process is still alive
-            if (selectedProcess && selectedProcess.process && !selectedProcess.process.killed) {
-                return selectedProcess;
-            } else {
-                // Remove dead process and try again
-                this.processPool.splice(processIndex, 1);
-                if (this.processPool.length > 0) {
-                    return this.processPool[0];
-                }
-            }
-        }
-
-        throw new Error('No processes available in pool');
+    getOrCreateProcessInPool(scriptPath, options) {
+        return this.getOrCreateInstance(scriptPath, options);
     }
 
-    createProcess(scriptPath, port, processName) {
+    // port is passed to the script as argv[2], and is a socket path with the socket transport
+    createProcess(scriptPath, port, processName, env) {
         return new Promise((resolve, reject) => {
             let isResolved = false;
             
@@ -140,19 +147,23 @@ class ProcessManager {
             const timeoutId = setTimeout(() => {
                 if (!isResolved) {
                     isResolved = true;
-                    reject(new Error(`Process creation timeout after ${this.processTimeout}ms`));
+                    reject(new CreationTimeoutError(`Process creation timeout after ${this.processTimeout}ms`, {
+                        backend: this.backend,
+                        timeout: this.processTimeout
+                    }));
                 }
             }, this.processTimeout);
 
             try {
-                const childProcess = spawn('node', [scriptPath, port]);
+                const argv = this.handler ? [RUNTIME_ENTRY, path.resolve(scriptPath), port] : [scriptPath, port];
+                const childProcess = spawn('node', argv, { env: { ...process.env, ...env } });
                 
                 const cleanup = () => {
                     clearTimeout(timeoutId);
                 };
 
                 childProcess.stdout.once('data', (data) => {
-                    console.log(`${processName} stdout: ${data}`);
+                    this.logger.debug({ operation: 'create', name: processName, port }, `${processName} stdout: ${data}`);
                     if (!isResolved) {
                         isResolved = true;
                         cleanup();
@@ -168,25 +179,36 @@ class ProcessManager {
                     }
                 });
 
+                let addressInUse = false;
                 childProcess.stderr.on('data', (data) => {
-                    console.error(`${processName} stderr: ${data}`);
+                    this.logger.warn({ name: processName, port, stream: 'stderr' }, `${processName} stderr: ${data}`);
+                    addressInUse = addressInUse || String(data).includes('EADDRINUSE');
                 });
 
                 childProcess.on('close', (code) => {
-                    console.log(`${processName} exited with code ${code}`);
+                    this.logger.info({ operation: 'exit', name: processName, port, exitCode: code }, `${processName} exited with code ${code}`);
                     cleanup();
-                    this.removeProcessFromPool(processName);
+                    if (!isResolved) {
+                        isResolved = true;
+                        const err = new Error(`${processName} exited with code ${code} before it was ready`);
+                        if (addressInUse) {
+                            err.code = 'EADDRINUSE';
+                        }
+                        reject(err);
+                        return;
+                    }
+                    this.handleInstanceExit(processName, { exitCode: code });
                 });
 
                 childProcess.on('error', (err) => {
-                    console.error(`${processName} error:`, err);
+                    this.logger.error({ name: processName, port, err }, `${processName} error: ${err.message}`);
                     if (!isResolved) {
                         isResolved = true;
                         cleanup();
                         reject(err);
                     } else {
                         // Process error after creation, remove from pool
-                        this.removeProcessFromPool(processName);
+                        this.handleInstanceExit(processName, { error: err.message });
                     }
                 });
 
@@ -200,103 +222,99 @@ class ProcessManager {
         });
     }
 
-    removeProcessFromPool(processName) {
-        const index = this.processPool.findIndex(p => p.name === processName);
-        if (index !== -1) {
-            const removed = this.processPool.splice(index, 1)[0];
-            console.log(`Removed process ${processName} from pool`);
-            return removed;
-        }
-        return null;
-    }
-
-    getPoolInfo() {
-        return {
-            poolSize: this.processPool.length,
-            maxPoolSize: this.maxPoolSize,
-            isShuttingDown: this.isShuttingDown,
-            watcherStarted: this.watcherStarted,
-            processes: this.processPool.map(p => ({ 
-                name: p.name, 
-                port: p.port,
-                createdAt: p.createdAt,
-                lastUsed: p.lastUsed,
-                alive: p.process && !p.process.killed
-            }))
-        };
-    }
-
-    clearPool() {
-        this.processPool = [];
-        this.lastProcessRequestTime = Date.now();
-    }
+    // Fork the function runtime, which loads scriptPath and answers invocations over IPC
+    forkProcess(scriptPath, processName, env) {
+        return new Promise((resolve, reject) => {
+            let isResolved = false;
 
-    async stopAllProcesses() {
-        if (this.processPool.length === 0) {
-            return;
-        }
+            const timeoutId = setTimeout(() => {
+                if (!isResolved) {
+                    isResolved = true;
+                    childProcess.kill();
+                    reject(new CreationTimeoutError(`Process creation timeout after ${this.processTimeout}ms`, {
+                        backend: this.backend,
+                        timeout: this.processTimeout
+                    }));
+                }
+            }, this.processTimeout);
 
-        console.log(`Stopping ${this.processPool.length} processes...`);
-        
-        const terminatePromises = this.processPool.map(processInfo => 
-            this.terminateProcess(processInfo)
-        );
-        
-        try {
-            await Promise.allSettled(terminatePromises);
-        } catch (err) {
-            console.error('Error during process termination:', err);
-        }
-        
-        this.clearPool();
-        console.log('All processes stopped');
-    }
+            let childProcess;
+            try {
+                childProcess = fork(RUNTIME_ENTRY, [path.resolve(scriptPath)], {
+                    env: { ...process.env, ...env, SERVERLESS_INSTANCE_NAME: processName, SERVERLESS_TRANSPORT: 'ipc' },
+                    stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+                    // Structured clone keeps Buffers, typed arrays, Maps and Dates intact
+                    serialization: 'advanced'
+                });
+            } catch (err) {
+                clearTimeout(timeoutId);
+                isResolved = true;
+                reject(err);
+                return;
+            }
 
-    async shutdown() {
-        if (this.isShuttingDown) {
-            return;
-        }
+            const channel = new RpcChannel(message => childProcess.send(message), { backend: this.backend });
 
-        console.log('ProcessManager shutting down...');
-        this.isShuttingDown = true;
+            childProcess.on('message', (msg) => {
+                if (msg && msg.type === MESSAGE_TYPES.ready) {
+                    if (!isResolved) {
+                        isResolved = true;
+                        clearTimeout(timeoutId);
+                        resolve({
+                            name: processName,
+                            port: null,
+                            process: childProcess,
+                            channel,
+                            createdAt: Date.now(),
+                            lastUsed: Date.now()
+                        });
+                    }
+                    return;
+                }
+                if (!channel.handleMessage(msg)) {
+                    this.logger.debug({ name: processName, msg }, `${processName} message: ${JSON.stringify(msg)}`);
+                }
+            });
 
-        // Stop the pool watcher
-        if (this.watcherInterval) {
-            clearInterval(this.watcherInterval);
-            this.watcherInterval = null;
-        }
+            childProcess.stdout.on('data', (data) => {
+                this.logger.debug({ name: processName, stream: 'stdout' }, `${processName} stdout: ${data}`);
+            });
 
-        // Stop all processes
-        await this.stopAllProcesses();
+            childProcess.stderr.on('data', (data) => {
+                this.logger.warn({ name: processName, stream: 'stderr' }, `${processName} stderr: ${data}`);
+            });
 
-        // Remove process event listeners
-        process.removeAllListeners('SIGINT');
-        process.removeAllListeners('SIGTERM');
-        process.removeAllListeners('beforeExit');
+            childProcess.on('close', (code) => {
+                this.logger.info({ operation: 'exit', name: processName, exitCode: code }, `${processName} exited with code ${code}`);
+                clearTimeout(timeoutId);
+                channel.close(new Error(`${processName} exited with code ${code}`));
+                if (!isResolved) {
+                    isResolved = true;
+                    reject(new Error(`${processName} exited with code ${code} before it was ready`));
+                    return;
+                }
+                this.handleInstanceExit(processName, { exitCode: code });
+            });
 
-        console.log('ProcessManager shutdown complete');
+            childProcess.on('error', (err) => {
+                this.logger.error({ name: processName, err }, `${processName} error: ${err.message}`);
+                if (!isResolved) {
+                    isResolved = true;
+                    clearTimeout(timeoutId);
+                    reject(err);
+                } else {
+                    this.handleInstanceExit(processName, { error: err.message });
+                }
+            });
+        });
     }
 
-    // Health check method
-    async healthCheck() {
-        const deadProcesses = [];
-        
-        for (let i = this.processPool.length - 1; i >= 0; i--) {
-            const processInfo = this.processPool[i];
-            if (!processInfo.process || processInfo.process.killed) {
-                deadProcesses.push(this.processPool.splice(i, 1)[0]);
-            }
-        }
-
-        if (deadProcesses.length > 0) {
-            console.log(`Removed ${deadProcesses.length} dead processes from pool`);
-        }
+    removeProcessFromPool(processName) {
+        return this.removeFromPool(processName);
+    }
 
-        return {
-            totalProcesses: this.processPool.length,
-            deadProcessesRemoved: deadProcesses.length,
-            healthy: this.processPool.length > 0 || !this.isShuttingDown
-        };
+    stopAllProcesses() {
+        return this.stopAllInstances();
     }
 }
 
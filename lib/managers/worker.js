@@ -1,52 +1,96 @@
+const path = require('path');
 const { Worker } = require('worker_threads');
-const { getAvailablePort } = require('../utils/port');
+const { functionKey } = require('../utils/function-key');
+const BaseManager = require('./base');
+const { CreationTimeoutError } = require('../errors');
+const { RpcChannel, MESSAGE_TYPES } = require('../rpc');
 
-class WorkerManager {
+const { RUNTIME_ENTRY } = require('../runtime');
+
+const MODES = ['http', 'function'];
+
+class WorkerManager extends BaseManager {
     constructor(options = {}) {
-        this.maxPoolSize = options.maxPoolSize || 3;
-        this.poolCheckInterval = options.poolCheckInterval || 10000; // 10 seconds
+        super(options, {
+            backend: 'worker',
+            managerName: 'WorkerManager',
+            resourceName: 'worker',
+            resourcePlural: 'workers'
+        });
         this.workerTimeout = options.workerTimeout || 30000; // 30 seconds
-        this.shutdownTimeout = options.shutdownTimeout || 5000; // 5 seconds
-        
-        this.workerPool = [];
-        this.lastWorkerRequestTime = Date.now();
-        this.watcherStarted = false;
-        this.watcherInterval = null;
-        this.isShuttingDown = false;
-        
-        // Graceful shutdown handling
-        this.setupShutdownHandlers();
+        // 'http' runs scripts that serve HTTP on workerData.port, 'function' runs scripts that
+        // export a handler called through postMessage
+        this.mode = options.mode || 'http';
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Unknown worker mode "${this.mode}". Available: ${MODES.join(', ')}`);
+        }
+        // Scripts export handler(event, context) and run under the bundled runtime (always in function mode)
+        this.handler = this.mode === 'function' || Boolean(options.handler);
+        this.workerCount = 0;
     }
 
-    setupShutdownHandlers() {
-        const shutdownHandler = () => {
-            this.shutdown().catch(console.error);
-        };
-        
-        process.once('SIGINT', shutdownHandler);
-        process.once('SIGTERM', shutdownHandler);
-        process.once('beforeExit', shutdownHandler);
+    get workerPool() {
+        return this.pool;
+    }
+
+    set workerPool(pool) {
+        this.pool = pool;
+    }
+
+    get lastWorkerRequestTime() {
+        return this.lastRequestTime;
+    }
+
+    set lastWorkerRequestTime(time) {
+        this.lastRequestTime = time;
+    }
+
+    validateRequest(scriptPath) {
+        if (!scriptPath) {
+            throw new Error('Script path is required');
+        }
+
+        this.requireScripts([scriptPath]);
     }
 
-    async poolWatcher() {
-        if (this.watcherInterval) {
-            return; // Already started
+    // options.env gives the worker its own copy of process.env with these entries merged in
+    async createInstance(scriptPath, options = {}) {
+        if (this.mode === 'function') {
+            return this.createWorker(scriptPath, null, `worker-fn-${++this.workerCount}-${Date.now()}`, options.env);
         }
-        
-        this.watcherInterval = setInterval(async () => {
-            if (this.isShuttingDown) {
-                return;
-            }
-            
-            const now = Date.now();
-            // If no new request in the last interval and pool is not empty
-            if (this.workerPool.length > 0 && now - this.lastWorkerRequestTime > this.poolCheckInterval) {
-                const workerToRemove = this.workerPool.shift();
-                if (workerToRemove) {
-                    await this.terminateWorker(workerToRemove);
-                }
-            }
-        }, this.poolCheckInterval);
+        return this.withPort(port => this.createWorker(scriptPath, port, `worker-${port}-${Date.now()}`, options.env));
+    }
+
+    functionKey(scriptPath, options = {}) {
+        return functionKey(scriptPath, null, options.env);
+    }
+
+    // Function mode calls the handler with request.payload; request.transfer lists buffers to move
+    async callInstance(workerInfo, request, options) {
+        if (!workerInfo.channel) {
+            return super.callInstance(workerInfo, request, options);
+        }
+        const result = await workerInfo.channel.call(request.payload, { ...options, transfer: request.transfer });
+        return { result };
+    }
+
+    streamsResponse(workerInfo) {
+        return !workerInfo.channel;
+    }
+
+    terminateInstance(workerInfo) {
+        return this.terminateWorker(workerInfo);
+    }
+
+    probeInstance(workerInfo) {
+        return Boolean(workerInfo.worker && workerInfo.worker.threadId !== null);
+    }
+
+    describeInstance(workerInfo) {
+        return {
+            ...super.describeInstance(workerInfo),
+            alive: workerInfo.worker && workerInfo.worker.threadId !== null
+        };
     }
 
     async terminateWorker(workerInfo) {
@@ -58,98 +102,57 @@ class WorkerManager {
                     setTimeout(() => reject(new Error('Worker termination timeout')), this.shutdownTimeout)
                 )
             ]);
-            console.log(`Stopped and removed worker: ${workerName}`);
+            this.logger.info({ operation: 'terminate', name: workerName }, `Stopped and removed worker: ${workerName}`);
         } catch (err) {
-            console.error(`Error stopping worker ${workerName}:`, err.message);
+            this.logger.error(
+                { operation: 'terminate', name: workerName, err },
+                `Error stopping worker ${workerName}: ${err.message}`
+            );
             // Force kill if graceful termination fails
             try {
                 worker.kill?.();
             } catch (killErr) {
-                console.error(`Error force killing worker ${workerName}:`, killErr.message);
+                this.logger.error(
+                    { operation: 'terminate', name: workerName, err: killErr },
+                    `Error force killing worker ${workerName}: ${killErr.message}`
+                );
             }
         }
     }
 
-    async getOrCreateWorkerInPool(scriptPath) {
-        if (this.isShuttingDown) {
-            throw new Error('WorkerManager is shutting down');
-        }
-
-        if (!scriptPath) {
-            throw new Error('Script path is required');
-        }
-
-        //add checrk if the script path exists
-        const fs = require('fs');
-        if (!fs.existsSync(scriptPath)) {
-            throw new Error(`Script path does not exist: ${scriptPath}`);
-        }
-
-        this.lastWorkerRequestTime = Date.now();
-
-        if (!this.watcherStarted) {
-            this.watcherStarted = true;
-            await this.poolWatcher();
-        }
-
-        // Try to create a new worker if pool is not full
-        if (this.workerPool.length < this.maxPoolSize) {
-            try {
-                const port = await getAvailablePort();
-                const workerName = `worker-${port}-${Date.now()}`;
-                const workerInfo = await this.createWorker(scriptPath, port, workerName);
-                
-                // Double-check pool size in case it changed during async operation
-                if (this.workerPool.length < this.maxPoolSize) {
-                    this.workerPool.push(workerInfo);
-                    console.log(`Started worker: ${workerName} (port ${port})`);
-                    return workerInfo;
-                } else {
-                    // Pool filled up while we were creating, terminate this worker
-                    await this.terminateWorker(workerInfo);
-                }
-            } catch (err) {
-                console.warn(`Failed to create new worker: ${err.message}`);
-                // Continue to try existing workers
-            }
-        }
-        
-        // Return existing worker from pool
-        if (this.workerPool.length > 0) {
-            // Use round-robin instead of random for better load distribution
-            const workerIndex = Math.floor(Date.now() / 1000) % this.workerPool.length;
-            const selectedWorker = this.workerPool[workerIndex];
-            
-            // Verify worker is still alive
-            if (selectedWorker && selectedWorker.worker && selectedWorker.worker.threadId !== null) {
-                return selectedWorker;
-            } else {
-                // Remove dead worker and try again
-                this.workerPool.splice(workerIndex, 1);
-                if (this.workerPool.length > 0) {
-                    return this.workerPool[0];
-                }
-            }
-        }
-
-        throw new Error('No workers available in pool');
+    getOrCreateWorkerInPool(scriptPath, options) {
+        return this.getOrCreateInstance(scriptPath, options);
     }
 
-    createWorker(scriptPath, port, workerName) {
+    createWorker(scriptPath, port, workerName, env) {
         return new Promise((resolve, reject) => {
             let isResolved = false;
+            let worker;
             
             // Set timeout for worker creation
             const timeoutId = setTimeout(() => {
                 if (!isResolved) {
                     isResolved = true;
-                    reject(new Error(`Worker creation timeout after ${this.workerTimeout}ms`));
+                    if (worker) {
+                        worker.terminate();
+                    }
+                    reject(new CreationTimeoutError(`Worker creation timeout after ${this.workerTimeout}ms`, {
+                        backend: this.backend,
+                        timeout: this.workerTimeout
+                    }));
                 }
             }, this.workerTimeout);
 
+            const functionMode = this.mode === 'function';
+            // Without a port the runtime answers over postMessage instead of HTTP
+            const workerData = functionMode ? { name: workerName } : { port, name: workerName };
+            if (this.handler) {
+                workerData.scriptPath = path.resolve(scriptPath);
+            }
             try {
-                const worker = new Worker(scriptPath, { 
-                    workerData: { port, name: workerName },
+                worker = new Worker(this.handler ? RUNTIME_ENTRY : scriptPath, { 
+                    workerData,
+                    ...(env && { env: { ...process.env, ...env } }),
                     // Add resource limits for better stability
                     resourceLimits: {
                         maxOldGenerationSizeMb: 100,
@@ -157,11 +160,15 @@ class WorkerManager {
                     }
                 });
                 
+                const channel = functionMode
+                    ? new RpcChannel((message, transfer) => worker.postMessage(message, transfer), { backend: this.backend })
+                    : null;
+
                 const cleanup = () => {
                     clearTimeout(timeoutId);
                 };
 
-                worker.on('online', () => {
+                const ready = () => {
                     if (!isResolved) {
                         isResolved = true;
                         cleanup();
@@ -172,30 +179,54 @@ class WorkerManager {
                             createdAt: Date.now(),
                             lastUsed: Date.now()
                         };
+                        if (channel) {
+                            workerInfo.channel = channel;
+                        }
                         resolve(workerInfo);
                     }
+                };
+
+                // Function mode workers are ready once their handler is loaded
+                worker.on('online', () => {
+                    if (!functionMode) {
+                        ready();
+                    }
                 });
 
                 worker.on('message', (msg) => {
-                    console.log(`worker ${workerName} message:`, msg);
+                    if (channel && msg && msg.type === MESSAGE_TYPES.ready) {
+                        ready();
+                        return;
+                    }
+                    if (channel && channel.handleMessage(msg)) {
+                        return;
+                    }
+                    this.logger.debug({ name: workerName, port, msg }, `worker ${workerName} message: ${JSON.stringify(msg)}`);
                 });
 
                 worker.on('error', (err) => {
-                    console.error(`worker ${workerName} error:`, err);
+                    this.logger.error({ name: workerName, port, err }, `worker ${workerName} error: ${err.message}`);
                     if (!isResolved) {
                         isResolved = true;
                         cleanup();
                         reject(err);
                     } else {
                         // Worker error after creation, remove from pool
-                        this.removeWorkerFromPool(workerName);
+                        this.handleInstanceExit(workerName, { error: err.message });
                     }
                 });
 
                 worker.on('exit', (code) => {
-                    console.log(`worker ${workerName} exited with code ${code}`);
+                    this.logger.info({ operation: 'exit', name: workerName, port, exitCode: code }, `worker ${workerName} exited with code ${code}`);
                     cleanup();
-                    this.removeWorkerFromPool(workerName);
+                    if (channel) {
+                        channel.close(new Error(`worker ${workerName} exited with code ${code}`));
+                    }
+                    if (!isResolved) {
+                        isResolved = true;
+                        reject(new Error(`worker ${workerName} exited with code ${code} before it was ready`));
+                    }
+                    this.handleInstanceExit(workerName, { exitCode: code });
                 });
 
             } catch (err) {
@@ -209,102 +240,11 @@ class WorkerManager {
     }
 
     removeWorkerFromPool(workerName) {
-        const index = this.workerPool.findIndex(w => w.name === workerName);
-        if (index !== -1) {
-            const removed = this.workerPool.splice(index, 1)[0];
-            console.log(`Removed worker ${workerName} from pool`);
-            return removed;
-        }
-        return null;
-    }
-
-    getPoolInfo() {
-        return {
-            poolSize: this.workerPool.length,
-            maxPoolSize: this.maxPoolSize,
-            isShuttingDown: this.isShuttingDown,
-            watcherStarted: this.watcherStarted,
-            workers: this.workerPool.map(w => ({ 
-                name: w.name, 
-                port: w.port,
-                createdAt: w.createdAt,
-                lastUsed: w.lastUsed,
-                alive: w.worker && w.worker.threadId !== null
-            }))
-        };
+        return this.removeFromPool(workerName);
     }
 
-    clearPool() {
-        this.workerPool = [];
-        this.lastWorkerRequestTime = Date.now();
-    }
-
-    async stopAllWorkers() {
-        if (this.workerPool.length === 0) {
-            return;
-        }
-
-        console.log(`Stopping ${this.workerPool.length} workers...`);
-        
-        const terminatePromises = this.workerPool.map(workerInfo => 
-            this.terminateWorker(workerInfo)
-        );
-        
-        try {
-            await Promise.allSettled(terminatePromises);
-        } catch (err) {
-            console.error('Error during worker termination:', err);
-        }
-        
-        this.clearPool();
-        console.log('All workers stopped');
-    }
-
-    async shutdown() {
-        if (this.isShuttingDown) {
-            return;
-        }
-
-        console.log('WorkerManager shutting down...');
-        this.isShuttingDown = true;
-
-        // Stop the pool watcher
-        if (this.watcherInterval) {
-            clearInterval(this.watcherInterval);
-            this.watcherInterval = null;
-        }
-
-        // Stop all workers
-        await this.stopAllWorkers();
-
-        // Remove process event listeners
-        process.removeAllListeners('SIGINT');
-        process.removeAllListeners('SIGTERM');
-        process.removeAllListeners('beforeExit');
-
-        console.log('WorkerManager shutdown complete');
-    }
-
-    // Health check method
-    async healthCheck() {
-        const deadWorkers = [];
-        
-        for (let i = this.workerPool.length - 1; i >= 0; i--) {
-            const workerInfo = this.workerPool[i];
-            if (!workerInfo.worker || workerInfo.worker.threadId === null) {
-                deadWorkers.push(this.workerPool.splice(i, 1)[0]);
-            }
-        }
-
-        if (deadWorkers.length > 0) {
-            console.log(`Removed ${deadWorkers.length} dead workers from pool`);
-        }
-
-        return {
-            totalWorkers: this.workerPool.length,
-            deadWorkersRemoved: deadWorkers.length,
-            healthy: this.workerPool.length > 0 || !this.isShuttingDown
-        };
+    stopAllWorkers() {
+        return this.stopAllInstances();
     }
 }
 
@@ -0,0 +1,201 @@
+// Prometheus metrics for manager pools, built from the lifecycle events managers emit.
+// Rendered in the text exposition format so no client library is required.
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    const pairs = entries.map(([key, value]) => {
+        const escaped = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        return `${key}="${escaped}"`;
+    });
+    return `{${pairs.join(',')}}`;
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.values = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(labels);
+        const current = this.values.get(key);
+        this.values.set(key, { labels, value: (current ? current.value : 0) + value });
+    }
+
+    get(labels = {}) {
+        const current = this.values.get(labelKey(labels));
+        return current ? current.value : 0;
+    }
+
+    lines() {
+        return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+class Gauge extends Counter {
+    constructor(name, help) {
+        super(name, help);
+        this.type = 'gauge';
+    }
+
+    set(labels = {}, value) {
+        this.values.set(labelKey(labels), { labels, value });
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.values = new Map();
+    }
+
+    observe(labels = {}, value) {
+        const key = labelKey(labels);
+        let series = this.values.get(key);
+        if (!series) {
+            series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, series);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    get(labels = {}) {
+        const series = this.values.get(labelKey(labels));
+        return series ? { sum: series.sum, count: series.count } : { sum: 0, count: 0 };
+    }
+
+    lines() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class PoolMetrics {
+    constructor(options = {}) {
+        const prefix = options.prefix ?? 'serverless_';
+        const buckets = options.buckets || DEFAULT_BUCKETS;
+        this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+        this.tracked = new Map();
+
+        this.instancesCreated = new Counter(`${prefix}instances_created_total`, 'Instances started by the manager');
+        this.instancesTerminated = new Counter(`${prefix}instances_terminated_total`, 'Instances stopped by the manager, by reason');
+        this.instancesCrashed = new Counter(`${prefix}instances_crashed_total`, 'Instances that died on their own');
+        this.poolExhausted = new Counter(`${prefix}pool_exhausted_total`, 'Requests rejected because the pool was exhausted, by reason');
+        this.coldStart = new Histogram(`${prefix}cold_start_seconds`, 'Time to start a new instance', buckets);
+        this.acquireWait = new Histogram(`${prefix}acquire_wait_seconds`, 'Time acquire() callers waited for a lease', buckets);
+        this.poolSize = new Gauge(`${prefix}pool_size`, 'Instances currently in the pool');
+        this.poolBusy = new Gauge(`${prefix}pool_busy`, 'Instances currently leased');
+        this.queueDepth = new Gauge(`${prefix}queue_depth`, 'acquire() callers waiting for an instance');
+
+        this.metrics = [
+            this.instancesCreated,
+            this.instancesTerminated,
+            this.instancesCrashed,
+            this.poolExhausted,
+            this.coldStart,
+            this.acquireWait,
+            this.poolSize,
+            this.poolBusy,
+            this.queueDepth
+        ];
+    }
+
+    // Record metrics for a manager. labels default to { backend } and are added to every series.
+    track(manager, labels = {}) {
+        if (this.tracked.has(manager)) {
+            return this;
+        }
+
+        const base = { backend: manager.backend, ...labels };
+        const listeners = {
+            'instance:created': event => {
+                this.instancesCreated.inc(base);
+                this.coldStart.observe(base, event.durationMs / 1000);
+            },
+            'instance:evicted': event => this.instancesTerminated.inc({ ...base, reason: event.reason }),
+            'instance:crashed': () => this.instancesCrashed.inc(base),
+            'lease:acquired': event => this.acquireWait.observe(base, event.waitMs / 1000),
+            'pool:exhausted': event => this.poolExhausted.inc({ ...base, reason: event.reason }),
+            'shutdown:start': event => this.instancesTerminated.inc({ ...base, reason: 'shutdown' }, event.poolSize)
+        };
+
+        for (const [event, listener] of Object.entries(listeners)) {
+            manager.on(event, listener);
+        }
+        this.tracked.set(manager, { labels: base, listeners });
+        return this;
+    }
+
+    untrack(manager) {
+        const entry = this.tracked.get(manager);
+        if (!entry) {
+            return;
+        }
+        for (const [event, listener] of Object.entries(entry.listeners)) {
+            manager.removeListener(event, listener);
+        }
+        this.tracked.delete(manager);
+    }
+
+    // Gauges are sampled from getPoolInfo() at scrape time
+    collect() {
+        for (const [manager, { labels }] of this.tracked) {
+            const info = manager.getPoolInfo();
+            this.poolSize.set(labels, info.poolSize);
+            this.poolBusy.set(labels, info.busy);
+            this.queueDepth.set(labels, info.waiting);
+        }
+    }
+
+    render() {
+        this.collect();
+
+        const lines = [];
+        for (const metric of this.metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.lines());
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+function createMetrics(options) {
+    return new PoolMetrics(options);
+}
+
+module.exports = {
+    Counter,
+    Gauge,
+    Histogram,
+    PoolMetrics,
+    createMetrics,
+    DEFAULT_BUCKETS,
+};
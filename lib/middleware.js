@@ -0,0 +1,162 @@
+// Express/Connect middleware that forwards incoming requests to a pooled instance through invoke()
+const { pipeline } = require('stream');
+const {
+    PoolExhaustedError,
+    ShuttingDownError,
+    BackendUnavailableError,
+    CreationTimeoutError,
+    RequestTimeoutError,
+    ScriptNotFoundError
+} = require('./errors');
+
+// Connection-level headers that must not be forwarded by a proxy
+const HOP_BY_HOP_HEADERS = [
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'proxy-connection',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade'
+];
+
+function stripHopByHop(headers) {
+    const result = { ...headers };
+    for (const name of HOP_BY_HOP_HEADERS) {
+        delete result[name];
+    }
+    return result;
+}
+
+// 503 when no instance can serve the request, 504 when one was too slow, 502 for anything else
+function statusForError(err) {
+    if (err instanceof PoolExhaustedError || err instanceof ShuttingDownError || err instanceof BackendUnavailableError) {
+        return 503;
+    }
+    if (err instanceof RequestTimeoutError || err instanceof CreationTimeoutError) {
+        return 504;
+    }
+    if (err instanceof ScriptNotFoundError) {
+        return 500;
+    }
+    return 502;
+}
+
+// Instance arguments: explicit args, or the script path plus the files to copy for docker/k8s
+function resolveArgs(options) {
+    if (options.args) {
+        return options.args;
+    }
+    if (!options.scriptPath) {
+        throw new Error('createPoolProxy requires a scriptPath or args option');
+    }
+    return options.files ? [options.scriptPath, options.files] : [options.scriptPath];
+}
+
+// A body parser such as express.json() or express.urlencoded() turned the body into an object
+function isParsedObject(req) {
+    return req.readableEnded && req.body !== undefined && req.body !== null &&
+        !Buffer.isBuffer(req.body) && typeof req.body !== 'string';
+}
+
+function requestBody(req) {
+    // Already consumed by a body parser: forward what it produced, objects as JSON
+    if (req.readableEnded) {
+        if (req.body === undefined || req.body === null) {
+            return undefined;
+        }
+        return isParsedObject(req) ? JSON.stringify(req.body) : req.body;
+    }
+    // Bodiless requests are sent without a stream so refused connections can be retried
+    if (req.headers['content-length'] === undefined && req.headers['transfer-encoding'] === undefined) {
+        return undefined;
+    }
+    return req;
+}
+
+function forwardedHeaders(req) {
+    const headers = stripHopByHop(req.headers);
+    const remote = req.socket && req.socket.remoteAddress;
+    if (remote) {
+        headers['x-forwarded-for'] = headers['x-forwarded-for'] ? `${headers['x-forwarded-for']}, ${remote}` : remote;
+    }
+    if (req.headers.host) {
+        headers['x-forwarded-host'] = req.headers.host;
+    }
+    headers['x-forwarded-proto'] = req.socket && req.socket.encrypted ? 'https' : 'http';
+    delete headers.host;
+    // A parsed body is re-serialized, so its original length no longer applies
+    if (req.readableEnded) {
+        delete headers['content-length'];
+    }
+    if (isParsedObject(req)) {
+        headers['content-type'] = 'application/json';
+    }
+    return headers;
+}
+
+// Mount with app.use('/prefix', createPoolProxy(manager, { scriptPath })): the path below the
+// mount point is forwarded, so the script sees '/' for requests to '/prefix'.
+function createPoolProxy(manager, options = {}) {
+    const args = resolveArgs(options);
+
+    return async function poolProxy(req, res) {
+        const request = {
+            args,
+            method: req.method,
+            path: req.url,
+            headers: forwardedHeaders(req),
+            body: requestBody(req),
+            stream: true,
+            timeout: options.timeout
+        };
+
+        let response;
+        try {
+            // options.key(req) routes requests by key, for the consistent-hash strategy
+            const invoker = options.key ? manager.withKey(options.key(req)) : manager;
+            response = await invoker.invoke(request);
+        } catch (err) {
+            const status = statusForError(err);
+            manager.logger.warn(
+                { operation: 'proxy', method: req.method, path: req.url, status, err },
+                `Proxy ${req.method} ${req.url} failed: ${err.message}`
+            );
+            if (err instanceof PoolExhaustedError && err.retryAfter) {
+                res.setHeader('Retry-After', String(err.retryAfter));
+            }
+            res.statusCode = status;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ error: err.message, code: err.code || 'PROXY_ERROR' }));
+            return;
+        }
+
+        // Client went away while the instance was answering: drop the response so the lease is released
+        if (res.destroyed || req.aborted) {
+            response.body.destroy();
+            return;
+        }
+
+        res.statusCode = response.status;
+        for (const [name, value] of Object.entries(stripHopByHop(response.headers))) {
+            res.setHeader(name, value);
+        }
+
+        // Either side tearing down destroys the other, which also releases the lease
+        pipeline(response.body, res, err => {
+            if (err) {
+                manager.logger.debug(
+                    { operation: 'proxy', method: req.method, path: req.url, err },
+                    `Proxy ${req.method} ${req.url} ended early: ${err.message}`
+                );
+            }
+        });
+    };
+}
+
+module.exports = {
+    createPoolProxy,
+    statusForError,
+};
@@ -0,0 +1,113 @@
+const http = require('http');
+const net = require('net');
+const { execFile } = require('child_process');
+
+// Probes decide whether an instance can take traffic: the readiness option gates new instances,
+// the liveness option keeps checking pooled ones. Both accept one of:
+//   { type: 'http', path: '/health', expectStatus: [200, 399] }  - GET must answer with a status in range
+//   { type: 'tcp' }                                              - the port (or socket) must accept connections
+//   { type: 'exec', command: ['./check.sh'] }                    - command must exit 0 (PORT or SOCKET_PATH and INSTANCE_NAME are set)
+//   { type: 'custom', check: async (info) => boolean }           - or a bare function
+// plus host (default 127.0.0.1), interval (ms between attempts), retries and timeout (ms per attempt).
+// Instances with a socketPath are probed over their Unix socket instead of host and port.
+const DEFAULTS = {
+    host: '127.0.0.1',
+    interval: 200,
+    retries: 50,
+    timeout: 1000
+};
+
+function address(options, info) {
+    return info.socketPath ? { socketPath: info.socketPath } : { host: options.host, port: info.port };
+}
+
+function httpCheck(options) {
+    const path = options.path || '/';
+    const [minStatus, maxStatus] = options.expectStatus || [200, 399];
+
+    return info => new Promise((resolve) => {
+        const req = http.get({ ...address(options, info), path, timeout: options.timeout }, (res) => {
+            res.resume();
+            resolve(res.statusCode >= minStatus && res.statusCode <= maxStatus);
+        });
+        req.on('timeout', () => req.destroy());
+        req.on('error', () => resolve(false));
+    });
+}
+
+function tcpCheck(options) {
+    return info => new Promise((resolve) => {
+        const socket = net.connect(info.socketPath ? { path: info.socketPath } : { host: options.host, port: info.port });
+        const done = (ready) => {
+            socket.destroy();
+            resolve(ready);
+        };
+        socket.setTimeout(options.timeout, () => done(false));
+        socket.once('connect', () => done(true));
+        socket.once('error', () => done(false));
+    });
+}
+
+function execCheck(options) {
+    const [file, ...args] = options.command;
+
+    return info => new Promise((resolve) => {
+        const env = info.socketPath
+            ? { ...process.env, SOCKET_PATH: info.socketPath, INSTANCE_NAME: info.name }
+            : { ...process.env, PORT: String(info.port), INSTANCE_NAME: info.name };
+        execFile(file, args, { env, timeout: options.timeout }, err => resolve(!err));
+    });
+}
+
+function createProbe(probeOptions, defaults = {}) {
+    if (!probeOptions) {
+        return null;
+    }
+
+    const options = typeof probeOptions === 'function'
+        ? { ...DEFAULTS, ...defaults, type: 'custom', check: probeOptions }
+        : { ...DEFAULTS, ...defaults, ...probeOptions };
+
+    let check;
+    if (options.type === 'http') {
+        check = httpCheck(options);
+    } else if (options.type === 'tcp') {
+        check = tcpCheck(options);
+    } else if (options.type === 'exec' && Array.isArray(options.command) && options.command.length > 0) {
+        check = execCheck(options);
+    } else if (options.type === 'custom' && typeof options.check === 'function') {
+        check = options.check;
+    } else {
+        throw new Error(`Unknown probe "${options.type}". Use 'http', 'tcp', 'exec' with a command or a custom check function`);
+    }
+
+    return {
+        type: options.type,
+        interval: options.interval,
+        retries: options.retries,
+        check
+    };
+}
+
+// Resolve with the number of attempts once the probe passes, or false after all retries
+async function waitUntilReady(probe, info) {
+    for (let attempt = 1; attempt <= probe.retries; attempt++) {
+        try {
+            if (await probe.check(info)) {
+                return attempt;
+            }
+        } catch (err) {
+            // A throwing custom check counts as not ready yet
+        }
+
+        if (attempt < probe.retries) {
+            await new Promise(resolve => setTimeout(resolve, probe.interval));
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    createProbe,
+    waitUntilReady,
+};
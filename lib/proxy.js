@@ -0,0 +1,84 @@
+const http = require('http');
+const { Readable } = require('stream');
+
+// Errors meaning nothing listens on the instance port or socket (ENOENT: the socket file is gone),
+// so the request never reached the script. A reset is left out: the script may already have run
+// the request, which is not safe to replay.
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENOENT'];
+
+function isUnreachable(err) {
+    return UNREACHABLE_CODES.includes(err.code) && !err.responseStarted;
+}
+
+function isStream(body) {
+    return body instanceof Readable;
+}
+
+// Forward one HTTP request to an instance port, or to the Unix socket at options.socketPath.
+// Resolves with { status, headers, body } where body is a Buffer, or the response stream itself
+// when request.stream is set.
+function forwardRequest(port, request = {}, options = {}) {
+    return new Promise((resolve, reject) => {
+        const address = options.socketPath
+            ? { socketPath: options.socketPath }
+            : { host: request.host || options.host || '127.0.0.1', port };
+        const req = http.request({
+            ...address,
+            method: request.method || 'GET',
+            path: request.path || '/',
+            headers: request.headers || {}
+        });
+
+        let settled = false;
+        const fail = (err) => {
+            if (!settled) {
+                settled = true;
+                reject(err);
+            }
+        };
+
+        if (options.timeout > 0) {
+            req.setTimeout(options.timeout, () => {
+                req.destroy(options.onTimeout ? options.onTimeout() : new Error(`Request timed out after ${options.timeout}ms`));
+            });
+        }
+        req.on('error', fail);
+
+        req.on('response', (res) => {
+            const head = { status: res.statusCode, headers: res.headers };
+            if (request.stream) {
+                settled = true;
+                resolve({ ...head, body: res });
+                return;
+            }
+
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                settled = true;
+                resolve({ ...head, body: Buffer.concat(chunks) });
+            });
+            res.on('error', (err) => {
+                err.responseStarted = true;
+                fail(err);
+            });
+            res.on('aborted', () => {
+                const err = new Error('Response aborted by the instance');
+                err.responseStarted = true;
+                fail(err);
+            });
+        });
+
+        if (isStream(request.body)) {
+            request.body.pipe(req);
+        } else {
+            req.end(request.body);
+        }
+    });
+}
+
+module.exports = {
+    forwardRequest,
+    isUnreachable,
+    isStream,
+};
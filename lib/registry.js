@@ -0,0 +1,76 @@
+const DockerManager = require('./managers/docker');
+const K8sManager = require('./managers/k8s');
+const ProcessManager = require('./managers/process');
+const WorkerManager = require('./managers/worker');
+
+// Methods every backend must provide so managers can be swapped by name
+const REQUIRED_METHODS = ['getOrCreateInstance', 'getPoolInfo', 'healthCheck', 'shutdown'];
+
+const backends = new Map();
+
+function normalizeName(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('Backend name must be a non-empty string');
+    }
+    return name.trim().toLowerCase();
+}
+
+function registerBackend(name, ManagerClass, options = {}) {
+    const key = normalizeName(name);
+
+    if (typeof ManagerClass !== 'function') {
+        throw new Error(`Backend "${key}" must be a manager class`);
+    }
+
+    const missing = REQUIRED_METHODS.filter(method => typeof ManagerClass.prototype[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Backend "${key}" is missing required methods: ${missing.join(', ')}`);
+    }
+
+    if (backends.has(key) && !options.override) {
+        throw new Error(`Backend "${key}" is already registered`);
+    }
+
+    backends.set(key, ManagerClass);
+    return ManagerClass;
+}
+
+function unregisterBackend(name) {
+    return backends.delete(normalizeName(name));
+}
+
+function hasBackend(name) {
+    return backends.has(normalizeName(name));
+}
+
+function getBackend(name) {
+    const key = normalizeName(name);
+    const ManagerClass = backends.get(key);
+    if (!ManagerClass) {
+        throw new Error(`Unknown backend "${key}". Registered backends: ${listBackends().join(', ')}`);
+    }
+    return ManagerClass;
+}
+
+function listBackends() {
+    return Array.from(backends.keys());
+}
+
+function createManager(name, options = {}) {
+    const ManagerClass = getBackend(name);
+    return new ManagerClass(options);
+}
+
+registerBackend('docker', DockerManager);
+registerBackend('k8s', K8sManager);
+registerBackend('process', ProcessManager);
+registerBackend('worker', WorkerManager);
+
+module.exports = {
+    registerBackend,
+    unregisterBackend,
+    hasBackend,
+    getBackend,
+    listBackends,
+    createManager,
+};
\ No newline at end of file
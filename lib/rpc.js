@@ -0,0 +1,89 @@
+// Request/response calls over a message channel (worker postMessage, child process IPC).
+// The manager sends { type: 'serverless:invoke', id, payload } and the instance answers with
+// { type: 'serverless:result', id, result } or { type: 'serverless:error', id, error }.
+const { HandlerError } = require('./errors');
+const { MESSAGE_TYPES, serializeError } = require('./runtime/protocol');
+
+function isRpcMessage(msg) {
+    return Boolean(msg && typeof msg.type === 'string' && msg.type.startsWith('serverless:'));
+}
+
+class RpcChannel {
+    // send(message, transfer) delivers one message to the instance
+    constructor(send, details = {}) {
+        this.send = send;
+        this.backend = details.backend;
+        this.nextId = 1;
+        this.pending = new Map();
+    }
+
+    // Resolves with the handler's return value. options: { timeout, transfer, onTimeout }
+    call(payload, options = {}) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            const entry = { resolve, reject, timer: null };
+
+            if (options.timeout > 0) {
+                entry.timer = setTimeout(() => {
+                    this.pending.delete(id);
+                    reject(options.onTimeout ? options.onTimeout() : new Error(`Call timed out after ${options.timeout}ms`));
+                }, options.timeout);
+            }
+            this.pending.set(id, entry);
+
+            try {
+                this.send({ type: MESSAGE_TYPES.invoke, id, payload }, options.transfer);
+            } catch (err) {
+                this.settle(id);
+                reject(err);
+            }
+        });
+    }
+
+    settle(id) {
+        const entry = this.pending.get(id);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.pending.delete(id);
+        }
+        return entry;
+    }
+
+    // Returns true when msg was an answer to a call made on this channel
+    handleMessage(msg) {
+        if (!isRpcMessage(msg) || msg.id === undefined) {
+            return false;
+        }
+        const entry = this.settle(msg.id);
+        if (!entry) {
+            return true;
+        }
+
+        if (msg.type === MESSAGE_TYPES.error) {
+            const { name, message, code, stack } = msg.error || {};
+            entry.reject(new HandlerError(message || 'Handler failed', {
+                backend: this.backend,
+                errorName: name,
+                errorCode: code,
+                remoteStack: stack
+            }));
+        } else {
+            entry.resolve(msg.result);
+        }
+        return true;
+    }
+
+    // Fail every outstanding call, e.g. when the instance exits
+    close(err) {
+        for (const id of [...this.pending.keys()]) {
+            this.settle(id).reject(err);
+        }
+    }
+}
+
+module.exports = {
+    RpcChannel,
+    MESSAGE_TYPES,
+    isRpcMessage,
+    serializeError,
+};
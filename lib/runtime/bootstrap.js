@@ -0,0 +1,51 @@
+// Runs a module exporting handler(event, context) under any manager:
+//   node bootstrap.js <handler> [port]   - HTTP on port (argv, PORT env or 9000), or on a Unix
+//                                          socket when the argument is a path
+//   fork()ed with SERVERLESS_TRANSPORT=ipc - IPC; PORT inherited from the parent is ignored
+//   worker thread                         - postMessage, or HTTP when workerData.port is set
+const path = require('path');
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+const { loadHandler, serveHandler } = require('./handler');
+const { serveHttp } = require('./http');
+
+const data = (!isMainThread && workerData) || {};
+const script = data.scriptPath || process.argv[2] || process.env.SERVERLESS_HANDLER;
+if (!script) {
+    throw new Error('Usage: node bootstrap.js <handler module> [port]');
+}
+
+const handler = loadHandler(path.resolve(script));
+const name = data.name || process.env.SERVERLESS_INSTANCE_NAME || `handler-${process.pid}`;
+const port = isMainThread ? process.argv[3] || process.env.PORT : data.port;
+const ipc = isMainThread && process.env.SERVERLESS_TRANSPORT === 'ipc';
+if (ipc && !process.send) {
+    throw new Error('SERVERLESS_TRANSPORT=ipc needs a fork()ed process with an IPC channel');
+}
+
+if (!isMainThread && !port) {
+    serveHandler(handler, {
+        name,
+        subscribe: listener => parentPort.on('message', listener),
+        send: (message, transfer) => parentPort.postMessage(message, transfer),
+        transfer: true
+    });
+} else if (ipc) {
+    serveHandler(handler, {
+        name,
+        subscribe: listener => process.on('message', listener),
+        send: message => process.send(message)
+    });
+    // The manager went away, nothing can call the handler any more
+    process.on('disconnect', () => process.exit(0));
+} else {
+    const listenOn = port || 9000;
+    const socketPath = Number.isNaN(Number(listenOn)) ? String(listenOn) : null;
+    const where = socketPath ? `socket ${socketPath}` : `port ${listenOn}`;
+    serveHttp(handler, { port: listenOn, socketPath, name }).then(() => {
+        // ProcessManager treats the first line on stdout as the start signal
+        console.log(`Handler ${name} listening on ${where}`);
+    }, (err) => {
+        console.error(`Handler ${name} failed to listen on ${where}: ${err.message}`);
+        process.exit(1);
+    });
+}
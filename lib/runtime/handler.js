@@ -0,0 +1,47 @@
+// Loads the user's handler and answers invoke messages sent over postMessage or IPC
+const { MESSAGE_TYPES, serializeError } = require('./protocol');
+
+// A script exports the handler itself or as module.exports.handler
+function loadHandler(scriptPath) {
+    const mod = require(scriptPath);
+    const handler = typeof mod === 'function' ? mod : mod && (mod.handler || mod.default);
+    if (typeof handler !== 'function') {
+        throw new TypeError(`${scriptPath} must export a handler function`);
+    }
+    return handler;
+}
+
+// Results that own their whole memory can be moved to the manager instead of copied
+function transferList(result) {
+    if (result instanceof ArrayBuffer) {
+        return [result];
+    }
+    if (ArrayBuffer.isView(result) && result.byteOffset === 0 && result.byteLength === result.buffer.byteLength) {
+        return [result.buffer];
+    }
+    return [];
+}
+
+// Answer invoke messages arriving through subscribe(listener) by calling handler(payload, context).
+// send(message, transfer) delivers replies to the manager.
+function serveHandler(handler, { name, subscribe, send, transfer = false }) {
+    subscribe(async (msg) => {
+        if (!msg || msg.type !== MESSAGE_TYPES.invoke) {
+            return;
+        }
+
+        try {
+            const result = await handler(msg.payload, { requestId: msg.id, name });
+            send({ type: MESSAGE_TYPES.result, id: msg.id, result }, transfer ? transferList(result) : undefined);
+        } catch (err) {
+            send({ type: MESSAGE_TYPES.error, id: msg.id, error: serializeError(err) });
+        }
+    });
+    send({ type: MESSAGE_TYPES.ready });
+}
+
+module.exports = {
+    loadHandler,
+    serveHandler,
+    transferList,
+};
@@ -0,0 +1,101 @@
+// Serves a handler(event, context) over HTTP, for backends that reach instances through a port
+// or a Unix socket
+const fs = require('fs');
+const http = require('http');
+
+// JSON bodies are parsed, anything else is passed to the handler as a string
+function parseBody(raw, headers) {
+    if (raw.length === 0) {
+        return undefined;
+    }
+    const text = raw.toString('utf8');
+    if ((headers['content-type'] || '').includes('json')) {
+        return JSON.parse(text);
+    }
+    return text;
+}
+
+function buildEvent(req, raw) {
+    const url = new URL(req.url, 'http://localhost');
+    return {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: parseBody(raw, req.headers)
+    };
+}
+
+// A result with a numeric statusCode is a full response ({ statusCode, headers, body });
+// any other value becomes the body of a 200 response
+function sendResult(res, result) {
+    const response = result && typeof result.statusCode === 'number'
+        ? result
+        : { statusCode: result === undefined ? 204 : 200, body: result };
+    const headers = { ...(response.headers || {}) };
+    let body = response.body;
+
+    if (body !== undefined && !Buffer.isBuffer(body) && typeof body !== 'string') {
+        body = JSON.stringify(body);
+        headers['content-type'] = headers['content-type'] || 'application/json';
+    } else if (typeof body === 'string') {
+        headers['content-type'] = headers['content-type'] || 'text/plain; charset=utf-8';
+    } else if (Buffer.isBuffer(body)) {
+        headers['content-type'] = headers['content-type'] || 'application/octet-stream';
+    }
+
+    res.writeHead(response.statusCode, headers);
+    res.end(body);
+}
+
+function sendError(res, statusCode, err) {
+    res.writeHead(statusCode, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: err.message, name: err.name }));
+}
+
+// Resolves with the listening server. socketPath listens on a Unix socket instead of port.
+function serveHttp(handler, { port, socketPath, name, host }) {
+    let requests = 0;
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            let event;
+            try {
+                event = buildEvent(req, Buffer.concat(chunks));
+            } catch (err) {
+                sendError(res, 400, err);
+                return;
+            }
+
+            const context = { requestId: req.headers['x-request-id'] || ++requests, name };
+            try {
+                sendResult(res, await handler(event, context));
+            } catch (err) {
+                sendError(res, 500, err);
+            }
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        if (!socketPath) {
+            server.listen(Number(port), host, () => resolve(server));
+            return;
+        }
+        // A socket left behind by a killed instance would fail the listen with EADDRINUSE
+        fs.rmSync(socketPath, { force: true });
+        server.listen(socketPath, () => {
+            // Containers often run as another user than the manager connecting from the host
+            fs.chmodSync(socketPath, 0o666);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    serveHttp,
+    buildEvent,
+    sendResult,
+};
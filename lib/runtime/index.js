@@ -0,0 +1,26 @@
+// Bundled runtime that runs handler(event, context) modules. bootstrap.js is the entry point
+// started inside workers, processes, containers and pods.
+const fs = require('fs');
+const path = require('path');
+const { loadHandler, serveHandler } = require('./handler');
+const { serveHttp } = require('./http');
+
+const RUNTIME_DIR = __dirname;
+const RUNTIME_ENTRY = path.join(__dirname, 'bootstrap.js');
+// Files an isolated instance needs, the runtime only requires siblings and Node built-ins
+const RUNTIME_FILES = ['bootstrap.js', 'handler.js', 'http.js', 'protocol.js'];
+
+// { fileName: source } for copying the runtime into a ConfigMap
+function readRuntimeFiles() {
+    return Object.fromEntries(RUNTIME_FILES.map(file => [file, fs.readFileSync(path.join(RUNTIME_DIR, file), 'utf8')]));
+}
+
+module.exports = {
+    RUNTIME_DIR,
+    RUNTIME_ENTRY,
+    RUNTIME_FILES,
+    readRuntimeFiles,
+    loadHandler,
+    serveHandler,
+    serveHttp,
+};
@@ -0,0 +1,21 @@
+// Message protocol between the managers and the instance runtime. The runtime directory has no
+// imports outside itself so it can be mounted into containers and pods as is.
+const MESSAGE_TYPES = {
+    ready: 'serverless:ready',
+    invoke: 'serverless:invoke',
+    result: 'serverless:result',
+    error: 'serverless:error'
+};
+
+// Plain object form of an error thrown by a handler, safe to send over a message channel
+function serializeError(err) {
+    if (!(err instanceof Error)) {
+        return { name: 'Error', message: String(err) };
+    }
+    return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+module.exports = {
+    MESSAGE_TYPES,
+    serializeError,
+};
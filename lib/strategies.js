@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+// Strategies pick one instance out of the candidates the manager considers usable.
+// select(candidates, context) receives a non-empty array and
+// context = { key, getConnections(instance) }.
+
+class RoundRobinStrategy {
+    constructor() {
+        this.name = 'round-robin';
+        this.cursor = 0;
+    }
+
+    select(candidates) {
+        const selected = candidates[this.cursor % candidates.length];
+        this.cursor = (this.cursor + 1) % Number.MAX_SAFE_INTEGER;
+        return selected;
+    }
+}
+
+// Connections are active leases (acquire() and invoke() in flight); shared getOrCreate handouts
+// are not tracked. The manager prefers idle candidates, so ties are common and rotate round-robin.
+class LeastConnectionsStrategy {
+    constructor() {
+        this.name = 'least-connections';
+        this.tieBreaker = new RoundRobinStrategy();
+    }
+
+    select(candidates, context) {
+        let fewest = Infinity;
+        let least = [];
+        for (const candidate of candidates) {
+            const connections = context.getConnections(candidate);
+            if (connections < fewest) {
+                fewest = connections;
+                least = [candidate];
+            } else if (connections === fewest) {
+                least.push(candidate);
+            }
+        }
+        return this.tieBreaker.select(least);
+    }
+}
+
+class LeastRecentlyUsedStrategy {
+    constructor() {
+        this.name = 'least-recently-used';
+    }
+
+    select(candidates) {
+        return candidates.reduce((oldest, candidate) =>
+            (candidate.lastUsed || 0) < (oldest.lastUsed || 0) ? candidate : oldest
+        );
+    }
+}
+
+class RandomStrategy {
+    constructor() {
+        this.name = 'random';
+    }
+
+    select(candidates) {
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+}
+
+// Maps a caller-supplied key onto a hash ring so the same key keeps hitting the
+// same instance while the candidate set is stable. Calls without a key fall back to round-robin.
+class ConsistentHashStrategy {
+    constructor(options = {}) {
+        this.name = 'consistent-hash';
+        this.replicas = options.replicas || 100;
+        this.fallback = new RoundRobinStrategy();
+        this.ringKey = null;
+        this.ring = [];
+    }
+
+    static hash(value) {
+        return crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0);
+    }
+
+    buildRing(candidates) {
+        const ringKey = candidates.map(c => c.name).join('\n');
+        if (ringKey === this.ringKey) {
+            return;
+        }
+
+        const ring = [];
+        for (const candidate of candidates) {
+            for (let i = 0; i < this.replicas; i++) {
+                ring.push({ point: ConsistentHashStrategy.hash(`${candidate.name}#${i}`), name: candidate.name });
+            }
+        }
+        ring.sort((a, b) => a.point - b.point);
+
+        this.ringKey = ringKey;
+        this.ring = ring;
+    }
+
+    select(candidates, context) {
+        if (context.key === undefined || context.key === null) {
+            return this.fallback.select(candidates);
+        }
+
+        this.buildRing(candidates);
+        const point = ConsistentHashStrategy.hash(context.key);
+
+        // First ring node clockwise from the key, wrapping around to the start
+        let low = 0;
+        let high = this.ring.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.ring[mid].point < point) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        const node = this.ring[low % this.ring.length];
+        return candidates.find(c => c.name === node.name);
+    }
+}
+
+const STRATEGIES = {
+    'round-robin': RoundRobinStrategy,
+    'least-connections': LeastConnectionsStrategy,
+    'least-recently-used': LeastRecentlyUsedStrategy,
+    'random': RandomStrategy,
+    'consistent-hash': ConsistentHashStrategy,
+};
+
+function createStrategy(strategy = 'round-robin', options = {}) {
+    if (strategy && typeof strategy.select === 'function') {
+        return strategy; // Custom strategy object
+    }
+
+    const Strategy = STRATEGIES[strategy];
+    if (!Strategy) {
+        throw new Error(`Unknown load balancing strategy "${strategy}". Available: ${Object.keys(STRATEGIES).join(', ')}`);
+    }
+    return new Strategy(options);
+}
+
+module.exports = {
+    RoundRobinStrategy,
+    LeastConnectionsStrategy,
+    LeastRecentlyUsedStrategy,
+    RandomStrategy,
+    ConsistentHashStrategy,
+    createStrategy,
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+// Optional OpenTelemetry tracing. Managers accept any object implementing the Tracer API
+// (e.g. trace.getTracer('serverless-managers') from @opentelemetry/api); without one, spans are no-ops.
+
+// Mirrors SpanStatusCode.ERROR so @opentelemetry/api is not needed at runtime
+const SPAN_STATUS_ERROR = 2;
+
+const noopSpan = {
+    setAttribute() {
+        return noopSpan;
+    },
+    setAttributes() {
+        return noopSpan;
+    },
+    recordException() {},
+    setStatus() {
+        return noopSpan;
+    },
+    end() {}
+};
+
+// Run fn(span) inside an active span, recording failures and ending the span when fn settles
+function withSpan(tracer, name, attributes, fn) {
+    if (!tracer) {
+        return fn(noopSpan);
+    }
+
+    return tracer.startActiveSpan(name, { attributes }, async (span) => {
+        try {
+            return await fn(span);
+        } catch (err) {
+            span.recordException(err);
+            span.setStatus({ code: SPAN_STATUS_ERROR, message: err.message });
+            throw err;
+        } finally {
+            span.end();
+        }
+    });
+}
+
+// Attributes describing an instance, set once its name and port are known
+function instanceAttributes(info) {
+    const attributes = {};
+    if (info && info.name !== undefined) {
+        attributes['serverless.instance.name'] = info.name;
+    }
+    if (info && info.port !== undefined) {
+        attributes['serverless.instance.port'] = info.port;
+    }
+    return attributes;
+}
+
+module.exports = {
+    withSpan,
+    instanceAttributes,
+    noopSpan,
+};
@@ -0,0 +1,13 @@
+const path = require('path');
+
+// Identity of a function: its resolved source path, the files it ships and its environment.
+// Env entries are sorted so { A, B } and { B, A } share a pool.
+function functionKey(source, files, env) {
+    return JSON.stringify([
+        path.resolve(source),
+        files ? [].concat(files) : null,
+        Object.entries(env || {}).sort(([a], [b]) => a.localeCompare(b))
+    ]);
+}
+
+module.exports = { functionKey };
@@ -1,14 +1,118 @@
 const net = require('net');
 
-function getAvailablePort() {
+// Ports handed out by getAvailablePort() and not yet released, shared by every manager in the
+// process so concurrent creations never receive the same port. port -> owner
+const reservations = new Map();
+const cursors = new Map();
+
+// A port that turned out to be taken by someone else stays reserved this long before reuse
+const IN_USE_COOLDOWN = 30000;
+// Ephemeral ports from the OS can collide with reservations; give up after this many draws
+const MAX_EPHEMERAL_ATTEMPTS = 20;
+
+function normalizeRange(range) {
+    if (!range) {
+        return null;
+    }
+    const [min, max] = Array.isArray(range) ? range : [range.min, range.max];
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max > 65535 || min > max) {
+        throw new Error(`Invalid port range ${JSON.stringify(range)}: expected [min, max] within 1-65535`);
+    }
+    return { min, max };
+}
+
+// Resolves with the bound port, or null when port is taken
+function tryBind(port) {
     return new Promise((resolve, reject) => {
         const server = net.createServer();
-        server.listen(0, () => {
-            const port = server.address().port;
-            server.close(() => resolve(port));
+        server.once('error', (err) => {
+            if (err.code === 'EADDRINUSE' || err.code === 'EACCES') {
+                resolve(null);
+            } else {
+                reject(err);
+            }
+        });
+        server.listen(port, () => {
+            const bound = server.address().port;
+            server.close(() => resolve(bound));
         });
-        server.on('error', reject);
     });
 }
 
-module.exports = { getAvailablePort };
\ No newline at end of file
+async function ephemeralPort() {
+    for (let attempt = 0; attempt < MAX_EPHEMERAL_ATTEMPTS; attempt++) {
+        const port = await tryBind(0);
+        if (port && !reservations.has(port)) {
+            return port;
+        }
+    }
+    throw new Error(`No free port after ${MAX_EPHEMERAL_ATTEMPTS} attempts`);
+}
+
+// Walk the range from where the last allocation stopped, so released ports are reused last
+async function portInRange({ min, max }) {
+    const key = `${min}-${max}`;
+    const size = max - min + 1;
+    const start = cursors.get(key) ?? 0;
+
+    for (let i = 0; i < size; i++) {
+        const offset = (start + i) % size;
+        const port = min + offset;
+        if (reservations.has(port)) {
+            continue;
+        }
+        // Reserve before probing so concurrent callers skip this port
+        reservations.set(port, null);
+        if (await tryBind(port)) {
+            cursors.set(key, (offset + 1) % size);
+            return port;
+        }
+        reservations.delete(port);
+    }
+    throw new Error(`No free port in range ${min}-${max}`);
+}
+
+// Reserve a free port until releasePort(). options: { range: [min, max] | { min, max }, owner }.
+// Without a range the OS picks an ephemeral port.
+async function getAvailablePort(options = {}) {
+    const range = normalizeRange(options.range);
+    const port = range ? await portInRange(range) : await ephemeralPort();
+    reservations.set(port, options.owner || null);
+    return port;
+}
+
+// inUse: the port was taken by another program; keep it out of rotation for a while
+function releasePort(port, options = {}) {
+    if (!reservations.has(port)) {
+        return false;
+    }
+    if (options.inUse) {
+        reservations.set(port, 'in use');
+        setTimeout(() => {
+            if (reservations.get(port) === 'in use') {
+                reservations.delete(port);
+            }
+        }, IN_USE_COOLDOWN).unref();
+        return true;
+    }
+    return reservations.delete(port);
+}
+
+function reservedPorts() {
+    return [...reservations.keys()];
+}
+
+// Errors from children, workers and the Docker daemon when the port was bound in the meantime
+function isAddressInUse(err) {
+    return Boolean(err) && (
+        err.code === 'EADDRINUSE' ||
+        /EADDRINUSE|address already in use|port is already allocated/i.test(err.message || '')
+    );
+}
+
+module.exports = {
+    getAvailablePort,
+    releasePort,
+    reservedPorts,
+    isAddressInUse,
+};
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Directory holding instance sockets; a private temporary one when dir is not given
+function ensureSocketDir(dir) {
+    if (!dir) {
+        return fs.mkdtempSync(path.join(os.tmpdir(), 'serverless-sockets-'));
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+// Sockets of killed instances stay on disk and would make the next listen() fail
+function removeSocket(socketPath) {
+    if (!socketPath) {
+        return;
+    }
+    try {
+        fs.unlinkSync(socketPath);
+    } catch (err) {
+        // Already gone, or owned by a container user we cannot remove
+    }
+}
+
+function removeSocketDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = { ensureSocketDir, removeSocket, removeSocketDir };
@@ -0,0 +1,82 @@
+const { TargetConcurrencyPolicy, createAutoscaler } = require('../lib/autoscaler');
+
+describe('autoscaling policies', () => {
+    const metrics = (overrides = {}) => ({
+        key: '["a"]',
+        current: 2,
+        inFlight: 2,
+        waiting: 0,
+        latencyMs: null,
+        minPoolSize: 0,
+        maxPoolSize: 10,
+        now: 0,
+        ...overrides
+    });
+
+    describe('createAutoscaler', () => {
+        test('should be off unless configured', () => {
+            expect(createAutoscaler()).toBeNull();
+            expect(createAutoscaler(false)).toBeNull();
+        });
+
+        test('should default to the target-concurrency policy', () => {
+            const autoscaler = createAutoscaler(true);
+
+            expect(autoscaler.policy).toBeInstanceOf(TargetConcurrencyPolicy);
+            expect(autoscaler.interval).toBe(5000);
+            expect(createAutoscaler({ targetConcurrency: 2, interval: 100 })).toMatchObject({
+                policy: { targetConcurrency: 2 },
+                interval: 100
+            });
+        });
+
+        test('should accept custom policy objects', () => {
+            const policy = { evaluate: () => 1 };
+
+            expect(createAutoscaler(policy).policy).toBe(policy);
+            expect(createAutoscaler({ policy, interval: 100 })).toEqual({ policy, interval: 100 });
+        });
+
+        test('should reject unknown policies', () => {
+            expect(() => createAutoscaler({ policy: 'magic' }))
+                .toThrow('Unknown autoscaling policy "magic". Available: target-concurrency');
+        });
+    });
+
+    describe('TargetConcurrencyPolicy', () => {
+        test('should size the pool for the target concurrency per instance', () => {
+            const policy = new TargetConcurrencyPolicy({ targetConcurrency: 0.5, queueThreshold: 0 });
+
+            expect(policy.evaluate(metrics({ inFlight: 2, waiting: 1 }), {})).toBe(6);
+        });
+
+        test('should add instances when callers queue or latency is too high', () => {
+            const policy = new TargetConcurrencyPolicy({ targetConcurrency: 4, queueThreshold: 2, latencyThreshold: 100 });
+
+            expect(policy.evaluate(metrics({ waiting: 1 }), {})).toBe(2);
+            expect(policy.evaluate(metrics({ waiting: 2 }), {})).toBe(3);
+            expect(policy.evaluate(metrics({ latencyMs: 150 }), {})).toBe(3);
+        });
+
+        test('should scale down only after demand stayed low and the cooldown passed', () => {
+            const policy = new TargetConcurrencyPolicy({ scaleDownDelay: 1000, cooldown: 5000 });
+            const state = {};
+
+            expect(policy.evaluate(metrics({ current: 1, inFlight: 1, waiting: 2, now: 0 }), state)).toBe(3);
+            expect(policy.evaluate(metrics({ current: 3, inFlight: 0, now: 1000 }), state)).toBe(3);
+            expect(policy.evaluate(metrics({ current: 3, inFlight: 0, now: 2000 }), state)).toBe(3);
+            expect(policy.evaluate(metrics({ current: 3, inFlight: 0, now: 5000 }), state)).toBe(2);
+            expect(policy.evaluate(metrics({ current: 2, inFlight: 0, now: 5500 }), state)).toBe(2);
+        });
+
+        test('should restart the delay when demand comes back', () => {
+            const policy = new TargetConcurrencyPolicy({ scaleDownDelay: 1000, cooldown: 0 });
+            const state = {};
+
+            policy.evaluate(metrics({ inFlight: 0, now: 0 }), state);
+            expect(policy.evaluate(metrics({ inFlight: 2, now: 500 }), state)).toBe(2);
+            expect(policy.evaluate(metrics({ inFlight: 0, now: 1000 }), state)).toBe(2);
+            expect(policy.evaluate(metrics({ inFlight: 0, now: 2000 }), state)).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,1233 @@
+const { PoolExhaustedError, ShuttingDownError, BackendUnavailableError } = require('../lib/errors');
+const { getAvailablePort, releasePort, reservedPorts } = require('../lib/utils/port');
+const { FakeManager } = require('./helpers');
+
+describe('BaseManager', () => {
+    let manager;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        // Mock process event listeners
+        process.once = jest.fn();
+        process.removeListener = jest.fn();
+
+        manager = new FakeManager();
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'warn').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+        if (manager.watcherInterval) {
+            clearInterval(manager.watcherInterval);
+            manager.watcherInterval = null;
+        }
+        if (manager.livenessInterval) {
+            clearInterval(manager.livenessInterval);
+            manager.livenessInterval = null;
+        }
+        if (manager.autoscaleInterval) {
+            clearInterval(manager.autoscaleInterval);
+            manager.autoscaleInterval = null;
+        }
+        jest.restoreAllMocks();
+    });
+
+    describe('constructor', () => {
+        test('should initialize common pool state', () => {
+            expect(manager.maxPoolSize).toBe(3);
+            expect(manager.poolCheckInterval).toBe(10000);
+            expect(manager.shutdownTimeout).toBe(5000);
+            expect(manager.pool).toEqual([]);
+            expect(manager.watcherStarted).toBe(false);
+            expect(manager.isShuttingDown).toBe(false);
+        });
+
+        test('should register its own shutdown handler', () => {
+            expect(process.once).toHaveBeenCalledWith('SIGINT', manager.shutdownHandler);
+            expect(process.once).toHaveBeenCalledWith('SIGTERM', manager.shutdownHandler);
+            expect(process.once).toHaveBeenCalledWith('beforeExit', manager.shutdownHandler);
+        });
+    });
+
+    describe('getOrCreateInstance', () => {
+        test('should create instances through the createInstance hook', async () => {
+            const result = await manager.getOrCreateInstance('a');
+
+            expect(result).toEqual({
+                name: 'fake-1',
+                port: 7001,
+                label: 'a',
+                alive: true,
+                createdAt: expect.any(Number),
+                lastUsed: expect.any(Number)
+            });
+            expect(manager.pool).toHaveLength(1);
+            expect(console.log).toHaveBeenCalledWith('Started fake: fake-1 (port 7001)');
+        });
+
+        test('should call validateRequest with the request arguments', async () => {
+            manager.validateRequest = jest.fn(() => {
+                throw new Error('Invalid request');
+            });
+
+            await expect(manager.getOrCreateInstance('a', 'b')).rejects.toThrow('Invalid request');
+            expect(manager.validateRequest).toHaveBeenCalledWith('a', 'b');
+        });
+
+        test('should skip dead instances using the probe hook', async () => {
+            manager.maxPoolSize = 2;
+            manager.pool = [
+                { name: 'dead', port: 7001, alive: false },
+                { name: 'alive', port: 7002, alive: true }
+            ];
+
+            const result = await manager.getOrCreateInstance('a');
+
+            expect(result.name).toBe('alive');
+            expect(manager.pool.map(i => i.name)).toEqual(['alive']);
+        });
+
+        test('should throw when every instance fails the probe', async () => {
+            manager.maxPoolSize = 1;
+            manager.pool = [{ name: 'dead', port: 7001, alive: false }];
+
+            await expect(manager.getOrCreateInstance('a'))
+                .rejects.toThrow('No fakes available in pool after health check');
+        });
+
+        test('should delegate creation failures to handleCreateError', async () => {
+            manager.createInstance = jest.fn().mockRejectedValue(new Error('boom'));
+
+            await expect(manager.getOrCreateInstance('a')).rejects.toThrow('No fakes available in pool');
+            expect(console.warn).toHaveBeenCalledWith('Failed to create new fake: boom');
+        });
+
+        test('should report an outage when only other functions have instances', async () => {
+            await manager.getOrCreateInstance('a');
+            manager.createInstance = jest.fn().mockRejectedValue(new BackendUnavailableError('daemon down'));
+
+            await expect(manager.getOrCreateInstance('b')).rejects.toBeInstanceOf(BackendUnavailableError);
+        });
+
+        test('should throw if shutting down', async () => {
+            manager.isShuttingDown = true;
+
+            await expect(manager.getOrCreateInstance('a')).rejects.toThrow('FakeManager is shutting down');
+            await expect(manager.getOrCreateInstance('a')).rejects.toBeInstanceOf(ShuttingDownError);
+        });
+    });
+
+    describe('acquire', () => {
+        test('should lease a new instance and mark it busy', async () => {
+            const lease = await manager.acquire('a');
+
+            expect(lease.name).toBe('fake-1');
+            expect(lease.port).toBe(7001);
+            expect(lease.instance).toBe(manager.pool[0]);
+            expect(manager.busyInstances.has(lease.instance)).toBe(true);
+            expect(manager.getPoolInfo()).toEqual(expect.objectContaining({ busy: 1, idle: 0, waiting: 0 }));
+        });
+
+        test('should never hand the same instance to two concurrent callers', async () => {
+            const leases = await Promise.all([manager.acquire('a'), manager.acquire('a'), manager.acquire('a')]);
+            const names = leases.map(lease => lease.name);
+
+            expect(new Set(names).size).toBe(3);
+            expect(manager.busyInstances.size).toBe(3);
+        });
+
+        test('should reuse a released instance', async () => {
+            const first = await manager.acquire('a');
+            first.release();
+
+            const second = await manager.acquire('a');
+
+            expect(second.instance).toBe(first.instance);
+            expect(manager.created).toBe(1);
+        });
+
+        test('should queue callers until an instance is released', async () => {
+            manager.maxPoolSize = 1;
+            const first = await manager.acquire('a');
+
+            let resolved = false;
+            const pending = manager.acquire('a').then(lease => {
+                resolved = true;
+                return lease;
+            });
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(resolved).toBe(false);
+            expect(manager.getPoolInfo().waiting).toBe(1);
+
+            first.release();
+            const second = await pending;
+
+            expect(second.instance).toBe(first.instance);
+            expect(manager.getPoolInfo().waiting).toBe(0);
+        });
+
+        test('should serve queued callers in FIFO order', async () => {
+            manager.maxPoolSize = 1;
+            const first = await manager.acquire('a');
+            const order = [];
+
+            const waiters = [1, 2].map(id => manager.acquire('a').then(lease => {
+                order.push(id);
+                lease.release();
+            }));
+            await new Promise(resolve => setImmediate(resolve));
+
+            first.release();
+            await Promise.all(waiters);
+
+            expect(order).toEqual([1, 2]);
+        });
+
+        test('should ignore repeated release calls', async () => {
+            manager.maxPoolSize = 1;
+            const first = await manager.acquire('a');
+            first.release();
+            const second = await manager.acquire('a');
+
+            first.release();
+
+            expect(manager.busyInstances.has(second.instance)).toBe(true);
+        });
+
+        test('should terminate the instance on destroy and create a replacement for waiters', async () => {
+            manager.maxPoolSize = 1;
+            const first = await manager.acquire('a');
+            const pending = manager.acquire('a');
+            await new Promise(resolve => setImmediate(resolve));
+
+            await first.destroy();
+            const second = await pending;
+
+            expect(first.instance.alive).toBe(false);
+            expect(second.name).toBe('fake-2');
+            expect(manager.pool).toEqual([second.instance]);
+        });
+
+        test('should skip dead idle instances', async () => {
+            manager.pool = [{ name: 'dead', port: 7001, alive: false }];
+
+            const lease = await manager.acquire('a');
+
+            expect(lease.name).toBe('fake-1');
+            expect(manager.pool.map(i => i.name)).toEqual(['fake-1']);
+        });
+
+        test('should reject waiters with PoolExhaustedError after acquireTimeout', async () => {
+            manager = new FakeManager({ maxPoolSize: 1, acquireTimeout: 2500 });
+            await manager.acquire('a');
+
+            jest.useFakeTimers();
+            const pending = manager.acquire('a');
+            await Promise.resolve();
+            await Promise.resolve();
+            jest.advanceTimersByTime(2500);
+
+            const err = await pending.catch(e => e);
+            jest.useRealTimers();
+
+            expect(err).toBeInstanceOf(PoolExhaustedError);
+            expect(err.code).toBe('POOL_EXHAUSTED');
+            expect(err.reason).toBe('timeout');
+            expect(err.retryAfter).toBe(3);
+            expect(err.message).toBe('Timed out after 2500ms waiting for a fake');
+            expect(manager.getPoolInfo().waiting).toBe(0);
+        });
+
+        test('should reject immediately when the wait queue is full', async () => {
+            manager = new FakeManager({ maxPoolSize: 1, maxQueueLength: 1 });
+            await manager.acquire('a');
+            const queued = manager.acquire('a');
+            await new Promise(resolve => setImmediate(resolve));
+
+            const err = await manager.acquire('a').catch(e => e);
+
+            expect(err).toBeInstanceOf(PoolExhaustedError);
+            expect(err.reason).toBe('queue_full');
+            expect(err.queueLength).toBe(1);
+            expect(err.message).toBe('FakeManager wait queue is full (1 waiting)');
+            expect(manager.getPoolInfo().waiting).toBe(1);
+
+            manager.pool.forEach(info => manager.releaseInstance(info));
+            await expect(queued).resolves.toBeDefined();
+        });
+
+        test('should not queue at all when maxQueueLength is 0', async () => {
+            manager = new FakeManager({ maxPoolSize: 1, maxQueueLength: 0 });
+            await manager.acquire('a');
+
+            await expect(manager.acquire('a')).rejects.toThrow(PoolExhaustedError);
+        });
+
+        test('should release instances created for a waiter that already timed out', async () => {
+            manager = new FakeManager({ maxPoolSize: 1, acquireTimeout: 50 });
+            const first = await manager.acquire('a');
+            let finishCreate;
+            manager.createInstance = jest.fn(() => new Promise(resolve => {
+                finishCreate = () => resolve({ name: 'slow', port: 7100, alive: true });
+            }));
+
+            const pending = manager.acquire('a');
+            await new Promise(resolve => setImmediate(resolve));
+            await first.destroy();
+            await expect(pending).rejects.toThrow(PoolExhaustedError);
+
+            finishCreate();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(manager.pool.map(i => i.name)).toEqual(['slow']);
+            expect(manager.getPoolInfo().busy).toBe(0);
+        });
+
+        test('should reject queued callers on shutdown', async () => {
+            manager.maxPoolSize = 1;
+            await manager.acquire('a');
+            const pending = manager.acquire('a');
+            await new Promise(resolve => setImmediate(resolve));
+
+            await manager.shutdown();
+
+            await expect(pending).rejects.toThrow('FakeManager is shutting down');
+            await expect(pending).rejects.toMatchObject({ code: 'SHUTTING_DOWN' });
+        });
+
+        test('should throw when nothing can be created and the pool is empty', async () => {
+            manager.createInstance = jest.fn().mockRejectedValue(new Error('boom'));
+
+            await expect(manager.acquire('a')).rejects.toThrow('No fakes available in pool');
+        });
+
+        test('should not evict leased instances when idle', async () => {
+            const lease = await manager.acquire('a');
+            manager.lastRequestTime = Date.now() - 60000;
+
+            const originalSetInterval = global.setInterval;
+            global.setInterval = jest.fn((callback) => {
+                setImmediate(callback);
+                return 'mock-timer-id';
+            });
+            clearInterval(manager.watcherInterval);
+            manager.watcherInterval = null;
+
+            manager.poolWatcher();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(manager.pool).toEqual([lease.instance]);
+
+            global.setInterval = originalSetInterval;
+            manager.watcherInterval = null;
+        });
+    });
+
+    describe('load balancing', () => {
+        test('should route keyed requests to the same instance with consistent-hash', async () => {
+            manager = new FakeManager({ strategy: 'consistent-hash', maxPoolSize: 3 });
+            manager.pool = [
+                { name: 'fake-a', port: 7001, alive: true },
+                { name: 'fake-b', port: 7002, alive: true },
+                { name: 'fake-c', port: 7003, alive: true }
+            ];
+
+            const first = await manager.withKey('tenant-1').getOrCreateInstance('a');
+            const second = await manager.withKey('tenant-1').getOrCreateInstance('a');
+
+            expect(second).toBe(first);
+        });
+
+        test('should pass the routing key to leases', async () => {
+            const select = jest.fn(candidates => candidates[candidates.length - 1]);
+            manager = new FakeManager({ strategy: { select } });
+            manager.pool = [
+                { name: 'fake-a', port: 7001, alive: true },
+                { name: 'fake-b', port: 7002, alive: true }
+            ];
+
+            const lease = await manager.withKey('tenant-1').acquire('a');
+
+            expect(lease.name).toBe('fake-b');
+            expect(select).toHaveBeenCalledWith(manager.pool, expect.objectContaining({ key: 'tenant-1' }));
+        });
+
+        test('should count active leases as connections', async () => {
+            const lease = await manager.acquire('a');
+            const context = { getConnections: null };
+            manager.strategy = {
+                select: (candidates, ctx) => {
+                    context.getConnections = ctx.getConnections;
+                    return candidates[0];
+                }
+            };
+            manager.selectInstance(manager.pool);
+
+            expect(context.getConnections(lease.instance)).toBe(1);
+            lease.release();
+            expect(context.getConnections(lease.instance)).toBe(0);
+        });
+
+        test('should spread shared handouts with least-connections', async () => {
+            manager = new FakeManager({ strategy: 'least-connections' });
+            manager.pool = [
+                { name: 'fake-a', port: 7001, alive: true },
+                { name: 'fake-b', port: 7002, alive: true },
+                { name: 'fake-c', port: 7003, alive: true }
+            ];
+
+            const handouts = [];
+            for (let i = 0; i < 6; i++) {
+                handouts.push((await manager.getOrCreateInstance('a')).name);
+            }
+
+            expect(new Set(handouts)).toEqual(new Set(['fake-a', 'fake-b', 'fake-c']));
+        });
+    });
+
+    describe('poolWatcher', () => {
+        test('should not evict instances while shutting down', async () => {
+            manager.pool = [{ name: 'fake-1', port: 7001, alive: true }];
+            manager.lastRequestTime = Date.now() - 60000;
+            manager.isShuttingDown = true;
+
+            const originalSetInterval = global.setInterval;
+            global.setInterval = jest.fn((callback) => {
+                setImmediate(callback);
+                return 'mock-timer-id';
+            });
+
+            manager.poolWatcher();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(manager.pool).toHaveLength(1);
+
+            global.setInterval = originalSetInterval;
+            manager.watcherInterval = null;
+        });
+    });
+
+    describe('instance recycling', () => {
+        const runWatcherTick = async () => {
+            const originalSetInterval = global.setInterval;
+            global.setInterval = jest.fn((callback) => {
+                setImmediate(callback);
+                return 'mock-timer-id';
+            });
+
+            manager.poolWatcher();
+            await new Promise(resolve => setImmediate(resolve));
+            await new Promise(resolve => setImmediate(resolve));
+
+            global.setInterval = originalSetInterval;
+            manager.watcherInterval = null;
+        };
+
+        test('should evict every instance idle longer than idleTimeout in one tick', async () => {
+            manager = new FakeManager({ idleTimeout: 1000 });
+            const now = Date.now();
+            manager.pool = [
+                { name: 'stale-1', port: 7001, lastUsed: now - 5000, alive: true },
+                { name: 'fresh', port: 7002, lastUsed: now, alive: true },
+                { name: 'stale-2', port: 7003, lastUsed: now - 5000, alive: true }
+            ];
+            const [stale1, , stale2] = manager.pool;
+
+            await runWatcherTick();
+
+            expect(manager.pool.map(info => info.name)).toEqual(['fresh']);
+            expect(stale1.alive).toBe(false);
+            expect(stale2.alive).toBe(false);
+        });
+
+        test('should use each instance lastUsed rather than the last request time', async () => {
+            manager = new FakeManager({ idleTimeout: 1000 });
+            manager.lastRequestTime = Date.now();
+            manager.pool = [{ name: 'stale', port: 7001, lastUsed: Date.now() - 5000, alive: true }];
+
+            await runWatcherTick();
+
+            expect(manager.pool).toHaveLength(0);
+        });
+
+        test('should keep minPoolSize idle instances', async () => {
+            manager = new FakeManager({ idleTimeout: 1000, minPoolSize: 1 });
+            const old = Date.now() - 5000;
+            manager.pool = [
+                { name: 'stale-1', port: 7001, lastUsed: old, alive: true },
+                { name: 'stale-2', port: 7002, lastUsed: old, alive: true }
+            ];
+
+            await runWatcherTick();
+
+            expect(manager.pool.map(info => info.name)).toEqual(['stale-2']);
+        });
+
+        test('should recycle instances past maxLifetime even when busy traffic keeps them warm', async () => {
+            manager = new FakeManager({ maxLifetime: 1000 });
+            manager.pool = [{ name: 'old', port: 7001, createdAt: Date.now() - 5000, lastUsed: Date.now(), alive: true }];
+
+            await runWatcherTick();
+
+            expect(manager.pool).toHaveLength(0);
+            expect(console.log).toHaveBeenCalledWith('Recycling fake old: max lifetime reached');
+        });
+
+        test('should recycle a leased instance on release once it hits maxRequestsPerInstance', async () => {
+            manager = new FakeManager({ maxRequestsPerInstance: 2 });
+
+            const first = await manager.acquire('a');
+            first.release();
+            const second = await manager.acquire('a');
+            expect(second.instance).toBe(first.instance);
+
+            second.release();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(manager.pool).toHaveLength(0);
+            expect(first.instance.alive).toBe(false);
+            expect(console.log).toHaveBeenCalledWith('Recycling fake fake-1: max requests reached');
+        });
+
+        test('should not recycle leased instances from the watcher', async () => {
+            manager = new FakeManager({ maxLifetime: 1000 });
+            const lease = await manager.acquire('a');
+            lease.instance.createdAt = Date.now() - 5000;
+
+            await runWatcherTick();
+
+            expect(manager.pool).toHaveLength(1);
+
+            lease.release();
+            expect(manager.pool).toHaveLength(0);
+        });
+
+        test('should prefer instances that are not due for recycling', async () => {
+            manager = new FakeManager({ maxRequestsPerInstance: 1, maxPoolSize: 2 });
+            manager.pool = [
+                { name: 'spent', port: 7001, alive: true },
+                { name: 'fresh', port: 7002, alive: true }
+            ];
+            manager.requestCounts.set(manager.pool[0], 1);
+
+            const result = await manager.selectFromPool();
+
+            expect(result.name).toBe('fresh');
+        });
+    });
+
+    describe('lifecycle events', () => {
+        test('should emit created and ready with timing when an instance starts', async () => {
+            const created = jest.fn();
+            const ready = jest.fn();
+            manager.on('instance:created', created);
+            manager.on('instance:ready', ready);
+
+            await manager.getOrCreateInstance('a');
+
+            expect(created).toHaveBeenCalledWith(expect.objectContaining({
+                backend: 'FakeManager',
+                name: 'fake-1',
+                port: 7001,
+                durationMs: expect.any(Number),
+                timestamp: expect.any(Number)
+            }));
+            expect(ready).toHaveBeenCalledWith(expect.objectContaining({ name: 'fake-1', uptimeMs: expect.any(Number) }));
+        });
+
+        test('should emit evicted with the reason', async () => {
+            const evicted = jest.fn();
+            manager.on('instance:evicted', evicted);
+
+            const lease = await manager.acquire('a');
+            await lease.destroy();
+
+            expect(evicted).toHaveBeenCalledWith(expect.objectContaining({ name: 'fake-1', reason: 'destroyed' }));
+        });
+
+        test('should emit crashed when a probe finds a dead instance', async () => {
+            const crashed = jest.fn();
+            manager.on('instance:crashed', crashed);
+            manager.pool = [
+                { name: 'dead', port: 7001, alive: false },
+                { name: 'alive', port: 7002, alive: true }
+            ];
+
+            const result = await manager.selectFromPool();
+
+            expect(result.name).toBe('alive');
+            expect(crashed).toHaveBeenCalledWith(expect.objectContaining({ name: 'dead', reason: 'probe failed' }));
+        });
+
+        test('should emit crashed when an instance exits on its own', () => {
+            const crashed = jest.fn();
+            manager.on('instance:crashed', crashed);
+            manager.pool = [{ name: 'fake-1', port: 7001, alive: true }];
+
+            manager.handleInstanceExit('fake-1', { exitCode: 1 });
+
+            expect(manager.pool).toHaveLength(0);
+            expect(crashed).toHaveBeenCalledWith(expect.objectContaining({ name: 'fake-1', exitCode: 1 }));
+            expect(manager.handleInstanceExit('fake-1')).toBeNull();
+        });
+
+        test('should not report exits during shutdown as crashes', () => {
+            const crashed = jest.fn();
+            manager.on('instance:crashed', crashed);
+            manager.pool = [{ name: 'fake-1', port: 7001, alive: true }];
+            manager.isShuttingDown = true;
+
+            manager.handleInstanceExit('fake-1', { exitCode: 0 });
+
+            expect(crashed).not.toHaveBeenCalled();
+        });
+
+        test('should emit pool:exhausted when the wait queue is full', async () => {
+            const exhausted = jest.fn();
+            manager = new FakeManager({ maxPoolSize: 1, maxQueueLength: 0 });
+            manager.on('pool:exhausted', exhausted);
+
+            await manager.acquire('a');
+            await expect(manager.acquire('a')).rejects.toBeInstanceOf(PoolExhaustedError);
+
+            expect(exhausted).toHaveBeenCalledWith(expect.objectContaining({
+                backend: 'FakeManager',
+                reason: 'queue_full',
+                queueLength: 0
+            }));
+        });
+
+        test('should emit shutdown start and complete', async () => {
+            const events = [];
+            manager.on('shutdown:start', event => events.push(['start', event]));
+            manager.on('shutdown:complete', event => events.push(['complete', event]));
+            await manager.getOrCreateInstance('a');
+
+            await manager.shutdown();
+
+            expect(events).toEqual([
+                ['start', expect.objectContaining({ poolSize: 1 })],
+                ['complete', expect.objectContaining({ durationMs: expect.any(Number) })]
+            ]);
+        });
+    });
+
+    describe('liveness checks', () => {
+        test('should not run without the liveness option', async () => {
+            await manager.getOrCreateInstance('a');
+
+            expect(manager.liveness).toBeNull();
+            expect(manager.livenessInterval).toBeNull();
+        });
+
+        test('should start the loop with the first request and stop it on shutdown', async () => {
+            manager = new FakeManager({ liveness: { interval: 60000 } });
+
+            await manager.getOrCreateInstance('a');
+            expect(manager.livenessInterval).not.toBeNull();
+
+            await manager.shutdown();
+            expect(manager.livenessInterval).toBeNull();
+        });
+
+        test('should use probeInstance by default and remove after failureThreshold failures', async () => {
+            manager = new FakeManager({ liveness: { failureThreshold: 2 }, maxPoolSize: 2 });
+            const unhealthy = jest.fn();
+            const crashed = jest.fn();
+            manager.on('instance:unhealthy', unhealthy);
+            manager.on('instance:crashed', crashed);
+            const info = await manager.getOrCreateInstance('a');
+            info.alive = false;
+
+            await manager.checkLiveness();
+            expect(manager.pool).toContain(info);
+            expect(unhealthy).toHaveBeenCalledWith(expect.objectContaining({ name: 'fake-1', failures: 1, failureThreshold: 2 }));
+
+            await manager.checkLiveness();
+            expect(manager.pool).not.toContain(info);
+            expect(crashed).toHaveBeenCalledWith(expect.objectContaining({ name: 'fake-1', reason: 'liveness failed' }));
+        });
+
+        test('should replace removed instances with the last request arguments', async () => {
+            manager = new FakeManager({ liveness: { failureThreshold: 1 } });
+            const replaced = jest.fn();
+            manager.on('instance:replaced', replaced);
+            const info = await manager.getOrCreateInstance('a');
+            info.alive = false;
+
+            await manager.checkLiveness();
+
+            expect(manager.pool.map(i => i.name)).toEqual(['fake-2']);
+            expect(manager.pool[0].label).toBe('a');
+            expect(replaced).toHaveBeenCalledWith(expect.objectContaining({ name: 'fake-2', replaced: 'fake-1' }));
+            expect(console.log).toHaveBeenCalledWith('Replaced fake fake-1 with fake-2 (port 7002)');
+        });
+
+        test('should reset the failure count when an instance recovers', async () => {
+            const check = jest.fn()
+                .mockResolvedValueOnce(false)
+                .mockResolvedValueOnce(true)
+                .mockResolvedValueOnce(false);
+            manager = new FakeManager({ liveness: { type: 'custom', check, failureThreshold: 2 } });
+            const recovered = jest.fn();
+            manager.on('instance:recovered', recovered);
+            await manager.getOrCreateInstance('a');
+
+            await manager.checkLiveness();
+            await manager.checkLiveness();
+            await manager.checkLiveness();
+
+            expect(recovered).toHaveBeenCalledTimes(1);
+            expect(manager.pool).toHaveLength(1);
+            expect(manager.livenessFailures.get(manager.pool[0])).toBe(1);
+        });
+
+        test('should not overlap checks', async () => {
+            let finish;
+            const check = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+            manager = new FakeManager({ liveness: check });
+            await manager.getOrCreateInstance('a');
+
+            const first = manager.checkLiveness();
+            await manager.checkLiveness();
+            finish(true);
+            await first;
+
+            expect(check).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('warm pool', () => {
+        test('should clamp minPoolSize to maxPoolSize', () => {
+            const warmManager = new FakeManager({ minPoolSize: 5, maxPoolSize: 2 });
+            expect(warmManager.minPoolSize).toBe(2);
+        });
+
+        test('should fill the pool up to minPoolSize on warmUp', async () => {
+            manager = new FakeManager({ minPoolSize: 2 });
+
+            const created = await manager.warmUp('boot');
+
+            expect(created).toHaveLength(2);
+            expect(manager.pool.map(info => info.label)).toEqual(['boot', 'boot']);
+            expect(console.log).toHaveBeenCalledWith('Pre-warmed fake: fake-1 (port 7001)');
+            expect(await manager.warmUp()).toEqual([]);
+        });
+
+        test('should share a fill between concurrent warmUp calls', async () => {
+            manager = new FakeManager({ minPoolSize: 2 });
+
+            await Promise.all([manager.warmUp('a'), manager.warmUp('a')]);
+
+            expect(manager.created).toBe(2);
+            expect(manager.pool).toHaveLength(2);
+        });
+
+        test('should keep successful instances when some creations fail', async () => {
+            manager = new FakeManager({ minPoolSize: 2 });
+            const original = manager.createInstance.bind(manager);
+            manager.createInstance = jest.fn()
+                .mockRejectedValueOnce(new Error('boom'))
+                .mockImplementation(original);
+
+            const created = await manager.warmUp('boot');
+
+            expect(created).toHaveLength(1);
+            expect(console.warn).toHaveBeenCalledWith('Failed to pre-warm fake: boom');
+        });
+
+        test('should require arguments when none were recorded', async () => {
+            manager = new FakeManager({ minPoolSize: 1 });
+
+            await expect(manager.warmUp()).rejects.toThrow('FakeManager needs the instance arguments to warm up');
+        });
+
+        test('should pre-warm from the prewarm option after construction', async () => {
+            manager = new FakeManager({ minPoolSize: 2, prewarm: ['boot'] });
+
+            await new Promise(resolve => process.nextTick(resolve));
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(manager.pool).toHaveLength(2);
+        });
+
+        test('should not evict idle instances below minPoolSize and should replenish', async () => {
+            manager = new FakeManager({ minPoolSize: 2 });
+            manager.warmArgs = ['boot'];
+            manager.pool = [{ name: 'fake-a', port: 7100, alive: true }];
+            manager.lastRequestTime = Date.now() - 60000;
+
+            const originalSetInterval = global.setInterval;
+            global.setInterval = jest.fn((callback) => {
+                setImmediate(callback);
+                return 'mock-timer-id';
+            });
+
+            manager.poolWatcher();
+            await new Promise(resolve => setImmediate(resolve));
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(manager.pool).toHaveLength(2);
+            expect(manager.pool[0].name).toBe('fake-a');
+
+            global.setInterval = originalSetInterval;
+            manager.watcherInterval = null;
+        });
+    });
+
+    describe('concurrent creation', () => {
+        // Creations take a few ticks so a burst of callers overlaps with them
+        const slowCreate = () => {
+            const original = manager.createInstance.bind(manager);
+            manager.createInstance = jest.fn(async (...args) => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                return original(...args);
+            });
+            manager.terminateInstance = jest.fn();
+        };
+
+        test('should not start more instances than maxPoolSize under a burst', async () => {
+            manager.maxPoolSize = 2;
+            slowCreate();
+
+            const results = await Promise.all(Array.from({ length: 6 }, () => manager.getOrCreateInstance('a')));
+
+            expect(manager.created).toBe(2);
+            expect(manager.terminateInstance).not.toHaveBeenCalled();
+            expect(new Set(results)).toEqual(new Set(manager.pool));
+            expect(results.filter(info => info === manager.pool[0])).toHaveLength(3);
+        });
+
+        test('should queue exclusive callers behind instances that are still starting', async () => {
+            manager.maxPoolSize = 1;
+            slowCreate();
+
+            const instances = await Promise.all([manager.acquire('a'), manager.acquire('a')].map(acquiring =>
+                acquiring.then((lease) => {
+                    lease.release();
+                    return lease.instance;
+                })
+            ));
+
+            expect(instances[0]).toBe(instances[1]);
+            expect(manager.created).toBe(1);
+        });
+
+        test('should start a new instance for queued callers when the one they waited on failed', async () => {
+            manager.maxPoolSize = 1;
+            slowCreate();
+            const original = manager.createInstance;
+            manager.createInstance = jest.fn()
+                .mockImplementationOnce(async () => {
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                    throw new Error('boom');
+                })
+                .mockImplementation(original);
+
+            const instances = await Promise.all([manager.acquire('a'), manager.acquire('a')].map(acquiring =>
+                acquiring.then((lease) => {
+                    lease.release();
+                    return lease.instance;
+                })
+            ));
+
+            expect(manager.createInstance).toHaveBeenCalledTimes(2);
+            expect(instances[0]).toBe(instances[1]);
+            expect(instances[0].label).toBe('a');
+        });
+
+        test('should count instances that are starting toward minPoolSize', async () => {
+            manager = new FakeManager({ minPoolSize: 2 });
+            slowCreate();
+
+            const creating = manager.getOrCreateInstance('a');
+            await new Promise(resolve => setImmediate(resolve));
+            expect(manager.getPoolInfo().functions[0].starting).toBe(1);
+
+            await Promise.all([creating, manager.warmUp('a')]);
+
+            expect(manager.created).toBe(2);
+            expect(manager.getPoolInfo().functions[0]).toMatchObject({ poolSize: 2, starting: 0 });
+        });
+    });
+
+    describe('port allocation', () => {
+        const addressInUse = () => Object.assign(new Error('listen EADDRINUSE'), { code: 'EADDRINUSE' });
+
+        test('should retry creations that lost their port to another program', async () => {
+            const original = manager.createInstance.bind(manager);
+            manager.createInstance = jest.fn()
+                .mockRejectedValueOnce(addressInUse())
+                .mockImplementation(original);
+
+            const info = await manager.getOrCreateInstance('a');
+
+            expect(info.name).toBe('fake-1');
+            expect(manager.createInstance).toHaveBeenCalledTimes(2);
+            expect(console.warn).toHaveBeenCalledWith('Port already in use while starting fake, retrying: listen EADDRINUSE');
+        });
+
+        test('should give up after portRetries attempts', async () => {
+            manager = new FakeManager({ portRetries: 1 });
+            manager.createInstance = jest.fn().mockRejectedValue(addressInUse());
+
+            await expect(manager.startInstance(['a'])).rejects.toThrow('listen EADDRINUSE');
+            expect(manager.createInstance).toHaveBeenCalledTimes(2);
+        });
+
+        test('should hold a port from allocation until the instance is terminated', async () => {
+            const info = await manager.withPort(async port => ({ name: 'fake-port', port }));
+            expect(reservedPorts()).toContain(info.port);
+
+            await manager.terminateSafely(info);
+            expect(reservedPorts()).not.toContain(info.port);
+
+            let failedPort;
+            await expect(manager.withPort(async (port) => {
+                failedPort = port;
+                throw new Error('boom');
+            })).rejects.toThrow('boom');
+            expect(reservedPorts()).not.toContain(failedPort);
+        });
+
+        test('should release the port of an instance that crashed', async () => {
+            manager.createInstance = jest.fn(() => manager.withPort(async port => ({ name: `fake-${port}`, port, alive: true })));
+            const info = await manager.getOrCreateInstance('a');
+
+            manager.handleInstanceExit(info.name, { exitCode: 137 });
+            expect(reservedPorts()).not.toContain(info.port);
+
+            // Terminating it later must not free the port for whoever reserved it next
+            const reused = await getAvailablePort({ range: [info.port, info.port] });
+            await manager.terminateSafely(info);
+            expect(reservedPorts()).toContain(reused);
+            releasePort(reused);
+        });
+    });
+
+    describe('per-function pools', () => {
+        test('should never serve one function from another function\'s instance', async () => {
+            const a = await manager.getOrCreateInstance('a');
+            manager.maxPoolSize = 1;
+
+            const b = await manager.getOrCreateInstance('b');
+            const again = await manager.getOrCreateInstance('a');
+
+            expect(b.label).toBe('b');
+            expect(again).toBe(a);
+            expect(manager.pool).toHaveLength(2);
+        });
+
+        test('should size each function independently', async () => {
+            manager = new FakeManager({ maxPoolSize: 5, functions: [{ args: ['a'], maxPoolSize: 1 }] });
+
+            const lease = await manager.acquire('a');
+            const others = await Promise.all([manager.acquire('b'), manager.acquire('b')]);
+
+            expect(others.map(other => other.instance.label)).toEqual(['b', 'b']);
+            expect(manager.getPoolInfo().functions).toEqual([
+                { key: '["a"]', poolSize: 1, busy: 1, starting: 0, minPoolSize: 0, maxPoolSize: 1 },
+                { key: '["b"]', poolSize: 2, busy: 2, starting: 0, minPoolSize: 0, maxPoolSize: 5 }
+            ]);
+            lease.release();
+        });
+
+        test('should not hold up other functions behind a queued caller', async () => {
+            manager.maxPoolSize = 1;
+            const a = await manager.acquire('a');
+            const waiting = manager.acquire('a');
+            await new Promise(resolve => setImmediate(resolve));
+
+            const b = await manager.acquire('b');
+            a.release();
+
+            expect((await waiting).instance).toBe(a.instance);
+            expect(b.instance.label).toBe('b');
+        });
+
+        test('should keep each function warm and replace instances with the same function', async () => {
+            manager = new FakeManager({
+                liveness: { failureThreshold: 1, interval: 60000 },
+                functions: [{ args: ['a'], minPoolSize: 1 }, { args: ['b'], minPoolSize: 2 }]
+            });
+
+            await manager.warmUp('a');
+            await manager.warmUp('b');
+            const [first] = manager.pool;
+            first.alive = false;
+            await manager.checkLiveness();
+
+            expect(manager.pool.map(info => info.label).sort()).toEqual(['a', 'b', 'b']);
+            expect(manager.pool).not.toContain(first);
+        });
+    });
+
+    describe('autoscaling', () => {
+        test('should hold the pool at the target and scale up when callers queue', async () => {
+            manager = new FakeManager({ maxPoolSize: 4, autoscale: { interval: 60000 } });
+            const scaled = jest.fn();
+            manager.on('pool:scaled', scaled);
+
+            const first = await manager.acquire('a');
+            const waiting = manager.acquire('a');
+            await new Promise(resolve => setImmediate(resolve));
+            expect(manager.created).toBe(1);
+
+            await manager.autoscale();
+
+            expect(manager.created).toBe(2);
+            expect(scaled).toHaveBeenCalledWith(expect.objectContaining({ key: '["a"]', from: 1, to: 2 }));
+            expect((await waiting).instance).not.toBe(first.instance);
+            expect(manager.getPoolInfo().functions[0]).toMatchObject({ poolSize: 2, busy: 2, targetPoolSize: 2 });
+        });
+
+        test('should scale down one step per delay and keep minPoolSize', async () => {
+            manager = new FakeManager({
+                minPoolSize: 1,
+                autoscale: { interval: 60000, scaleDownDelay: 1000, cooldown: 0 }
+            });
+            const leases = [manager.acquire('a'), manager.acquire('a'), manager.acquire('a')];
+            await new Promise(resolve => setImmediate(resolve));
+            await manager.autoscale();
+            (await Promise.all(leases)).forEach(lease => lease.release());
+            expect(manager.pool).toHaveLength(3);
+
+            const evicted = jest.fn();
+            manager.on('instance:evicted', evicted);
+            // Well past idleTimeout, which no longer evicts on its own
+            const start = Date.now() + 60000;
+            const now = jest.spyOn(Date, 'now');
+            const sizeAt = async (time) => {
+                now.mockReturnValue(time);
+                await manager.autoscale();
+                return manager.pool.length;
+            };
+
+            now.mockReturnValue(start);
+            await manager.evictExpired();
+            expect(manager.pool).toHaveLength(3);
+
+            expect(await sizeAt(start)).toBe(3);
+            expect(await sizeAt(start + 1000)).toBe(2);
+            expect(await sizeAt(start + 1500)).toBe(2);
+            expect(await sizeAt(start + 2000)).toBe(1);
+            expect(await sizeAt(start + 5000)).toBe(1);
+            expect(evicted).toHaveBeenCalledTimes(2);
+            expect(evicted).toHaveBeenCalledWith(expect.objectContaining({ reason: 'scaled down' }));
+        });
+
+        test('should accept a custom policy and drain leased instances on release', async () => {
+            const policy = { evaluate: jest.fn().mockReturnValue(2) };
+            manager = new FakeManager({ autoscale: policy });
+
+            const first = await manager.acquire('a');
+            await manager.autoscale();
+            const second = await manager.acquire('a');
+            expect(policy.evaluate).toHaveBeenCalledWith(
+                expect.objectContaining({ key: '["a"]', current: 1, inFlight: 1, waiting: 0, latencyMs: null, maxPoolSize: 3 }),
+                {}
+            );
+
+            policy.evaluate.mockReturnValue(1);
+            await manager.autoscale();
+            expect(manager.pool).toHaveLength(2);
+
+            first.release();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(manager.pool).toEqual([second.instance]);
+            second.release();
+        });
+
+        test('should report invoke latency to the policy once per evaluation', async () => {
+            const policy = { evaluate: jest.fn().mockReturnValue(1) };
+            manager = new FakeManager({ autoscale: policy });
+            manager.callInstance = jest.fn().mockResolvedValue({ status: 200, headers: {}, body: Buffer.alloc(0) });
+
+            await manager.invoke({ args: ['a'] });
+            await manager.autoscale();
+            await manager.autoscale();
+
+            expect(policy.evaluate.mock.calls[0][0].latencyMs).toEqual(expect.any(Number));
+            expect(policy.evaluate.mock.calls[1][0].latencyMs).toBeNull();
+        });
+    });
+
+    describe('resizing', () => {
+        test('should scale up and drain leased instances once they are released', async () => {
+            await manager.getOrCreateInstance('a');
+            await manager.scaleTo(3);
+            expect(manager.pool).toHaveLength(3);
+
+            const first = await manager.acquire('a');
+            const second = await manager.acquire('a');
+            let converged = false;
+            const shrinking = manager.scaleTo(1, 'a').then(() => {
+                converged = true;
+            });
+            await new Promise(resolve => setImmediate(resolve));
+            expect(manager.pool).toEqual([first.instance, second.instance]);
+            expect(converged).toBe(false);
+
+            first.release();
+            await shrinking;
+
+            expect(manager.pool).toEqual([second.instance]);
+            second.release();
+            expect(manager.pool).toEqual([second.instance]);
+        });
+
+        test('should keep the size across watcher ticks until the limits change', async () => {
+            manager = new FakeManager({ poolCheckInterval: 10, idleTimeout: 1 });
+            const tick = () => new Promise(resolve => setTimeout(resolve, 50));
+
+            await manager.scaleTo(3, 'a');
+            manager.removeDeadInstance(manager.pool[0]);
+            await tick();
+
+            expect(manager.pool).toHaveLength(3);
+            expect(manager.created).toBe(4);
+            expect(manager.getPoolInfo().functions[0]).toMatchObject({ poolSize: 3, scaledTo: 3 });
+
+            await manager.setPoolLimits({ max: 3 }, 'a');
+            await tick();
+
+            expect(manager.pool).toHaveLength(0);
+        });
+
+        test('should reject sizes outside the limits and calls without a function', async () => {
+            await expect(manager.scaleTo(1)).rejects.toThrow('FakeManager needs the instance arguments to scale');
+            await expect(manager.scaleTo(4, 'a')).rejects.toThrow(
+                'Cannot scale fakes of ["a"] to 4: expected an integer from 0 to 3'
+            );
+            await expect(manager.setPoolLimits({ min: 3, max: 2 })).rejects.toThrow('Invalid pool limits { min: 3, max: 2 }');
+            expect(manager.created).toBe(0);
+        });
+
+        test('should apply new limits to one function and start its minimum', async () => {
+            await manager.setPoolLimits({ min: 2, max: 5 }, 'a');
+
+            expect(manager.created).toBe(2);
+            expect(manager.getPoolInfo()).toMatchObject({
+                minPoolSize: 0,
+                maxPoolSize: 3,
+                functions: [{ key: '["a"]', poolSize: 2, minPoolSize: 2, maxPoolSize: 5 }]
+            });
+        });
+
+        test('should shrink every function to lowered manager-wide limits', async () => {
+            await manager.getOrCreateInstance('a');
+            await manager.getOrCreateInstance('a');
+            await manager.getOrCreateInstance('b');
+
+            await manager.setPoolLimits({ max: 1 });
+            await manager.getOrCreateInstance('a');
+
+            expect(manager.maxPoolSize).toBe(1);
+            expect(manager.pool.map(info => info.label).sort()).toEqual(['a', 'b']);
+            expect(manager.created).toBe(3);
+        });
+
+        test('should reject a pending resize on shutdown', async () => {
+            manager.terminateInstance = jest.fn();
+            const lease = await manager.acquire('a');
+            const shrinking = manager.scaleTo(0, 'a');
+            await new Promise(resolve => setImmediate(resolve));
+
+            await manager.shutdown();
+
+            await expect(shrinking).rejects.toThrow(ShuttingDownError);
+            lease.release();
+        });
+    });
+
+    describe('removeFromPool', () => {
+        test('should call onInstanceRemoved for removed instances', () => {
+            manager.onInstanceRemoved = jest.fn();
+            manager.pool = [{ name: 'fake-1' }, { name: 'fake-2' }];
+
+            const removed = manager.removeFromPool('fake-1');
+
+            expect(removed).toEqual({ name: 'fake-1' });
+            expect(manager.onInstanceRemoved).toHaveBeenCalledWith({ name: 'fake-1' });
+            expect(manager.removeFromPool('missing')).toBeNull();
+        });
+    });
+
+    describe('getPoolInfo', () => {
+        test('should list instances under the resource plural', () => {
+            manager.pool = [{ name: 'fake-1', port: 7001, createdAt: 1, lastUsed: 2, alive: true }];
+
+            expect(manager.getPoolInfo()).toEqual({
+                poolSize: 1,
+                minPoolSize: 0,
+                maxPoolSize: 3,
+                busy: 0,
+                idle: 1,
+                waiting: 0,
+                isShuttingDown: false,
+                watcherStarted: false,
+                functions: [],
+                fakes: [{ name: 'fake-1', port: 7001, createdAt: 1, lastUsed: 2 }]
+            });
+        });
+    });
+
+    describe('healthCheck', () => {
+        test('should remove instances that fail the probe', async () => {
+            manager.pool = [
+                { name: 'fake-1', alive: true },
+                { name: 'fake-2', alive: false }
+            ];
+
+            const result = await manager.healthCheck();
+
+            expect(result).toEqual({ totalFakes: 1, deadFakesRemoved: 1, healthy: true });
+            expect(manager.pool.map(i => i.name)).toEqual(['fake-1']);
+        });
+
+        test('should report removed instances and serve queued callers', async () => {
+            manager.maxPoolSize = 1;
+            const crashed = jest.fn();
+            manager.on('instance:crashed', crashed);
+            const lease = await manager.acquire('a');
+            const waiting = manager.acquire('a');
+            await new Promise(resolve => setImmediate(resolve));
+
+            lease.instance.alive = false;
+            await manager.healthCheck();
+
+            expect(crashed).toHaveBeenCalledWith(expect.objectContaining({ name: 'fake-1', reason: 'health check failed' }));
+            expect((await waiting).instance.name).toBe('fake-2');
+        });
+    });
+
+    describe('shutdown', () => {
+        test('should terminate instances and only remove its own signal handlers', async () => {
+            const handler = manager.shutdownHandler;
+            const instance = { name: 'fake-1', port: 7001, alive: true };
+            manager.pool = [instance];
+
+            await manager.shutdown();
+
+            expect(instance.alive).toBe(false);
+            expect(manager.pool).toEqual([]);
+            expect(process.removeListener).toHaveBeenCalledWith('SIGINT', handler);
+            expect(process.removeListener).toHaveBeenCalledWith('SIGTERM', handler);
+            expect(process.removeListener).toHaveBeenCalledWith('beforeExit', handler);
+        });
+
+        test('should keep going when a terminate hook throws', async () => {
+            manager.terminateInstance = jest.fn().mockRejectedValue(new Error('stuck'));
+            manager.pool = [{ name: 'fake-1' }];
+
+            await manager.shutdown();
+
+            expect(console.error).toHaveBeenCalledWith('Error stopping fake fake-1: stuck');
+            expect(manager.pool).toEqual([]);
+        });
+    });
+});
\ No newline at end of file
@@ -1,6 +1,10 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const DockerManager = require('../lib/managers/docker');
 const { getAvailablePort } = require('../lib/utils/port');
 const Docker = require('dockerode');
+const { BackendUnavailableError, PoolExhaustedError } = require('../lib/errors');
 
 // Mock dependencies
 jest.mock('dockerode');
@@ -35,7 +39,7 @@ describe('DockerManager', () => {
 
         // Mock process event listeners
         process.once = jest.fn();
-        process.removeAllListeners = jest.fn();
+        process.removeListener = jest.fn();
 
         dockerManager = new DockerManager();
     });
@@ -80,11 +84,17 @@ describe('DockerManager', () => {
             expect(manager.lastDockerRequestTime).toBeGreaterThanOrEqual(beforeTime);
             expect(manager.lastDockerRequestTime).toBeLessThanOrEqual(afterTime);
         });
+
+        test('should give readiness probes a container-sized budget', () => {
+            expect(new DockerManager({ readiness: { type: 'tcp' } }).readinessProbe).toMatchObject({ interval: 500, retries: 60 });
+            expect(new DockerManager({ readiness: { type: 'tcp', interval: 50 } }).readinessProbe).toMatchObject({ interval: 50, retries: 60 });
+        });
     });
 
     describe('createContainer', () => {
         test('should create container successfully', async () => {
-            const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+            const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+            dockerManager.logger = logger;
             
             const result = await dockerManager.createContainer(3000, 'test-container', '/path/to/script', ['index.js']);
             
@@ -105,9 +115,10 @@ describe('DockerManager', () => {
                 status: 'started',
                 name: 'test-container'
             });
-            expect(consoleSpy).toHaveBeenCalledWith('Creating container "test-container" on port 3000');
-            
-            consoleSpy.mockRestore();
+            expect(logger.debug).toHaveBeenCalledWith(
+                { operation: 'create', name: 'test-container', port: 3000 },
+                'Creating container "test-container" on port 3000'
+            );
         });
 
         test('should throw error when scriptDir is not provided', async () => {
@@ -135,6 +146,54 @@ describe('DockerManager', () => {
             );
         });
 
+        test('should run index.js under the bundled runtime in handler mode', async () => {
+            const handlerManager = new DockerManager({ handler: true });
+
+            await handlerManager.createContainer(3000, 'test-container', '/path/to/script', ['index.js']);
+
+            expect(mockDocker.createContainer).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    HostConfig: expect.objectContaining({
+                        Binds: [
+                            '/path/to/script/index.js:/usr/src/app/index.js',
+                            `${require('path').join(__dirname, '..', 'lib', 'runtime')}:/opt/serverless-runtime:ro`
+                        ]
+                    }),
+                    Cmd: ['node', '/opt/serverless-runtime/bootstrap.js', 'index.js', '9000']
+                })
+            );
+        });
+
+        test('should pass env to the container only when given', async () => {
+            await dockerManager.createContainer(3000, 'test-container', '/path/to/script', ['index.js'], { STAGE: 'beta' });
+
+            expect(mockDocker.createContainer).toHaveBeenCalledWith(expect.objectContaining({ Env: ['STAGE=beta'] }));
+            expect(dockerManager.functionKey('/path/to/script')).not.toBe(
+                dockerManager.functionKey('/path/to/script', ['index.js'], { env: { STAGE: 'beta' } })
+            );
+        });
+
+        test('should bind-mount the socket directory instead of publishing a port', async () => {
+            const socketDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-test-'));
+            const socketManager = new DockerManager({ transport: 'socket', socketDir });
+
+            const info = await socketManager.createInstance('/path/to/script');
+
+            expect(getAvailablePort).not.toHaveBeenCalled();
+            expect(info).toMatchObject({ port: null, socketPath: path.join(socketDir, `${info.name}.sock`) });
+            const options = mockDocker.createContainer.mock.calls[0][0];
+            expect(options.ExposedPorts).toBeUndefined();
+            expect(options.HostConfig).toEqual({
+                Binds: [
+                    '/path/to/script/index.js:/usr/src/app/index.js',
+                    `${socketDir}:/var/run/serverless`
+                ]
+            });
+            expect(options.Cmd).toEqual(['node', 'index.js', `/var/run/serverless/${info.name}.sock`]);
+
+            fs.rmSync(socketDir, { recursive: true });
+        });
+
         test('should timeout container creation', async () => {
             mockDocker.createContainer.mockImplementation(() => new Promise(() => {})); // Never resolves
             
@@ -198,6 +257,24 @@ describe('DockerManager', () => {
     });
 
     describe('getOrCreateContainerInPool', () => {
+        beforeEach(() => {
+            jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+        });
+
+        afterEach(() => {
+            fs.existsSync.mockRestore();
+        });
+
+        test('should reject missing script files before starting a container', async () => {
+            fs.existsSync.mockImplementation(file => !file.endsWith('greet.js'));
+
+            await expect(dockerManager.getOrCreateContainerInPool('/path/to/script', ['index.js', 'greet.js'])).rejects.toMatchObject({
+                name: 'ScriptNotFoundError',
+                scriptPath: path.join('/path/to/script', 'greet.js')
+            });
+            expect(mockDocker.createContainer).not.toHaveBeenCalled();
+        });
+
         test('should create new container when pool is empty', async () => {
             const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
             
@@ -223,16 +300,12 @@ describe('DockerManager', () => {
                 { name: 'container-3', port: 8003, id: 'id-3' }
             ];
             
-            // Mock Date.now to control round-robin selection
-            const originalDateNow = Date.now;
-            Date.now = jest.fn().mockReturnValue(2000); // Should select index 2000 % 3 = 2
+            const first = await dockerManager.getOrCreateContainerInPool('/path/to/script');
+            const second = await dockerManager.getOrCreateContainerInPool('/path/to/script');
             
-            const result = await dockerManager.getOrCreateContainerInPool('/path/to/script');
-            
-            expect(result).toBe(dockerManager.containerPool[2]);
+            expect(first).toBe(dockerManager.containerPool[0]);
+            expect(second).toBe(dockerManager.containerPool[1]);
             expect(mockDocker.createContainer).not.toHaveBeenCalled();
-            
-            Date.now = originalDateNow;
         });
 
         test('should throw error if container creation fails and pool is empty', async () => {
@@ -247,6 +320,37 @@ describe('DockerManager', () => {
             consoleWarnSpy.mockRestore();
         });
 
+        test('should throw BackendUnavailableError when the Docker daemon is not reachable', async () => {
+            const socketError = Object.assign(new Error('connect ENOENT /var/run/docker.sock'), { code: 'ENOENT' });
+            mockDocker.createContainer.mockRejectedValue(socketError);
+            jest.spyOn(console, 'warn').mockImplementation();
+
+            const promise = dockerManager.getOrCreateContainerInPool('/path/to/script');
+
+            await expect(promise).rejects.toBeInstanceOf(BackendUnavailableError);
+            await expect(promise).rejects.toMatchObject({ code: 'BACKEND_UNAVAILABLE', backend: 'docker', cause: socketError });
+        });
+
+        test('should fall back to the pool when the Docker daemon fails with instances still running', async () => {
+            dockerManager.maxPoolSize = 2;
+            dockerManager.containerPool = [{ name: 'existing', port: 3000 }];
+            mockDocker.createContainer.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+            jest.spyOn(console, 'warn').mockImplementation();
+
+            const result = await dockerManager.getOrCreateContainerInPool('/path/to/script');
+
+            expect(result.name).toBe('existing');
+        });
+
+        test('should throw PoolExhaustedError when the pool is empty', async () => {
+            dockerManager.maxPoolSize = 0;
+
+            await expect(dockerManager.getOrCreateContainerInPool('/path/to/script'))
+                .rejects.toMatchObject({ code: 'POOL_EXHAUSTED', reason: 'empty', backend: 'docker' });
+            await expect(dockerManager.getOrCreateContainerInPool('/path/to/script'))
+                .rejects.toBeInstanceOf(PoolExhaustedError);
+        });
+
         test('should return existing container if creation fails but pool has containers', async () => {
             // Add existing container to pool
             dockerManager.containerPool = [
@@ -303,9 +407,14 @@ describe('DockerManager', () => {
             const info = dockerManager.getPoolInfo();
             expect(info).toEqual({
                 poolSize: 2,
+                minPoolSize: 0,
                 maxPoolSize: 3,
+                busy: 0,
+                idle: 2,
+                waiting: 0,
                 isShuttingDown: false,
                 watcherStarted: false,
+                functions: [],
                 containers: [
                     { name: 'container1', port: 3000, id: 'id-1', createdAt: 1234, lastUsed: 5678 },
                     { name: 'container2', port: 3001, id: 'id-2', createdAt: 2345, lastUsed: 6789 }
@@ -318,9 +427,14 @@ describe('DockerManager', () => {
             
             expect(info).toEqual({
                 poolSize: 0,
+                minPoolSize: 0,
                 maxPoolSize: 3,
+                busy: 0,
+                idle: 0,
+                waiting: 0,
                 isShuttingDown: false,
                 watcherStarted: false,
+                functions: [],
                 containers: []
             });
         });
@@ -365,8 +479,7 @@ describe('DockerManager', () => {
             await dockerManager.stopAllContainers();
 
             expect(consoleErrorSpy).toHaveBeenCalledWith(
-                'Error stopping container container1:',
-                'Stop failed'
+                'Error stopping container container1: Stop failed'
             );
             expect(dockerManager.containerPool).toEqual([]);
             
@@ -453,16 +566,16 @@ describe('DockerManager', () => {
             const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
             dockerManager.watcherInterval = 'mock-interval';
             global.clearInterval = jest.fn();
-            jest.spyOn(dockerManager, 'stopAllContainers').mockResolvedValue();
+            jest.spyOn(dockerManager, 'stopAllInstances').mockResolvedValue();
             
             await dockerManager.shutdown();
             
             expect(dockerManager.isShuttingDown).toBe(true);
             expect(global.clearInterval).toHaveBeenCalledWith('mock-interval');
-            expect(dockerManager.stopAllContainers).toHaveBeenCalled();
-            expect(process.removeAllListeners).toHaveBeenCalledWith('SIGINT');
-            expect(process.removeAllListeners).toHaveBeenCalledWith('SIGTERM');
-            expect(process.removeAllListeners).toHaveBeenCalledWith('beforeExit');
+            expect(dockerManager.stopAllInstances).toHaveBeenCalled();
+            expect(process.removeListener).toHaveBeenCalledWith('SIGINT', expect.any(Function));
+            expect(process.removeListener).toHaveBeenCalledWith('SIGTERM', expect.any(Function));
+            expect(process.removeListener).toHaveBeenCalledWith('beforeExit', expect.any(Function));
             expect(consoleSpy).toHaveBeenCalledWith('DockerManager shutting down...');
             expect(consoleSpy).toHaveBeenCalledWith('DockerManager shutdown complete');
             
@@ -471,11 +584,11 @@ describe('DockerManager', () => {
 
         test('should not shutdown twice', async () => {
             dockerManager.isShuttingDown = true;
-            jest.spyOn(dockerManager, 'stopAllContainers').mockResolvedValue();
+            jest.spyOn(dockerManager, 'stopAllInstances').mockResolvedValue();
             
             await dockerManager.shutdown();
             
-            expect(dockerManager.stopAllContainers).not.toHaveBeenCalled();
+            expect(dockerManager.stopAllInstances).not.toHaveBeenCalled();
         });
     });
 
@@ -0,0 +1,53 @@
+const {
+    ManagerError,
+    PoolExhaustedError,
+    CreationTimeoutError,
+    ShuttingDownError,
+    BackendUnavailableError,
+    RequestTimeoutError,
+    HandlerError,
+    ScriptNotFoundError,
+} = require('../lib/errors');
+const lib = require('../lib');
+
+describe('errors', () => {
+    test.each([
+        [PoolExhaustedError, 'POOL_EXHAUSTED'],
+        [CreationTimeoutError, 'CREATION_TIMEOUT'],
+        [ShuttingDownError, 'SHUTTING_DOWN'],
+        [BackendUnavailableError, 'BACKEND_UNAVAILABLE'],
+        [RequestTimeoutError, 'REQUEST_TIMEOUT'],
+        [HandlerError, 'HANDLER_ERROR'],
+        [ScriptNotFoundError, 'SCRIPT_NOT_FOUND']
+    ])('%p should carry its code and backend', (ErrorClass, code) => {
+        const err = new ErrorClass('boom', { backend: 'docker' });
+
+        expect(err).toBeInstanceOf(ManagerError);
+        expect(err).toBeInstanceOf(Error);
+        expect(err.name).toBe(ErrorClass.name);
+        expect(err.code).toBe(code);
+        expect(err.backend).toBe('docker');
+        expect(err.message).toBe('boom');
+    });
+
+    test('should keep error specific details', () => {
+        const cause = new Error('connect ECONNREFUSED');
+
+        expect(new PoolExhaustedError('full', { reason: 'timeout', retryAfter: 5, queueLength: 2 }))
+            .toMatchObject({ reason: 'timeout', retryAfter: 5, queueLength: 2 });
+        expect(new CreationTimeoutError('slow', { timeout: 1000 }).timeout).toBe(1000);
+        expect(new RequestTimeoutError('slow', { timeout: 500 }).timeout).toBe(500);
+        expect(new BackendUnavailableError('down', { cause }).cause).toBe(cause);
+        expect(new ScriptNotFoundError('missing', { scriptPath: './a.js' }).scriptPath).toBe('./a.js');
+    });
+
+    test('should be exported from the package entry point', () => {
+        expect(lib.ManagerError).toBe(ManagerError);
+        expect(lib.CreationTimeoutError).toBe(CreationTimeoutError);
+        expect(lib.ShuttingDownError).toBe(ShuttingDownError);
+        expect(lib.BackendUnavailableError).toBe(BackendUnavailableError);
+        expect(lib.RequestTimeoutError).toBe(RequestTimeoutError);
+        expect(lib.HandlerError).toBe(HandlerError);
+        expect(lib.ScriptNotFoundError).toBe(ScriptNotFoundError);
+    });
+});
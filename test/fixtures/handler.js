@@ -0,0 +1,18 @@
+// Function handler used by the function mode tests
+module.exports.handler = async (event = {}, context) => {
+    if (event.fail) {
+        const err = new Error('bad input');
+        err.code = 'E_BAD';
+        throw err;
+    }
+    if (event.spin) {
+        for (;;) {} // Never yields, only terminating the instance stops it
+    }
+    if (event.sleep) {
+        await new Promise(resolve => setTimeout(resolve, event.sleep));
+    }
+    if (event.bytes) {
+        return new Uint8Array(event.bytes);
+    }
+    return { echo: event, requestId: context.requestId, name: context.name };
+};
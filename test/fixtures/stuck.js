@@ -0,0 +1,2 @@
+// Never finishes loading, so the runtime never reports ready
+for (;;) {}
@@ -0,0 +1,71 @@
+// Fixtures shared by the test suites
+const http = require('http');
+const BaseManager = require('../lib/managers/base');
+
+// In-memory backend: the Nth instance is fake-N on port 7000 + N
+class FakeManager extends BaseManager {
+    constructor(options = {}, descriptor = {}) {
+        super(options, {
+            managerName: 'FakeManager',
+            resourceName: 'fake',
+            resourcePlural: 'fakes',
+            ...descriptor
+        });
+        this.created = 0;
+        this.terminated = [];
+    }
+
+    async createInstance(label) {
+        this.created++;
+        return { name: `fake-${this.created}`, port: 7000 + this.created, label, alive: true };
+    }
+
+    async terminateInstance(info) {
+        info.alive = false;
+        this.terminated.push(info.name);
+    }
+
+    async probeInstance(info) {
+        return info.alive;
+    }
+}
+
+// Each created instance points at the next port in the list
+class PortManager extends FakeManager {
+    constructor(ports, options = {}) {
+        super({ logger: false, ...options }, { managerName: 'PortManager' });
+        this.ports = ports;
+    }
+
+    async createInstance() {
+        const port = this.ports[this.created % this.ports.length];
+        this.created++;
+        return { name: `fake-${this.created}`, port, alive: true };
+    }
+}
+
+// Resolves with the server once it listens on a free local port; a handler gets an HTTP server
+function listen(handlerOrServer) {
+    const server = typeof handlerOrServer === 'function' ? http.createServer(handlerOrServer) : handlerOrServer;
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function close(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+// A port nothing listens on
+async function closedPort() {
+    const server = await listen(() => {});
+    const { port } = server.address();
+    await close(server);
+    return port;
+}
+
+module.exports = {
+    FakeManager,
+    PortManager,
+    listen,
+    close,
+    closedPort,
+};
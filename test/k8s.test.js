@@ -1,5 +1,7 @@
 const K8sManager = require('../lib/managers/k8s');
 const { getAvailablePort } = require('../lib/utils/port');
+const { isAddressInUse } = jest.requireActual('../lib/utils/port');
+const { CreationTimeoutError } = require('../lib/errors');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
@@ -22,7 +24,8 @@ describe('K8sManager', () => {
         
         // Mock child process
         mockChildProcess = {
-            stdout: { on: jest.fn() },
+            // kubectl reports it is forwarding as soon as the stdout listener is attached
+            stdout: { on: jest.fn((event, cb) => event === 'data' && cb('Forwarding from 127.0.0.1:8080 -> 9000\n')) },
             stderr: { on: jest.fn() },
             on: jest.fn(),
             kill: jest.fn(),
@@ -120,6 +123,11 @@ describe('K8sManager', () => {
             expect(k8sManager.lastPodRequestTime).toBeGreaterThan(0);
         });
 
+        test('should give readiness probes time for npm install unless told otherwise', () => {
+            expect(new K8sManager({ readiness: { type: 'http' } }).readinessProbe).toMatchObject({ interval: 1000, retries: 180 });
+            expect(new K8sManager({ readiness: { type: 'http', retries: 5 } }).readinessProbe).toMatchObject({ interval: 1000, retries: 5 });
+        });
+
         test('should setup shutdown handlers', () => {
             expect(k8sManager.setupShutdownHandlers).toBeDefined();
             
@@ -289,8 +297,7 @@ describe('K8sManager', () => {
             await new Promise(resolve => setImmediate(resolve));
             
             expect(consoleErrorSpy).toHaveBeenCalledWith(
-                'Error stopping pod test-pod:',
-                'Deletion failed'
+                'Error stopping pod test-pod: Deletion failed'
             );
             
             consoleErrorSpy.mockRestore();
@@ -304,11 +311,30 @@ describe('K8sManager', () => {
             k8sManager.initialized = true;
         });
 
+        test('should publish the bundled runtime in handler mode', async () => {
+            mockK8sApi.readNamespacedConfigMap.mockRejectedValue({ code: 404 });
+            mockK8sApi.createNamespacedConfigMap.mockResolvedValue({});
+            k8sManager.handler = true;
+            k8sManager.createPod = jest.fn().mockResolvedValue({});
+
+            await k8sManager.createInstance('/test/path', ['index.js']);
+
+            const names = mockK8sApi.createNamespacedConfigMap.mock.calls.map(([request]) => request.body.metadata.name);
+            expect(names).toEqual([expect.stringMatching(/^scripts-[0-9a-f]{12}$/), 'serverless-runtime']);
+            expect(mockK8sApi.createNamespacedConfigMap.mock.calls[1][0].body.data).toEqual({
+                'bootstrap.js': 'mock file content',
+                'handler.js': 'mock file content',
+                'http.js': 'mock file content',
+                'protocol.js': 'mock file content'
+            });
+        });
+
         test('should create new ConfigMap when it does not exist', async () => {
             mockK8sApi.readNamespacedConfigMap.mockRejectedValue({ code: 404 });
             mockK8sApi.createNamespacedConfigMap.mockResolvedValue({});
             
-            const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+            const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+            k8sManager.logger = logger;
             
             await k8sManager.createOrUpdateConfigMap('/test/path', ['index.js']);
             
@@ -329,15 +355,18 @@ describe('K8sManager', () => {
                 })
             });
             
-            expect(consoleSpy).toHaveBeenCalledWith('ConfigMap created successfully');
-            consoleSpy.mockRestore();
+            expect(logger.debug).toHaveBeenCalledWith(
+                { operation: 'configMap', namespace: 'default' },
+                'ConfigMap created successfully'
+            );
         });
 
         test('should update existing ConfigMap', async () => {
             mockK8sApi.readNamespacedConfigMap.mockResolvedValue({});
             mockK8sApi.replaceNamespacedConfigMap.mockResolvedValue({});
             
-            const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+            const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+            k8sManager.logger = logger;
             
             await k8sManager.createOrUpdateConfigMap('/test/path', ['index.js']);
             
@@ -350,8 +379,10 @@ describe('K8sManager', () => {
                 })
             });
             
-            expect(consoleSpy).toHaveBeenCalledWith('ConfigMap updated successfully');
-            consoleSpy.mockRestore();
+            expect(logger.debug).toHaveBeenCalledWith(
+                { operation: 'configMap', namespace: 'default' },
+                'ConfigMap updated successfully'
+            );
         });
 
         test('should handle multiple script files', async () => {
@@ -463,7 +494,11 @@ describe('K8sManager', () => {
             const result = await k8sManager.getOrCreatePodInPool('/test/path');
             
             expect(k8sManager.initialize).toHaveBeenCalled();
-            expect(k8sManager.createOrUpdateConfigMap).toHaveBeenCalledWith('/test/path', ['index.js']);
+            expect(k8sManager.createOrUpdateConfigMap).toHaveBeenCalledWith(
+                '/test/path',
+                ['index.js'],
+                expect.stringMatching(/^scripts-[0-9a-f]{12}$/)
+            );
             expect(k8sManager.createPod).toHaveBeenCalled();
             expect(k8sManager.podPool).toHaveLength(1);
             expect(k8sManager.podPool[0].createdAt).toEqual(expect.any(Number));
@@ -485,20 +520,36 @@ describe('K8sManager', () => {
                 status: { phase: 'Running' }
             });
             
-            const result = await k8sManager.getOrCreatePodInPool('/test/path');
+            const first = await k8sManager.getOrCreatePodInPool('/test/path');
+            const second = await k8sManager.getOrCreatePodInPool('/test/path');
             
-            // Round-robin uses timestamp-based selection
-            expect(result.name).toMatch(/^pod-[1-3]$/);
-            expect(result.port).toBeGreaterThanOrEqual(8001);
-            expect(result.port).toBeLessThanOrEqual(8003);
+            // Round-robin cursor advances on every call
+            expect(first.name).toBe('pod-1');
+            expect(second.name).toBe('pod-2');
+            expect(second.port).toBe(8002);
             expect(k8sManager.createPod).not.toHaveBeenCalled();
         });
 
+        test('should reject missing script files before creating anything', async () => {
+            fs.existsSync.mockImplementation(file => file !== '/test/path/index.js');
+
+            await expect(k8sManager.getOrCreatePodInPool('/test/path')).rejects.toMatchObject({
+                name: 'ScriptNotFoundError',
+                scriptPath: '/test/path/index.js'
+            });
+            expect(k8sManager.createOrUpdateConfigMap).not.toHaveBeenCalled();
+        });
+
         test('should throw error if ConfigMap creation fails', async () => {
-            k8sManager.createOrUpdateConfigMap.mockRejectedValue(new Error('ConfigMap failed'));
-            
-            await expect(k8sManager.getOrCreatePodInPool('/test/path'))
-                .rejects.toThrow('ConfigMap creation failed: ConfigMap failed');
+            const cause = new Error('ConfigMap failed');
+            k8sManager.createOrUpdateConfigMap.mockRejectedValue(cause);
+            
+            await expect(k8sManager.getOrCreatePodInPool('/test/path')).rejects.toMatchObject({
+                message: 'ConfigMap creation failed: ConfigMap failed',
+                code: 'CONFIG_MAP_FAILED',
+                backend: 'k8s',
+                cause
+            });
         });
 
         test('should throw error if pod creation fails and pool is empty', async () => {
@@ -508,6 +559,14 @@ describe('K8sManager', () => {
                 .rejects.toThrow('Pod creation failed');
         });
 
+        test('should throw if pod creation fails and only other functions have pods', async () => {
+            k8sManager.addToPool({ name: 'other-pod', port: 8001 }, 'other-function');
+            k8sManager.createPod.mockRejectedValue(new Error('Pod creation failed'));
+
+            await expect(k8sManager.getOrCreatePodInPool('/test/path'))
+                .rejects.toThrow('Pod creation failed');
+        });
+
         test('should return existing pod if creation fails but pool has pods', async () => {
             // Add existing pod to pool
             k8sManager.podPool = [{ name: 'existing-pod', port: 8001, lastUsed: Date.now() }];
@@ -522,8 +581,7 @@ describe('K8sManager', () => {
             
             expect(result.name).toBe('existing-pod');
             expect(consoleWarnSpy).toHaveBeenCalledWith(
-                'Pod creation failed, using existing pod from pool:',
-                'Pod creation failed'
+                'Pod creation failed, using existing pod from pool: Pod creation failed'
             );
             
             consoleWarnSpy.mockRestore();
@@ -603,6 +661,33 @@ describe('K8sManager', () => {
             jest.useRealTimers();
         });
 
+        test('should trace pod readiness and port-forward startup', async () => {
+            mockK8sApi.createNamespacedPod.mockResolvedValue({ body: {} });
+            mockK8sApi.readNamespacedPod.mockResolvedValue({
+                status: { phase: 'Running' }
+            });
+            const spans = [];
+            k8sManager.tracer = {
+                startActiveSpan: (name, options, fn) => {
+                    spans.push({ name, attributes: options.attributes });
+                    return fn({ setAttributes: jest.fn(), recordException: jest.fn(), setStatus: jest.fn(), end: jest.fn() });
+                }
+            };
+
+            await k8sManager.createPod(8080, 'test-pod');
+
+            const attributes = {
+                'serverless.backend': 'k8s',
+                'serverless.instance.name': 'test-pod',
+                'serverless.instance.port': 8080,
+                'k8s.namespace': 'default'
+            };
+            expect(spans).toEqual([
+                { name: 'wait pod running', attributes },
+                { name: 'port-forward pod', attributes }
+            ]);
+        });
+
         test('should create pod with correct parameters', async () => {
             mockK8sApi.createNamespacedPod.mockResolvedValue({ body: {} });
             mockK8sApi.readNamespacedPod.mockResolvedValue({
@@ -730,8 +815,8 @@ describe('K8sManager', () => {
                 status: { phase: 'Running' }
             });
             
-            const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+            const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+            k8sManager.logger = logger;
             
             await k8sManager.createPod(8080, 'test-pod');
             
@@ -743,17 +828,95 @@ describe('K8sManager', () => {
                 call => call[0] === 'data'
             )[1];
             stdoutHandler('test stdout data');
-            expect(consoleSpy).toHaveBeenCalledWith('kubectl port-forward stdout: test stdout data');
+            expect(logger.debug).toHaveBeenCalledWith(
+                { name: 'test-pod', port: 8080, stream: 'stdout' },
+                'kubectl port-forward stdout: test stdout data'
+            );
             
             // Test stderr event handler
             const stderrHandler = mockChildProcess.stderr.on.mock.calls.find(
                 call => call[0] === 'data'
             )[1];
             stderrHandler('test stderr data');
-            expect(consoleErrorSpy).toHaveBeenCalledWith('kubectl port-forward stderr: test stderr data');
-            
-            consoleSpy.mockRestore();
-            consoleErrorSpy.mockRestore();
+            expect(logger.warn).toHaveBeenCalledWith(
+                { name: 'test-pod', port: 8080, stream: 'stderr' },
+                'kubectl port-forward stderr: test stderr data'
+            );
+        });
+
+        test('should finish port-forward only once kubectl is forwarding', async () => {
+            mockChildProcess.stdout.on = jest.fn();
+            let forwarded = false;
+            const pending = k8sManager.startPortForward('test-pod', 8080).then(proc => {
+                forwarded = true;
+                return proc;
+            });
+
+            const stdoutHandler = mockChildProcess.stdout.on.mock.calls.find(call => call[0] === 'data')[1];
+            stdoutHandler('Handling connection check\n');
+            await Promise.resolve();
+            expect(forwarded).toBe(false);
+
+            stdoutHandler('Forwarding from 127.0.0.1:8080 -> 9000\n');
+            await expect(pending).resolves.toBe(mockChildProcess);
+        });
+
+        test('should fail port-forward when kubectl exits before forwarding', async () => {
+            mockChildProcess.stdout.on = jest.fn();
+            const pending = k8sManager.startPortForward('test-pod', 8080);
+
+            const exitHandler = mockChildProcess.on.mock.calls.find(call => call[0] === 'exit')[1];
+            exitHandler(1);
+
+            await expect(pending).rejects.toThrow('kubectl port-forward for pod "test-pod" exited with code 1 before forwarding');
+            expect(mockChildProcess.kill).toHaveBeenCalledWith('SIGTERM');
+            expect(k8sManager.portForwardProcesses.has('test-pod')).toBe(false);
+        });
+
+        test('should report a local port kubectl could not bind as EADDRINUSE', async () => {
+            mockChildProcess.stdout.on = jest.fn();
+            const pending = k8sManager.startPortForward('test-pod', 8080);
+
+            const stderrHandler = mockChildProcess.stderr.on.mock.calls.find(call => call[0] === 'data')[1];
+            stderrHandler('Unable to listen on port 8080: listen tcp4 127.0.0.1:8080: bind: address already in use\n');
+            mockChildProcess.on.mock.calls.find(call => call[0] === 'exit')[1](1);
+
+            const err = await pending.catch(e => e);
+            expect(err.code).toBe('EADDRINUSE');
+            expect(isAddressInUse(err)).toBe(true);
+        });
+
+        test('should delete the pod when port-forward fails', async () => {
+            mockK8sApi.createNamespacedPod.mockResolvedValue({ body: {} });
+            mockK8sApi.readNamespacedPod.mockResolvedValue({ status: { phase: 'Running' } });
+            mockK8sApi.deleteNamespacedPod.mockResolvedValue({});
+            mockChildProcess.stdout.on = jest.fn();
+            mockChildProcess.on = jest.fn((event, cb) => event === 'exit' && cb(1));
+
+            await expect(k8sManager._createPodInternal(8080, 'test-pod'))
+                .rejects.toThrow('exited with code 1 before forwarding');
+            expect(mockK8sApi.deleteNamespacedPod).toHaveBeenCalledWith({ namespace: 'default', name: 'test-pod' });
+        });
+
+        test('should delete the pod when it never becomes ready', async () => {
+            mockK8sApi.createNamespacedPod.mockResolvedValue({ body: {} });
+            mockK8sApi.deleteNamespacedPod.mockRejectedValue(new Error('delete failed'));
+            jest.spyOn(k8sManager, 'waitForPodRunning').mockRejectedValue(new Error('not ready'));
+
+            await expect(k8sManager._createPodInternal(8080, 'test-pod')).rejects.toThrow('not ready');
+            expect(mockK8sApi.deleteNamespacedPod).toHaveBeenCalledWith({ namespace: 'default', name: 'test-pod' });
+            expect(spawn).not.toHaveBeenCalled();
+        });
+
+        test('should time out port-forward that never starts forwarding', async () => {
+            mockChildProcess.stdout.on = jest.fn();
+            k8sManager.portForwardTimeout = 1000;
+            const pending = k8sManager.startPortForward('test-pod', 8080);
+            const assertion = expect(pending).rejects.toThrow(CreationTimeoutError);
+
+            jest.advanceTimersByTime(1000);
+            await assertion;
+            expect(mockChildProcess.kill).toHaveBeenCalledWith('SIGTERM');
         });
 
         test('should throw error if pod creation fails', async () => {
@@ -762,6 +925,23 @@ describe('K8sManager', () => {
             await expect(k8sManager.createPod(8080, 'test-pod'))
                 .rejects.toThrow('Creation failed');
         });
+
+        test('should mount the bundled runtime in handler mode', async () => {
+            mockK8sApi.createNamespacedPod.mockResolvedValue({ body: {} });
+            mockK8sApi.readNamespacedPod.mockResolvedValue({
+                status: { phase: 'Running' }
+            });
+            k8sManager.handler = true;
+
+            await k8sManager.createPod(8080, 'test-pod');
+
+            const { spec } = mockK8sApi.createNamespacedPod.mock.calls[0][0].body;
+            expect(spec.containers[0].args[0]).toMatch(/exec node \/runtime\/bootstrap\.js index\.js$/);
+            expect(spec.containers[0].volumeMounts).toContainEqual(
+                { name: 'serverless-runtime', mountPath: '/runtime', readOnly: true }
+            );
+            expect(spec.volumes).toContainEqual({ name: 'serverless-runtime', configMap: { name: 'serverless-runtime' } });
+        });
     });
 
     describe('deletePod', () => {
@@ -828,9 +1008,14 @@ describe('K8sManager', () => {
             
             expect(info).toEqual({
                 poolSize: 2,
+                minPoolSize: 0,
                 maxPoolSize: 3,
+                busy: 0,
+                idle: 2,
+                waiting: 0,
                 isShuttingDown: false,
                 watcherStarted: false,
+                functions: [],
                 pods: [
                     { name: 'pod-1', port: 8001, createdAt: 1000, lastUsed: 2000 },
                     { name: 'pod-2', port: 8002, createdAt: 1100, lastUsed: 2100 }
@@ -843,9 +1028,14 @@ describe('K8sManager', () => {
             
             expect(info).toEqual({
                 poolSize: 0,
+                minPoolSize: 0,
                 maxPoolSize: 3,
+                busy: 0,
+                idle: 0,
+                waiting: 0,
                 isShuttingDown: false,
                 watcherStarted: false,
+                functions: [],
                 pods: []
             });
         });
@@ -905,8 +1095,7 @@ describe('K8sManager', () => {
             await k8sManager.stopAllPods();
             
             expect(consoleErrorSpy).toHaveBeenCalledWith(
-                'Error stopping pod pod-1:',
-                'Deletion failed'
+                'Error stopping pod pod-1: Deletion failed'
             );
             expect(k8sManager.podPool).toEqual([]);
             
@@ -958,8 +1147,7 @@ describe('K8sManager', () => {
             await promise;
             
             expect(consoleWarnSpy).toHaveBeenCalledWith(
-                expect.stringContaining('Failed to gracefully terminate pod test-pod'),
-                expect.anything()
+                expect.stringContaining('Failed to gracefully terminate pod test-pod')
             );
             expect(mockK8sApi.deleteNamespacedPod).toHaveBeenCalledWith({
                 namespace: 'default',
@@ -990,14 +1178,14 @@ describe('K8sManager', () => {
     describe('shutdown', () => {
         test('should shutdown gracefully', async () => {
             k8sManager.watcherInterval = setInterval(() => {}, 1000);
-            jest.spyOn(k8sManager, 'stopAllPods').mockResolvedValue();
+            jest.spyOn(k8sManager, 'stopAllInstances').mockResolvedValue();
             const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
             
             await k8sManager.shutdown();
             
             expect(k8sManager.isShuttingDown).toBe(true);
             expect(k8sManager.watcherInterval).toBe(null);
-            expect(k8sManager.stopAllPods).toHaveBeenCalled();
+            expect(k8sManager.stopAllInstances).toHaveBeenCalled();
             expect(consoleSpy).toHaveBeenCalledWith('K8sManager shutting down...');
             expect(consoleSpy).toHaveBeenCalledWith('K8sManager shutdown complete');
             
@@ -1006,11 +1194,11 @@ describe('K8sManager', () => {
 
         test('should not shutdown twice', async () => {
             k8sManager.isShuttingDown = true;
-            jest.spyOn(k8sManager, 'stopAllPods').mockResolvedValue();
+            jest.spyOn(k8sManager, 'stopAllInstances').mockResolvedValue();
             
             await k8sManager.shutdown();
             
-            expect(k8sManager.stopAllPods).not.toHaveBeenCalled();
+            expect(k8sManager.stopAllInstances).not.toHaveBeenCalled();
         });
     });
 
@@ -0,0 +1,204 @@
+const { createConsoleLogger, createSilentLogger, bindLogger, resolveLogger, adaptWinstonLogger } = require('../lib/logger');
+const BaseManager = require('../lib/managers/base');
+
+class EchoManager extends BaseManager {
+    constructor(options) {
+        super(options, { backend: 'echo', managerName: 'EchoManager' });
+    }
+
+    async createInstance() {
+        return { name: 'echo-1', port: 9000 };
+    }
+}
+
+describe('logger', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation();
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'warn').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('createConsoleLogger', () => {
+        test('should print only the message and skip debug by default', () => {
+            const logger = createConsoleLogger();
+
+            logger.debug({ name: 'a' }, 'debug line');
+            logger.info({ name: 'a' }, 'info line');
+            logger.warn({ name: 'a' }, 'warn line');
+            logger.error('error line');
+
+            expect(console.debug).not.toHaveBeenCalled();
+            expect(console.log).toHaveBeenCalledWith('info line');
+            expect(console.warn).toHaveBeenCalledWith('warn line');
+            expect(console.error).toHaveBeenCalledWith('error line');
+        });
+
+        test('should honour the level', () => {
+            const logger = createConsoleLogger({ level: 'warn' });
+
+            logger.info({}, 'hidden');
+            logger.warn({}, 'shown');
+
+            expect(console.log).not.toHaveBeenCalled();
+            expect(console.warn).toHaveBeenCalledWith('shown');
+            expect(createConsoleLogger({ level: 'debug' }).child({}).debug).toEqual(expect.any(Function));
+            expect(() => createConsoleLogger({ level: 'loud' })).toThrow('Unknown log level "loud"');
+        });
+
+        test('should print nothing when silent', () => {
+            const logger = createSilentLogger();
+
+            logger.error({}, 'boom');
+
+            expect(console.error).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('bindLogger', () => {
+        test('should use child() when the logger provides it', () => {
+            const child = {};
+            const logger = {
+                debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(),
+                child: jest.fn(() => child)
+            };
+
+            expect(bindLogger(logger, { backend: 'docker' })).toBe(child);
+            expect(logger.child).toHaveBeenCalledWith({ backend: 'docker' });
+        });
+
+        test('should merge bindings into records for loggers without child()', () => {
+            const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+            const bound = bindLogger(logger, { backend: 'docker' }).child({ manager: 'DockerManager' });
+
+            bound.info({ name: 'c1' }, 'started');
+            bound.warn('plain message');
+            bound.debug({}, 'dropped');
+
+            expect(logger.info).toHaveBeenCalledWith({ backend: 'docker', manager: 'DockerManager', name: 'c1' }, 'started');
+            expect(logger.warn).toHaveBeenCalledWith({ backend: 'docker', manager: 'DockerManager' }, 'plain message');
+        });
+    });
+
+    describe('resolveLogger', () => {
+        test('should reject loggers without the required levels', () => {
+            expect(() => resolveLogger({ info: () => {} })).toThrow('logger is missing required methods: warn, error');
+        });
+
+        test('should wrap winston loggers so they get the message first', () => {
+            const winston = { levels: { error: 0, warn: 1, info: 2, debug: 5 }, log: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+            resolveLogger(winston).info({ operation: 'create' }, 'Started');
+
+            expect(winston.info).toHaveBeenCalledWith('Started', { operation: 'create' });
+        });
+
+        test('should leave pino loggers alone', () => {
+            const pino = { levels: { values: { info: 30 } }, info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+            expect(resolveLogger(pino)).toBe(pino);
+        });
+
+        test('should silence output when logger is false', () => {
+            resolveLogger(false).error({}, 'boom');
+
+            expect(console.error).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('managers', () => {
+        test('should log structured records through the logger option', async () => {
+            process.once = jest.fn();
+            const records = [];
+            const logger = {
+                debug: jest.fn(),
+                info: (fields, message) => records.push({ ...fields, message }),
+                warn: jest.fn(),
+                error: jest.fn()
+            };
+
+            const manager = new EchoManager({ logger });
+            await manager.getOrCreateInstance();
+            clearInterval(manager.watcherInterval);
+
+            expect(records).toContainEqual({
+                backend: 'echo',
+                manager: 'EchoManager',
+                operation: 'create',
+                name: 'echo-1',
+                port: 9000,
+                message: 'Started instance: echo-1 (port 9000)'
+            });
+            expect(console.log).not.toHaveBeenCalled();
+        });
+
+        test('should call pino-style loggers with fields first and bind through child()', async () => {
+            process.once = jest.fn();
+            const records = [];
+            const pinoStyle = (bindings = {}) => {
+                const write = level => (fields, msg) => records.push({ level, ...bindings, ...fields, msg });
+                return {
+                    debug: write('debug'),
+                    info: write('info'),
+                    warn: write('warn'),
+                    error: write('error'),
+                    child: more => pinoStyle({ ...bindings, ...more })
+                };
+            };
+
+            const manager = new EchoManager({ logger: pinoStyle({ app: 'test' }) });
+            await manager.getOrCreateInstance();
+            clearInterval(manager.watcherInterval);
+
+            expect(records).toContainEqual(expect.objectContaining({
+                level: 'info',
+                app: 'test',
+                backend: 'echo',
+                manager: 'EchoManager',
+                operation: 'create',
+                msg: 'Started instance: echo-1 (port 9000)'
+            }));
+            expect(records.every(record => typeof record.msg === 'string')).toBe(true);
+        });
+
+        test('should call winston loggers with the message first and bind through child()', async () => {
+            process.once = jest.fn();
+            const records = [];
+            // Same call shape as winston.createLogger(): level methods take (message, meta)
+            const winstonStyle = (defaultMeta = {}) => {
+                const write = level => (message, meta) => records.push({ level, message, ...defaultMeta, ...meta });
+                return {
+                    levels: { error: 0, warn: 1, info: 2, debug: 5 },
+                    log: jest.fn(),
+                    debug: write('debug'),
+                    info: write('info'),
+                    warn: write('warn'),
+                    error: write('error'),
+                    child: meta => winstonStyle({ ...defaultMeta, ...meta })
+                };
+            };
+
+            const manager = new EchoManager({ logger: winstonStyle({ service: 'test' }) });
+            await manager.getOrCreateInstance();
+            clearInterval(manager.watcherInterval);
+
+            expect(records).toContainEqual(expect.objectContaining({
+                level: 'info',
+                service: 'test',
+                backend: 'echo',
+                manager: 'EchoManager',
+                operation: 'create',
+                message: 'Started instance: echo-1 (port 9000)'
+            }));
+            expect(records.every(record => typeof record.message === 'string')).toBe(true);
+        });
+
+        test('should export the winston adapter from the package', () => {
+            expect(require('../lib').adaptWinstonLogger).toBe(adaptWinstonLogger);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+const { createMetrics, Counter, Histogram } = require('../lib/metrics');
+const { PoolExhaustedError } = require('../lib/errors');
+const { FakeManager } = require('./helpers');
+
+describe('metrics', () => {
+    let manager;
+    let metrics;
+
+    beforeEach(() => {
+        process.once = jest.fn();
+        process.removeListener = jest.fn();
+        manager = new FakeManager({ logger: false, maxPoolSize: 1, maxQueueLength: 0 }, { backend: 'fake' });
+        metrics = createMetrics();
+        metrics.track(manager);
+    });
+
+    afterEach(() => {
+        clearInterval(manager.watcherInterval);
+    });
+
+    describe('Counter', () => {
+        test('should count per label set', () => {
+            const counter = new Counter('requests_total', 'Requests');
+            counter.inc({ backend: 'docker' });
+            counter.inc({ backend: 'docker' }, 2);
+            counter.inc({ backend: 'k8s' });
+
+            expect(counter.get({ backend: 'docker' })).toBe(3);
+            expect(counter.lines()).toEqual([
+                'requests_total{backend="docker"} 3',
+                'requests_total{backend="k8s"} 1'
+            ]);
+        });
+    });
+
+    describe('Histogram', () => {
+        test('should render cumulative buckets, sum and count', () => {
+            const histogram = new Histogram('latency_seconds', 'Latency', [0.1, 1]);
+            histogram.observe({}, 0.05);
+            histogram.observe({}, 0.5);
+            histogram.observe({}, 5);
+
+            expect(histogram.lines()).toEqual([
+                'latency_seconds_bucket{le="0.1"} 1',
+                'latency_seconds_bucket{le="1"} 2',
+                'latency_seconds_bucket{le="+Inf"} 3',
+                'latency_seconds_sum 5.55',
+                'latency_seconds_count 3'
+            ]);
+        });
+    });
+
+    test('should count created instances and observe cold starts', async () => {
+        await manager.getOrCreateInstance();
+
+        expect(metrics.instancesCreated.get({ backend: 'fake' })).toBe(1);
+        expect(metrics.coldStart.get({ backend: 'fake' }).count).toBe(1);
+    });
+
+    test('should count terminations, crashes and exhaustion', async () => {
+        const lease = await manager.acquire();
+        await expect(manager.acquire()).rejects.toBeInstanceOf(PoolExhaustedError);
+        await lease.destroy();
+
+        await manager.getOrCreateInstance();
+        manager.handleInstanceExit(manager.pool[0].name, { exitCode: 1 });
+
+        expect(metrics.acquireWait.get({ backend: 'fake' }).count).toBe(1);
+        expect(metrics.poolExhausted.get({ backend: 'fake', reason: 'queue_full' })).toBe(1);
+        expect(metrics.instancesTerminated.get({ backend: 'fake', reason: 'destroyed' })).toBe(1);
+        expect(metrics.instancesCrashed.get({ backend: 'fake' })).toBe(1);
+    });
+
+    test('should count instances stopped on shutdown', async () => {
+        await manager.getOrCreateInstance();
+        await manager.shutdown();
+
+        expect(metrics.instancesTerminated.get({ backend: 'fake', reason: 'shutdown' })).toBe(1);
+    });
+
+    test('should render the exposition format with pool gauges', async () => {
+        await manager.acquire();
+
+        const output = metrics.render();
+
+        expect(output).toContain('# TYPE serverless_instances_created_total counter');
+        expect(output).toContain('serverless_instances_created_total{backend="fake"} 1');
+        expect(output).toContain('# TYPE serverless_cold_start_seconds histogram');
+        expect(output).toContain('serverless_pool_size{backend="fake"} 1');
+        expect(output).toContain('serverless_pool_busy{backend="fake"} 1');
+        expect(output).toContain('serverless_queue_depth{backend="fake"} 0');
+        expect(output.endsWith('\n')).toBe(true);
+    });
+
+    test('should add extra labels and stop recording after untrack', async () => {
+        const other = new FakeManager({ logger: false }, { backend: 'fake' });
+        metrics.track(other, { pool: 'reports' });
+        await other.getOrCreateInstance();
+        metrics.untrack(other);
+        await other.getOrCreateInstance().catch(() => {});
+        clearInterval(other.watcherInterval);
+
+        expect(metrics.instancesCreated.get({ backend: 'fake', pool: 'reports' })).toBe(1);
+        expect(metrics.render()).not.toContain('serverless_pool_size{backend="fake",pool="reports"}');
+    });
+});
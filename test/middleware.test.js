@@ -0,0 +1,222 @@
+const http = require('http');
+const express = require('express');
+const { createPoolProxy, statusForError } = require('../lib/middleware');
+const {
+    PoolExhaustedError,
+    ShuttingDownError,
+    BackendUnavailableError,
+    CreationTimeoutError,
+    RequestTimeoutError,
+    ScriptNotFoundError
+} = require('../lib/errors');
+const lib = require('../lib');
+const { PortManager, listen, close } = require('./helpers');
+
+function request(port, path, options = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path, method: options.method || 'GET', headers: options.headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+        });
+        req.on('error', reject);
+        req.end(options.body);
+    });
+}
+
+describe('createPoolProxy', () => {
+    let upstream;
+    let app;
+    let server;
+    let manager;
+
+    beforeEach(async () => {
+        process.once = jest.fn();
+        process.removeListener = jest.fn();
+
+        upstream = await listen((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                res.setHeader('X-Upstream', 'yes');
+                res.statusCode = req.url === '/missing' ? 404 : 200;
+                res.end(JSON.stringify({
+                    method: req.method,
+                    url: req.url,
+                    forwardedHost: req.headers['x-forwarded-host'],
+                    custom: req.headers['x-custom'],
+                    contentType: req.headers['content-type'],
+                    body: Buffer.concat(chunks).toString()
+                }));
+            });
+        });
+        manager = new PortManager([upstream.address().port]);
+        app = express();
+    });
+
+    afterEach(async () => {
+        await manager.shutdown();
+        if (server) {
+            await close(server);
+            server = null;
+        }
+        await close(upstream);
+        jest.restoreAllMocks();
+    });
+
+    async function start() {
+        server = await listen(app);
+        return server.address().port;
+    }
+
+    test('should forward the path below the mount point, headers and body', async () => {
+        app.use('/fn', createPoolProxy(manager, { scriptPath: './script.js' }));
+        const port = await start();
+
+        const response = await request(port, '/fn/orders?id=1', {
+            method: 'POST',
+            headers: { 'x-custom': 'abc', 'content-type': 'text/plain' },
+            body: 'hello'
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.headers['x-upstream']).toBe('yes');
+        expect(JSON.parse(response.body)).toEqual({
+            method: 'POST',
+            url: '/orders?id=1',
+            forwardedHost: `127.0.0.1:${port}`,
+            custom: 'abc',
+            contentType: 'text/plain',
+            body: 'hello'
+        });
+        expect(manager.getPoolInfo().busy).toBe(0);
+    });
+
+    test('should pass upstream status codes through', async () => {
+        app.use('/fn', createPoolProxy(manager, { scriptPath: './script.js' }));
+        const port = await start();
+
+        const response = await request(port, '/fn/missing');
+
+        expect(response.status).toBe(404);
+    });
+
+    test('should forward bodies already consumed by a body parser', async () => {
+        app.use(express.json());
+        app.use('/fn', createPoolProxy(manager, { scriptPath: './script.js' }));
+        const port = await start();
+
+        const response = await request(port, '/fn', {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ a: 1 })
+        });
+
+        expect(JSON.parse(JSON.parse(response.body).body)).toEqual({ a: 1 });
+    });
+
+    test('should label bodies parsed into objects as JSON', async () => {
+        app.use(express.urlencoded({ extended: false }));
+        app.use('/fn', createPoolProxy(manager, { scriptPath: './script.js' }));
+        const port = await start();
+
+        const response = await request(port, '/fn', {
+            method: 'POST',
+            headers: { 'content-type': 'application/x-www-form-urlencoded' },
+            body: 'a=1&b=two'
+        });
+
+        const echoed = JSON.parse(response.body);
+        expect(echoed.contentType).toBe('application/json');
+        expect(JSON.parse(echoed.body)).toEqual({ a: '1', b: 'two' });
+    });
+
+    test('should release the lease when the client aborts before the instance answers', async () => {
+        // Starts answering after the client is gone and keeps the response open
+        const slow = await listen((req, res) => setTimeout(() => {
+            res.write('late');
+            setTimeout(() => res.end(), 1500);
+        }, 300));
+        const slowManager = new PortManager([slow.address().port], { maxPoolSize: 1, acquireTimeout: 1000 });
+        app.use('/fn', createPoolProxy(slowManager, { scriptPath: './script.js' }));
+        const port = await start();
+
+        try {
+            const aborted = http.get({ host: '127.0.0.1', port, path: '/fn' });
+            aborted.on('error', () => {});
+            setTimeout(() => aborted.destroy(), 100);
+            await new Promise(resolve => setTimeout(resolve, 500));
+
+            expect(slowManager.getPoolInfo().busy).toBe(0);
+        } finally {
+            await slowManager.shutdown();
+            await close(slow);
+        }
+    });
+
+    test('should build instance args from scriptPath and files', async () => {
+        const invoke = jest.spyOn(manager, 'invoke');
+        app.use('/fn', createPoolProxy(manager, { scriptPath: '/scripts', files: ['index.js'] }));
+        const port = await start();
+
+        await request(port, '/fn');
+
+        expect(invoke).toHaveBeenCalledWith(expect.objectContaining({ args: ['/scripts', ['index.js']], stream: true }));
+    });
+
+    test('should route by key when a key function is given', async () => {
+        const withKey = jest.spyOn(manager, 'withKey');
+        app.use('/fn', createPoolProxy(manager, { scriptPath: './script.js', key: req => req.headers['x-custom'] }));
+        const port = await start();
+
+        await request(port, '/fn', { headers: { 'x-custom': 'tenant-a' } });
+
+        expect(withKey).toHaveBeenCalledWith('tenant-a');
+    });
+
+    test('should answer 503 with Retry-After when the pool is exhausted', async () => {
+        jest.spyOn(manager, 'invoke').mockRejectedValue(
+            new PoolExhaustedError('full', { reason: 'timeout', retryAfter: 3 })
+        );
+        app.use('/fn', createPoolProxy(manager, { scriptPath: './script.js' }));
+        const port = await start();
+
+        const response = await request(port, '/fn');
+
+        expect(response.status).toBe(503);
+        expect(response.headers['retry-after']).toBe('3');
+        expect(JSON.parse(response.body)).toEqual({ error: 'full', code: 'POOL_EXHAUSTED' });
+    });
+
+    test('should answer 502 when the instance cannot be reached', async () => {
+        const err = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        jest.spyOn(manager, 'invoke').mockRejectedValue(err);
+        app.use('/fn', createPoolProxy(manager, { scriptPath: './script.js' }));
+        const port = await start();
+
+        const response = await request(port, '/fn');
+
+        expect(response.status).toBe(502);
+        expect(JSON.parse(response.body).code).toBe('ECONNREFUSED');
+    });
+
+    test('should require a script path or args', () => {
+        expect(() => createPoolProxy(manager)).toThrow('createPoolProxy requires a scriptPath or args option');
+    });
+
+    test.each([
+        [new PoolExhaustedError('x'), 503],
+        [new ShuttingDownError('x'), 503],
+        [new BackendUnavailableError('x'), 503],
+        [new RequestTimeoutError('x'), 504],
+        [new CreationTimeoutError('x'), 504],
+        [new ScriptNotFoundError('x'), 500],
+        [new Error('socket hang up'), 502]
+    ])('should map %p to %i', (err, status) => {
+        expect(statusForError(err)).toBe(status);
+    });
+
+    test('should be exported from the package entry point', () => {
+        expect(lib.createPoolProxy).toBe(createPoolProxy);
+    });
+});
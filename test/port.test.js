@@ -0,0 +1,62 @@
+const net = require('net');
+const { getAvailablePort, releasePort, reservedPorts, isAddressInUse } = require('../lib/utils/port');
+
+function listen(port = 0) {
+    return new Promise((resolve) => {
+        const server = net.createServer();
+        server.listen(port, () => resolve(server));
+    });
+}
+
+describe('port registry', () => {
+    afterEach(() => {
+        reservedPorts().forEach(port => releasePort(port));
+    });
+
+    test('should never hand out the same port to concurrent callers', async () => {
+        const ports = await Promise.all([getAvailablePort(), getAvailablePort(), getAvailablePort()]);
+
+        expect(new Set(ports).size).toBe(3);
+        expect(reservedPorts()).toEqual(expect.arrayContaining(ports));
+    });
+
+    test('should allocate from a configured range and reuse released ports', async () => {
+        const server = await listen();
+        const min = server.address().port;
+        await new Promise(resolve => server.close(resolve));
+
+        const first = await getAvailablePort({ range: [min, min] });
+        await expect(getAvailablePort({ range: [min, min] })).rejects.toThrow(`No free port in range ${min}-${min}`);
+
+        expect(releasePort(first)).toBe(true);
+        await expect(getAvailablePort({ range: { min, max: min } })).resolves.toBe(min);
+    });
+
+    test('should skip ports bound by other programs', async () => {
+        const server = await listen();
+        const port = server.address().port;
+
+        await expect(getAvailablePort({ range: [port, port] })).rejects.toThrow('No free port in range');
+        expect(reservedPorts()).not.toContain(port);
+
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should keep ports taken by other programs out of rotation', async () => {
+        const port = await getAvailablePort();
+
+        releasePort(port, { inUse: true });
+
+        expect(reservedPorts()).toContain(port);
+    });
+
+    test('should reject invalid ranges', async () => {
+        await expect(getAvailablePort({ range: [5000, 4000] })).rejects.toThrow('Invalid port range');
+    });
+
+    test('should recognize address in use errors', () => {
+        expect(isAddressInUse(Object.assign(new Error('listen'), { code: 'EADDRINUSE' }))).toBe(true);
+        expect(isAddressInUse(new Error('Bind for 0.0.0.0:3000 failed: port is already allocated'))).toBe(true);
+        expect(isAddressInUse(new Error('boom'))).toBe(false);
+    });
+});
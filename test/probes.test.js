@@ -0,0 +1,138 @@
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { CreationTimeoutError } = require('../lib/errors');
+const { createProbe, waitUntilReady } = require('../lib/probes');
+const { FakeManager, listen, close, closedPort } = require('./helpers');
+
+describe('probes', () => {
+    describe('createProbe', () => {
+        test('should return null without probe options', () => {
+            expect(createProbe(undefined)).toBeNull();
+        });
+
+        test('should accept a bare check function', () => {
+            const check = jest.fn();
+            const probe = createProbe(check);
+
+            expect(probe).toMatchObject({ type: 'custom', check, interval: 200, retries: 50 });
+        });
+
+        test('should reject unknown probe types', () => {
+            expect(() => createProbe({ type: 'grpc' })).toThrow('Unknown probe "grpc"');
+        });
+    });
+
+    describe('waitUntilReady', () => {
+        test('should retry until the check passes', async () => {
+            const check = jest.fn()
+                .mockResolvedValueOnce(false)
+                .mockRejectedValueOnce(new Error('refused'))
+                .mockResolvedValueOnce(true);
+            const probe = createProbe({ type: 'custom', check, interval: 1, retries: 5 });
+
+            await expect(waitUntilReady(probe, { port: 1 })).resolves.toBe(3);
+        });
+
+        test('should give up after the configured retries', async () => {
+            const check = jest.fn().mockResolvedValue(false);
+            const probe = createProbe({ type: 'custom', check, interval: 1, retries: 3 });
+
+            await expect(waitUntilReady(probe, { port: 1 })).resolves.toBe(false);
+            expect(check).toHaveBeenCalledTimes(3);
+        });
+
+        test('should pass an HTTP probe once the path answers with a 2xx/3xx status', async () => {
+            const server = await listen((req, res) => {
+                res.statusCode = req.url === '/health' ? 204 : 500;
+                res.end();
+            });
+            const { port } = server.address();
+
+            try {
+                const healthy = createProbe({ type: 'http', path: '/health', interval: 1, retries: 2 });
+                const failing = createProbe({ type: 'http', path: '/broken', interval: 1, retries: 2 });
+
+                await expect(waitUntilReady(healthy, { port })).resolves.toBe(1);
+                await expect(waitUntilReady(failing, { port })).resolves.toBe(false);
+            } finally {
+                await close(server);
+            }
+        });
+
+        test('should pass an exec probe when the command exits 0', async () => {
+            const script = 'process.exit(process.env.PORT === "7001" && process.env.INSTANCE_NAME === "fake-1" ? 0 : 1)';
+            const probe = createProbe({ type: 'exec', command: [process.execPath, '-e', script], interval: 1, retries: 1 });
+
+            await expect(waitUntilReady(probe, { name: 'fake-1', port: 7001 })).resolves.toBe(1);
+            await expect(waitUntilReady(probe, { name: 'fake-1', port: 7002 })).resolves.toBe(false);
+        });
+
+        test('should probe instances on a Unix socket', async () => {
+            const socketPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'probe-test-')), 'fn.sock');
+            const server = http.createServer((req, res) => res.end());
+            await new Promise(resolve => server.listen(socketPath, resolve));
+            const options = { interval: 1, retries: 1 };
+
+            try {
+                await expect(waitUntilReady(createProbe({ type: 'http', ...options }), { socketPath })).resolves.toBe(1);
+                await expect(waitUntilReady(createProbe({ type: 'tcp', ...options }), { socketPath })).resolves.toBe(1);
+            } finally {
+                await close(server);
+            }
+            await expect(waitUntilReady(createProbe({ type: 'tcp', ...options }), { socketPath })).resolves.toBe(false);
+        });
+
+        test('should pass a TCP probe only when the port accepts connections', async () => {
+            const server = await listen(net.createServer(socket => socket.end()));
+            const { port } = server.address();
+            const probe = createProbe({ type: 'tcp', interval: 1, retries: 2 });
+
+            try {
+                await expect(waitUntilReady(probe, { port })).resolves.toBe(1);
+                await expect(waitUntilReady(probe, { port: await closedPort() })).resolves.toBe(false);
+            } finally {
+                await close(server);
+            }
+        });
+    });
+
+    describe('readiness', () => {
+        let manager;
+
+        beforeEach(() => {
+            process.once = jest.fn();
+            process.removeListener = jest.fn();
+        });
+
+        afterEach(() => {
+            clearInterval(manager.watcherInterval);
+        });
+
+        test('should only hand out instances that passed the probe', async () => {
+            const check = jest.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+            manager = new FakeManager({ logger: false, readiness: { type: 'custom', check, interval: 1, retries: 3 } });
+
+            const info = await manager.getOrCreateInstance();
+
+            expect(info.name).toBe('fake-1');
+            expect(check).toHaveBeenCalledWith(info);
+            expect(check).toHaveBeenCalledTimes(2);
+        });
+
+        test('should terminate instances that never become ready', async () => {
+            manager = new FakeManager({
+                logger: false,
+                maxPoolSize: 1,
+                readiness: { type: 'custom', check: async () => false, interval: 1, retries: 2 }
+            });
+
+            await expect(manager.acquire()).rejects.toThrow('No fakes available in pool');
+            await expect(manager.startInstance([])).rejects.toBeInstanceOf(CreationTimeoutError);
+            expect(manager.terminated).toEqual(['fake-1', 'fake-2']);
+            expect(manager.pool).toHaveLength(0);
+        });
+    });
+});
@@ -1,6 +1,10 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const ProcessManager = require('../lib/managers/process');
 const { getAvailablePort } = require('../lib/utils/port');
-const { spawn } = require('child_process');
+const { spawn, fork } = require('child_process');
+const { CreationTimeoutError } = require('../lib/errors');
 
 // Mock dependencies
 jest.mock('child_process');
@@ -30,7 +34,7 @@ describe('ProcessManager', () => {
         
         // Mock process event listeners
         process.once = jest.fn();
-        process.removeAllListeners = jest.fn();
+        process.removeListener = jest.fn();
         
         // Create fresh instance
         processManager = new ProcessManager();
@@ -92,7 +96,7 @@ describe('ProcessManager', () => {
 
             const result = await processManager.createProcess(scriptPath, port, processName);
 
-            expect(spawn).toHaveBeenCalledWith('node', [scriptPath, port]);
+            expect(spawn).toHaveBeenCalledWith('node', [scriptPath, port], { env: { ...process.env } });
             expect(result).toEqual({
                 name: processName,
                 port: port,
@@ -154,6 +158,35 @@ describe('ProcessManager', () => {
             consoleSpy.mockRestore();
         });
 
+        test('should emit instance:crashed when a pooled process exits', async () => {
+            jest.spyOn(console, 'log').mockImplementation();
+            const crashed = jest.fn();
+            processManager.on('instance:crashed', crashed);
+
+            let closeCallback;
+            mockChildProcess.stdout.once.mockImplementation((event, callback) => {
+                if (event === 'data') {
+                    setImmediate(() => callback('Server started'));
+                }
+            });
+            mockChildProcess.on.mockImplementation((event, callback) => {
+                if (event === 'close') {
+                    closeCallback = callback;
+                }
+            });
+
+            const processInfo = await processManager.createProcess('./test-script.js', 9000, 'test-process');
+            processManager.processPool.push(processInfo);
+            closeCallback(1);
+
+            expect(crashed).toHaveBeenCalledWith(expect.objectContaining({
+                backend: 'process',
+                name: 'test-process',
+                port: 9000,
+                exitCode: 1
+            }));
+        });
+
         test('should handle process errors after creation', async () => {
             const scriptPath = './test-script.js';
             const port = 9000;
@@ -185,14 +218,34 @@ describe('ProcessManager', () => {
             await new Promise(resolve => setImmediate(resolve));
 
             expect(consoleErrorSpy).toHaveBeenCalledWith(
-                `${processName} error:`,
-                runtimeError
+                `${processName} error: ${runtimeError.message}`
             );
             expect(processManager.processPool).toHaveLength(0);
             
             consoleErrorSpy.mockRestore();
         });
 
+        test('should reject with EADDRINUSE when the script could not bind its port', async () => {
+            jest.spyOn(console, 'log').mockImplementation();
+            jest.spyOn(console, 'warn').mockImplementation();
+            mockChildProcess.stderr.on.mockImplementation((event, callback) => {
+                setImmediate(() => callback('Error: listen EADDRINUSE: address already in use :::9000'));
+            });
+            mockChildProcess.on.mockImplementation((event, callback) => {
+                if (event === 'close') {
+                    setImmediate(() => setImmediate(() => callback(1)));
+                }
+            });
+
+            await expect(processManager.createProcess('./test-script.js', 9000, 'test-process')).rejects.toMatchObject({
+                code: 'EADDRINUSE',
+                message: 'test-process exited with code 1 before it was ready'
+            });
+
+            console.log.mockRestore();
+            console.warn.mockRestore();
+        });
+
         test('should timeout process creation', async () => {
             const scriptPath = './test-script.js';
             const port = 9000;
@@ -211,12 +264,136 @@ describe('ProcessManager', () => {
             jest.advanceTimersByTime(30100);
             
             await expect(createPromise).rejects.toThrow('Process creation timeout after 30000ms');
+            await expect(createPromise).rejects.toMatchObject({
+                code: 'CREATION_TIMEOUT',
+                backend: 'process',
+                timeout: 30000
+            });
+            await expect(createPromise).rejects.toBeInstanceOf(CreationTimeoutError);
             
             jest.useRealTimers();
         });
     });
 
+    describe('socket transport', () => {
+        test('should reject unknown transports', () => {
+            expect(() => new ProcessManager({ transport: 'udp' }))
+                .toThrow('Unknown process transport "udp". Available: tcp, socket');
+        });
+
+        test('should pass a socket path instead of a port', async () => {
+            const socketDir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-test-'));
+            const socketManager = new ProcessManager({ transport: 'socket', socketDir, logger: false });
+            mockChildProcess.stdout.once.mockImplementation((event, callback) => {
+                if (event === 'data') {
+                    setImmediate(() => callback('Server started'));
+                }
+            });
+
+            const info = await socketManager.createInstance('./test-script.js');
+
+            expect(getAvailablePort).not.toHaveBeenCalled();
+            expect(spawn).toHaveBeenCalledWith('node', ['./test-script.js', info.socketPath], { env: { ...process.env } });
+            expect(info).toMatchObject({ port: null, socketPath: path.join(socketDir, `${info.name}.sock`) });
+            expect(socketManager.describeInstance(info).socketPath).toBe(info.socketPath);
+
+            fs.rmSync(socketDir, { recursive: true });
+        });
+    });
+
+    describe('function mode', () => {
+        let functionManager;
+        let callbacks;
+
+        beforeEach(() => {
+            functionManager = new ProcessManager({ mode: 'function', logger: false });
+            callbacks = {};
+            mockChildProcess.send = jest.fn();
+            mockChildProcess.on.mockImplementation((event, callback) => {
+                callbacks[event] = callback;
+            });
+            fork.mockReturnValue(mockChildProcess);
+        });
+
+        test('should reject unknown modes', () => {
+            expect(() => new ProcessManager({ mode: 'grpc' }))
+                .toThrow('Unknown process mode "grpc". Available: http, function');
+        });
+
+        test('should fork the function runtime without allocating a port', async () => {
+            const creating = functionManager.createInstance('./handler.js');
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(getAvailablePort).not.toHaveBeenCalled();
+            expect(spawn).not.toHaveBeenCalled();
+            expect(fork).toHaveBeenCalledWith(
+                require.resolve('../lib/runtime/bootstrap'),
+                [require('path').resolve('./handler.js')],
+                expect.objectContaining({
+                    env: expect.objectContaining({ SERVERLESS_INSTANCE_NAME: expect.stringMatching(/^process-fn-1-/) }),
+                    stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+                    serialization: 'advanced'
+                })
+            );
+
+            callbacks.message({ type: 'serverless:ready' });
+            const info = await creating;
+
+            expect(info.port).toBeNull();
+            expect(info.channel).toBeDefined();
+        });
+
+        test('should call the handler over IPC', async () => {
+            const creating = functionManager.forkProcess('./handler.js', 'fn-process');
+            callbacks.message({ type: 'serverless:ready' });
+            const info = await creating;
+
+            const call = functionManager.callInstance(info, { payload: { a: 1 } }, { timeout: 1000 });
+
+            expect(mockChildProcess.send).toHaveBeenCalledWith({ type: 'serverless:invoke', id: 1, payload: { a: 1 } });
+            callbacks.message({ type: 'serverless:result', id: 1, result: 'done' });
+            await expect(call).resolves.toEqual({ result: 'done' });
+        });
+
+        test('should reject when the process exits before it is ready', async () => {
+            const creating = functionManager.forkProcess('./missing.js', 'fn-process');
+            callbacks.close(1);
+
+            await expect(creating).rejects.toThrow('fn-process exited with code 1 before it was ready');
+        });
+
+        test('should fail pending calls when the process exits', async () => {
+            const creating = functionManager.forkProcess('./handler.js', 'fn-process');
+            callbacks.message({ type: 'serverless:ready' });
+            const info = await creating;
+
+            const call = functionManager.callInstance(info, { payload: 1 }, {});
+            callbacks.close(1);
+
+            await expect(call).rejects.toThrow('fn-process exited with code 1');
+        });
+    });
+
     describe('getOrCreateProcessInPool', () => {
+        beforeEach(() => {
+            jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+        });
+
+        afterEach(() => {
+            fs.existsSync.mockRestore();
+        });
+
+        test('should reject a missing script before starting anything', async () => {
+            fs.existsSync.mockReturnValue(false);
+
+            await expect(processManager.getOrCreateProcessInPool('./missing.js')).rejects.toMatchObject({
+                name: 'ScriptNotFoundError',
+                code: 'SCRIPT_NOT_FOUND',
+                scriptPath: './missing.js'
+            });
+            expect(spawn).not.toHaveBeenCalled();
+        });
+
         test('should create new process when pool is empty', async () => {
             const scriptPath = './test-script.js';
             const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
@@ -240,6 +417,30 @@ describe('ProcessManager', () => {
             consoleSpy.mockRestore();
         });
 
+        test('should keep a separate pool per script and env', async () => {
+            jest.spyOn(console, 'log').mockImplementation();
+            mockChildProcess.stdout.once.mockImplementation((event, callback) => {
+                if (event === 'data') {
+                    setImmediate(() => callback('Server started'));
+                }
+            });
+            processManager.maxPoolSize = 1;
+
+            const first = await processManager.getOrCreateProcessInPool('./test-script.js');
+            await processManager.getOrCreateProcessInPool(path.resolve('test-script.js'));
+            await processManager.getOrCreateProcessInPool('./test-script.js', { env: { STAGE: 'beta' } });
+            await processManager.getOrCreateProcessInPool('./other-script.js');
+
+            expect(spawn).toHaveBeenCalledTimes(3);
+            expect(spawn).toHaveBeenCalledWith('node', ['./test-script.js', 9000], {
+                env: { ...process.env, STAGE: 'beta' }
+            });
+            expect(processManager.processPool).toHaveLength(3);
+            expect(processManager.processPool[0]).toBe(first);
+
+            console.log.mockRestore();
+        });
+
         test('should return round-robin process from pool when pool is full', async () => {
             const scriptPath = './test-script.js';
             
@@ -259,16 +460,14 @@ describe('ProcessManager', () => {
             const existingProcess3 = { name: 'process-8003', port: 8003, process: mockProcess };
             processManager.processPool = [existingProcess1, existingProcess2, existingProcess3];
 
-            // Mock Date.now to control round-robin selection
-            const originalDateNow = Date.now;
-            Date.now = jest.fn().mockReturnValue(2000); // Should select index 2000 % 3 = 2
+            const results = [];
+            for (let i = 0; i < 4; i++) {
+                results.push(await processManager.getOrCreateProcessInPool(scriptPath));
+            }
 
-            const result = await processManager.getOrCreateProcessInPool(scriptPath);
-
-            expect(result).toBe(existingProcess3);
+            // Consecutive calls cycle through the pool
+            expect(results).toEqual([existingProcess1, existingProcess2, existingProcess3, existingProcess1]);
             expect(spawn).not.toHaveBeenCalled();
-            
-            Date.now = originalDateNow;
         });
 
         test('should throw error if process creation fails and pool is empty', async () => {
@@ -422,9 +621,14 @@ describe('ProcessManager', () => {
 
             expect(info).toEqual({
                 poolSize: 2,
+                minPoolSize: 0,
                 maxPoolSize: 3,
+                busy: 0,
+                idle: 2,
+                waiting: 0,
                 isShuttingDown: false,
                 watcherStarted: false,
+                functions: [],
                 processes: [
                     { name: 'process-8001', port: 8001, createdAt: undefined, lastUsed: undefined, alive: true },
                     { name: 'process-8002', port: 8002, createdAt: undefined, lastUsed: undefined, alive: true }
@@ -437,9 +641,14 @@ describe('ProcessManager', () => {
             
             expect(info).toEqual({
                 poolSize: 0,
+                minPoolSize: 0,
                 maxPoolSize: 3,
+                busy: 0,
+                idle: 0,
+                waiting: 0,
                 isShuttingDown: false,
                 watcherStarted: false,
+                functions: [],
                 processes: []
             });
         });
@@ -509,8 +718,7 @@ describe('ProcessManager', () => {
             await processManager.stopAllProcesses();
 
             expect(consoleErrorSpy).toHaveBeenCalledWith(
-                'Error stopping process process-1:', 
-                'Failed to kill'
+                'Error stopping process process-1: Failed to kill'
             );
             expect(processManager.processPool).toEqual([]);
             
@@ -632,16 +840,16 @@ describe('ProcessManager', () => {
             const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
             processManager.watcherInterval = 'mock-interval';
             global.clearInterval = jest.fn();
-            jest.spyOn(processManager, 'stopAllProcesses').mockResolvedValue();
+            jest.spyOn(processManager, 'stopAllInstances').mockResolvedValue();
             
             await processManager.shutdown();
             
             expect(processManager.isShuttingDown).toBe(true);
             expect(global.clearInterval).toHaveBeenCalledWith('mock-interval');
-            expect(processManager.stopAllProcesses).toHaveBeenCalled();
-            expect(process.removeAllListeners).toHaveBeenCalledWith('SIGINT');
-            expect(process.removeAllListeners).toHaveBeenCalledWith('SIGTERM');
-            expect(process.removeAllListeners).toHaveBeenCalledWith('beforeExit');
+            expect(processManager.stopAllInstances).toHaveBeenCalled();
+            expect(process.removeListener).toHaveBeenCalledWith('SIGINT', expect.any(Function));
+            expect(process.removeListener).toHaveBeenCalledWith('SIGTERM', expect.any(Function));
+            expect(process.removeListener).toHaveBeenCalledWith('beforeExit', expect.any(Function));
             expect(consoleSpy).toHaveBeenCalledWith('ProcessManager shutting down...');
             expect(consoleSpy).toHaveBeenCalledWith('ProcessManager shutdown complete');
             
@@ -650,11 +858,11 @@ describe('ProcessManager', () => {
 
         test('should not shutdown twice', async () => {
             processManager.isShuttingDown = true;
-            jest.spyOn(processManager, 'stopAllProcesses').mockResolvedValue();
+            jest.spyOn(processManager, 'stopAllInstances').mockResolvedValue();
             
             await processManager.shutdown();
             
-            expect(processManager.stopAllProcesses).not.toHaveBeenCalled();
+            expect(processManager.stopAllInstances).not.toHaveBeenCalled();
         });
     });
 
@@ -741,8 +949,7 @@ describe('ProcessManager', () => {
             
             expect(mockProcess.kill).toHaveBeenCalledWith('SIGKILL');
             expect(consoleErrorSpy).toHaveBeenCalledWith(
-                'Error stopping process test-process:',
-                'Process termination timeout'
+                'Error stopping process test-process: Process termination timeout'
             );
             
             consoleErrorSpy.mockRestore();
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { RequestTimeoutError } = require('../lib/errors');
+const { forwardRequest, isUnreachable } = require('../lib/proxy');
+const { PortManager, listen, close, closedPort } = require('./helpers');
+
+// Resolves with a server answering "socket <url>" on a fresh Unix socket
+function listenOnSocket() {
+    const socketPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-test-')), 'fn.sock');
+    const server = http.createServer((req, res) => res.end(`socket ${req.url}`));
+    return new Promise(resolve => server.listen(socketPath, () => resolve({ server, socketPath })));
+}
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    });
+}
+
+describe('request proxy', () => {
+    let server;
+    let port;
+    let manager;
+
+    beforeEach(async () => {
+        process.once = jest.fn();
+        process.removeListener = jest.fn();
+
+        server = await listen(async (req, res) => {
+            if (req.url === '/slow') {
+                setTimeout(() => res.end('late'), 200);
+                return;
+            }
+            const body = await readBody(req);
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ method: req.method, url: req.url, header: req.headers['x-test'], body }));
+        });
+        port = server.address().port;
+    });
+
+    afterEach(async () => {
+        if (manager) {
+            await manager.shutdown();
+            manager = null;
+        }
+        await close(server);
+        jest.restoreAllMocks();
+    });
+
+    describe('forwardRequest', () => {
+        test('should buffer the response', async () => {
+            const response = await forwardRequest(port, { method: 'PUT', path: '/a?b=1', body: 'hi' });
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('application/json');
+            expect(JSON.parse(response.body.toString())).toEqual({ method: 'PUT', url: '/a?b=1', body: 'hi' });
+        });
+
+        test('should speak HTTP over a Unix socket', async () => {
+            const { server: socketServer, socketPath } = await listenOnSocket();
+
+            try {
+                const response = await forwardRequest(null, { path: '/x' }, { socketPath });
+                expect(response.body.toString()).toBe('socket /x');
+            } finally {
+                await close(socketServer);
+            }
+        });
+
+        test('should flag refused connections as unreachable', async () => {
+            const err = await forwardRequest(await closedPort()).catch(e => e);
+
+            expect(err.code).toBe('ECONNREFUSED');
+            expect(isUnreachable(err)).toBe(true);
+        });
+    });
+
+    describe('invoke', () => {
+        test('should forward method, path, headers and body and release the lease', async () => {
+            manager = new PortManager([port]);
+
+            const response = await manager.invoke({
+                method: 'POST',
+                path: '/run',
+                headers: { 'x-test': 'yes' },
+                body: Buffer.from('payload')
+            });
+
+            expect(response.status).toBe(200);
+            expect(JSON.parse(response.body.toString())).toEqual({
+                method: 'POST',
+                url: '/run',
+                header: 'yes',
+                body: 'payload'
+            });
+            expect(response.instance).toEqual({ name: 'fake-1', port });
+            expect(manager.getPoolInfo().busy).toBe(0);
+        });
+
+        test('should reach instances listening on a Unix socket', async () => {
+            const { server: socketServer, socketPath } = await listenOnSocket();
+            manager = new PortManager([null]);
+            manager.createInstance = async () => ({ name: 'fake-sock', port: null, socketPath, alive: true });
+
+            try {
+                const response = await manager.invoke({ path: '/y' });
+
+                expect(response.body.toString()).toBe('socket /y');
+                expect(response.instance).toEqual({ name: 'fake-sock', port: null, socketPath });
+            } finally {
+                await close(socketServer);
+            }
+        });
+
+        test('should replace socket instances whose socket file is gone', async () => {
+            manager = new PortManager([port]);
+            const gone = path.join(os.tmpdir(), `proxy-test-gone-${process.pid}.sock`);
+            manager.createInstance = jest.fn()
+                .mockResolvedValueOnce({ name: 'fake-sock', port: null, socketPath: gone, alive: true })
+                .mockResolvedValueOnce({ name: 'fake-2', port, alive: true });
+
+            const response = await manager.invoke({ path: '/z' });
+
+            expect(response.status).toBe(200);
+            expect(response.instance.name).toBe('fake-2');
+            expect(manager.pool.map(info => info.name)).toEqual(['fake-2']);
+        });
+
+        test('should pass args to acquire()', async () => {
+            manager = new PortManager([port]);
+            const acquire = jest.spyOn(manager, 'acquireWithContext');
+
+            await manager.invoke({ args: ['script.js'] });
+
+            expect(acquire).toHaveBeenCalledWith(['script.js'], {});
+        });
+
+        test('should stream request and response bodies', async () => {
+            manager = new PortManager([port]);
+
+            const response = await manager.invoke({
+                method: 'POST',
+                body: Readable.from(['streamed ', 'body']),
+                stream: true
+            });
+
+            expect(manager.getPoolInfo().busy).toBe(1);
+            const text = await readBody(response.body);
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(JSON.parse(text).body).toBe('streamed body');
+            expect(manager.getPoolInfo().busy).toBe(0);
+        });
+
+        test('should retry on a different instance when the connection is refused', async () => {
+            manager = new PortManager([await closedPort(), port]);
+            const evicted = jest.fn();
+            manager.on('instance:evicted', evicted);
+
+            const response = await manager.invoke({ path: '/retry' });
+
+            expect(response.status).toBe(200);
+            expect(response.instance.name).toBe('fake-2');
+            expect(evicted).toHaveBeenCalledWith(expect.objectContaining({ name: 'fake-1', reason: 'destroyed' }));
+            expect(manager.pool.map(info => info.name)).toEqual(['fake-2']);
+        });
+
+        test('should not replay a request when the connection was reset', async () => {
+            const resetting = await listen(req => req.socket.destroy());
+            manager = new PortManager([resetting.address().port, port]);
+
+            try {
+                const err = await manager.invoke({ method: 'POST', body: 'once' }).catch(e => e);
+
+                expect(err.code).toBe('ECONNRESET');
+                expect(isUnreachable(err)).toBe(false);
+                expect(manager.created).toBe(1);
+                expect(manager.pool.map(info => info.name)).toEqual(['fake-1']);
+            } finally {
+                await close(resetting);
+            }
+        });
+
+        test('should give up after the configured retries', async () => {
+            const dead = await closedPort();
+            manager = new PortManager([dead], { requestRetries: 1 });
+
+            await expect(manager.invoke()).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+            expect(manager.created).toBe(2);
+            expect(manager.pool).toEqual([]);
+        });
+
+        test('should not retry streamed request bodies', async () => {
+            manager = new PortManager([await closedPort(), port]);
+
+            await expect(manager.invoke({ body: Readable.from(['x']) })).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+            expect(manager.created).toBe(1);
+        });
+
+        test('should reject with RequestTimeoutError and keep the instance', async () => {
+            manager = new PortManager([port]);
+
+            const err = await manager.invoke({ path: '/slow', timeout: 50 }).catch(e => e);
+
+            expect(err).toBeInstanceOf(RequestTimeoutError);
+            expect(err.timeout).toBe(50);
+            expect(manager.getPoolInfo()).toMatchObject({ poolSize: 1, busy: 0 });
+        });
+
+        test('should be available through withKey()', async () => {
+            manager = new PortManager([port], { strategy: 'consistent-hash' });
+            const acquire = jest.spyOn(manager, 'acquireWithContext');
+
+            await manager.withKey('tenant-a').invoke({ path: '/' });
+
+            expect(acquire).toHaveBeenCalledWith([], { key: 'tenant-a' });
+        });
+    });
+});
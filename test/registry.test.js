@@ -0,0 +1,109 @@
+const {
+    registerBackend,
+    unregisterBackend,
+    hasBackend,
+    getBackend,
+    listBackends,
+    createManager,
+} = require('../lib/registry');
+const BaseManager = require('../lib/managers/base');
+const ProcessManager = require('../lib/managers/process');
+const DockerManager = require('../lib/managers/docker');
+
+jest.mock('dockerode');
+
+describe('backend registry', () => {
+    class FirecrackerManager extends BaseManager {
+        async createInstance() {
+            return { name: 'vm-1', port: 7001 };
+        }
+
+        async terminateInstance() {}
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        // Mock process event listeners
+        process.once = jest.fn();
+        process.removeListener = jest.fn();
+    });
+
+    afterEach(() => {
+        if (hasBackend('firecracker')) {
+            unregisterBackend('firecracker');
+        }
+    });
+
+    test('should register the built-in backends', () => {
+        expect(listBackends()).toEqual(['docker', 'k8s', 'process', 'worker']);
+        expect(getBackend('process')).toBe(ProcessManager);
+        expect(getBackend('docker')).toBe(DockerManager);
+    });
+
+    test('should register and create a custom backend by name', () => {
+        registerBackend('firecracker', FirecrackerManager);
+
+        const manager = createManager('firecracker', { maxPoolSize: 7 });
+
+        expect(hasBackend('firecracker')).toBe(true);
+        expect(manager).toBeInstanceOf(FirecrackerManager);
+        expect(manager.maxPoolSize).toBe(7);
+    });
+
+    test('should normalize backend names', () => {
+        registerBackend('  FireCracker ', FirecrackerManager);
+
+        expect(getBackend('firecracker')).toBe(FirecrackerManager);
+        expect(createManager('FIRECRACKER')).toBeInstanceOf(FirecrackerManager);
+    });
+
+    test('should create built-in managers from config', () => {
+        const manager = createManager('process', { maxPoolSize: 5 });
+
+        expect(manager).toBeInstanceOf(ProcessManager);
+        expect(manager.maxPoolSize).toBe(5);
+    });
+
+    test('should reject backends missing the manager contract', () => {
+        class Incomplete {
+            getPoolInfo() {}
+        }
+
+        expect(() => registerBackend('incomplete', Incomplete))
+            .toThrow('Backend "incomplete" is missing required methods: getOrCreateInstance, healthCheck, shutdown');
+        expect(hasBackend('incomplete')).toBe(false);
+    });
+
+    test('should reject non-class backends', () => {
+        expect(() => registerBackend('broken', {})).toThrow('Backend "broken" must be a manager class');
+    });
+
+    test('should reject duplicate registration unless override is set', () => {
+        registerBackend('firecracker', FirecrackerManager);
+
+        expect(() => registerBackend('firecracker', FirecrackerManager))
+            .toThrow('Backend "firecracker" is already registered');
+
+        class ReplacementManager extends FirecrackerManager {}
+        registerBackend('firecracker', ReplacementManager, { override: true });
+
+        expect(getBackend('firecracker')).toBe(ReplacementManager);
+    });
+
+    test('should throw for unknown backends', () => {
+        expect(() => createManager('ssh'))
+            .toThrow('Unknown backend "ssh". Registered backends: docker, k8s, process, worker');
+    });
+
+    test('should reject empty backend names', () => {
+        expect(() => getBackend('')).toThrow('Backend name must be a non-empty string');
+    });
+
+    test('should unregister backends', () => {
+        registerBackend('firecracker', FirecrackerManager);
+
+        expect(unregisterBackend('firecracker')).toBe(true);
+        expect(hasBackend('firecracker')).toBe(false);
+    });
+});
\ No newline at end of file
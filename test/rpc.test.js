@@ -0,0 +1,235 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { RpcChannel, serializeError } = require('../lib/rpc');
+const { loadHandler, serveHandler, transferList } = require('../lib/runtime/handler');
+const WorkerManager = require('../lib/managers/worker');
+const ProcessManager = require('../lib/managers/process');
+const { HandlerError, RequestTimeoutError, CreationTimeoutError } = require('../lib/errors');
+
+const HANDLER = path.join(__dirname, 'fixtures', 'handler.js');
+
+describe('RpcChannel', () => {
+    test('should correlate replies by id', async () => {
+        const sent = [];
+        const channel = new RpcChannel(message => sent.push(message));
+
+        const first = channel.call('a');
+        const second = channel.call('b');
+        channel.handleMessage({ type: 'serverless:result', id: 2, result: 'B' });
+        channel.handleMessage({ type: 'serverless:result', id: 1, result: 'A' });
+
+        await expect(first).resolves.toBe('A');
+        await expect(second).resolves.toBe('B');
+        expect(sent.map(message => message.payload)).toEqual(['a', 'b']);
+        expect(channel.pending.size).toBe(0);
+    });
+
+    test('should rebuild handler errors', async () => {
+        const channel = new RpcChannel(() => {}, { backend: 'worker' });
+        const call = channel.call({});
+        const error = serializeError(Object.assign(new TypeError('nope'), { code: 'E_NOPE' }));
+
+        channel.handleMessage({ type: 'serverless:error', id: 1, error });
+
+        const err = await call.catch(e => e);
+        expect(err).toBeInstanceOf(HandlerError);
+        expect(err).toMatchObject({ message: 'nope', backend: 'worker', errorName: 'TypeError', errorCode: 'E_NOPE' });
+        expect(err.remoteStack).toContain('TypeError: nope');
+    });
+
+    test('should time out calls and ignore late replies', async () => {
+        const channel = new RpcChannel(() => {});
+
+        await expect(channel.call({}, { timeout: 10 })).rejects.toThrow('Call timed out after 10ms');
+        expect(channel.handleMessage({ type: 'serverless:result', id: 1, result: 'late' })).toBe(true);
+    });
+
+    test('should leave unrelated messages alone', () => {
+        const channel = new RpcChannel(() => {});
+
+        expect(channel.handleMessage('hello')).toBe(false);
+        expect(channel.handleMessage({ type: 'log' })).toBe(false);
+    });
+
+    test('should reject pending calls on close', async () => {
+        const channel = new RpcChannel(() => {});
+        const call = channel.call({});
+
+        channel.close(new Error('gone'));
+
+        await expect(call).rejects.toThrow('gone');
+    });
+});
+
+describe('function runtime', () => {
+    test('should load handler exports', () => {
+        expect(typeof loadHandler(HANDLER)).toBe('function');
+        expect(() => loadHandler(path.join(__dirname, '..', 'lib', 'errors.js')))
+            .toThrow('must export a handler function');
+    });
+
+    test('should only transfer results that own their buffer', () => {
+        const whole = new Uint8Array(4);
+        expect(transferList(whole)).toEqual([whole.buffer]);
+        expect(transferList(new Uint8Array(whole.buffer, 1, 2))).toEqual([]);
+        expect(transferList({ a: 1 })).toEqual([]);
+    });
+
+    test('should answer invoke messages', async () => {
+        let listener;
+        const sent = [];
+        serveHandler(async payload => payload * 2, {
+            name: 'fn',
+            subscribe: fn => { listener = fn; },
+            send: message => sent.push(message)
+        });
+
+        await listener({ type: 'serverless:invoke', id: 7, payload: 21 });
+
+        expect(sent).toEqual([
+            { type: 'serverless:ready' },
+            { type: 'serverless:result', id: 7, result: 42 }
+        ]);
+    });
+});
+
+describe('WorkerManager function mode', () => {
+    let manager;
+
+    beforeEach(() => {
+        process.once = jest.fn();
+        process.removeListener = jest.fn();
+        manager = new WorkerManager({ mode: 'function', logger: false });
+    });
+
+    afterEach(async () => {
+        await manager.shutdown();
+    });
+
+    test('should call the handler in a worker thread', async () => {
+        const response = await manager.invoke({ args: [HANDLER], payload: { hello: 'world' } });
+
+        expect(response.result).toEqual({
+            echo: { hello: 'world' },
+            requestId: 1,
+            name: response.instance.name
+        });
+        expect(response.instance.port).toBeNull();
+        expect(manager.getPoolInfo().busy).toBe(0);
+    });
+
+    test('should transfer binary results', async () => {
+        const response = await manager.invoke({ args: [HANDLER], payload: { bytes: [1, 2, 3] } });
+
+        expect(response.result).toBeInstanceOf(Uint8Array);
+        expect([...response.result]).toEqual([1, 2, 3]);
+    });
+
+    test('should surface handler errors and keep the worker', async () => {
+        const err = await manager.invoke({ args: [HANDLER], payload: { fail: true } }).catch(e => e);
+
+        expect(err).toBeInstanceOf(HandlerError);
+        expect(err.errorCode).toBe('E_BAD');
+        expect(manager.getPoolInfo()).toMatchObject({ poolSize: 1, busy: 0 });
+    });
+
+    test('should time out slow handlers', async () => {
+        const err = await manager.invoke({ args: [HANDLER], payload: { sleep: 500 }, timeout: 20 }).catch(e => e);
+
+        expect(err).toBeInstanceOf(RequestTimeoutError);
+    });
+
+    test('should replace a worker whose handler timed out', async () => {
+        await manager.shutdown();
+        manager = new WorkerManager({ mode: 'function', maxPoolSize: 1, logger: false });
+
+        const err = await manager.invoke({ args: [HANDLER], payload: { spin: true }, timeout: 100 }).catch(e => e);
+        expect(err).toBeInstanceOf(RequestTimeoutError);
+        expect(manager.getPoolInfo().poolSize).toBe(0);
+
+        const response = await manager.invoke({ args: [HANDLER], payload: 1, timeout: 5000 });
+        expect(response.result).toMatchObject({ echo: 1 });
+        expect(manager.getPoolInfo()).toMatchObject({ poolSize: 1, busy: 0 });
+    });
+
+    test('should terminate workers that never become ready', async () => {
+        await manager.shutdown();
+        manager = new WorkerManager({ mode: 'function', workerTimeout: 200, logger: false });
+        const terminate = jest.spyOn(Worker.prototype, 'terminate');
+
+        try {
+            await expect(manager.createWorker(path.join(__dirname, 'fixtures', 'stuck.js'), null, 'stuck'))
+                .rejects.toBeInstanceOf(CreationTimeoutError);
+            expect(terminate).toHaveBeenCalledTimes(1);
+        } finally {
+            terminate.mockRestore();
+        }
+    });
+
+    test('should reject streamed invokes without holding the lease', async () => {
+        await manager.shutdown();
+        manager = new WorkerManager({ mode: 'function', maxPoolSize: 1, logger: false });
+
+        await expect(manager.invoke({ args: [HANDLER], stream: true })).rejects.toThrow('invoke it without stream: true');
+        expect(manager.getPoolInfo().busy).toBe(0);
+        await expect(manager.invoke({ args: [HANDLER], payload: 1 })).resolves.toMatchObject({ result: { echo: 1 } });
+    });
+});
+
+describe('ProcessManager function mode', () => {
+    let manager;
+
+    beforeEach(() => {
+        process.once = jest.fn();
+        process.removeListener = jest.fn();
+        manager = new ProcessManager({ mode: 'function', logger: false });
+    });
+
+    afterEach(async () => {
+        await manager.shutdown();
+    });
+
+    test('should call the handler in a forked process', async () => {
+        const response = await manager.invoke({ args: [HANDLER], payload: { hello: 'world' } });
+
+        expect(response.result).toEqual({
+            echo: { hello: 'world' },
+            requestId: 1,
+            name: response.instance.name
+        });
+        expect(response.instance.port).toBeNull();
+    });
+
+    test('should use IPC even when the host sets PORT', async () => {
+        const previous = process.env.PORT;
+        process.env.PORT = '3999';
+        try {
+            const response = await manager.invoke({ args: [HANDLER], payload: { n: 1 } });
+
+            expect(response.result.echo).toEqual({ n: 1 });
+        } finally {
+            if (previous === undefined) {
+                delete process.env.PORT;
+            } else {
+                process.env.PORT = previous;
+            }
+        }
+    });
+
+    test('should keep binary payloads intact', async () => {
+        const response = await manager.invoke({ args: [HANDLER], payload: { bytes: [4, 5] } });
+
+        expect([...response.result]).toEqual([4, 5]);
+    });
+
+    test('should surface handler errors', async () => {
+        await expect(manager.invoke({ args: [HANDLER], payload: { fail: true } }))
+            .rejects.toMatchObject({ code: 'HANDLER_ERROR', errorCode: 'E_BAD', message: 'bad input' });
+    });
+
+    test('should reject scripts without a handler', async () => {
+        const script = path.join(__dirname, '..', 'lib', 'errors.js');
+
+        await expect(manager.createInstance(script)).rejects.toThrow('before it was ready');
+    });
+});
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { serveHttp, buildEvent, sendResult } = require('../lib/runtime/http');
+const { RUNTIME_FILES, RUNTIME_ENTRY, readRuntimeFiles } = require('../lib/runtime');
+const { forwardRequest } = require('../lib/proxy');
+const ProcessManager = require('../lib/managers/process');
+const WorkerManager = require('../lib/managers/worker');
+
+const HANDLER = path.join(__dirname, 'fixtures', 'handler.js');
+
+function close(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+function fakeResponse() {
+    return {
+        writeHead: jest.fn(),
+        end: jest.fn()
+    };
+}
+
+describe('handler runtime', () => {
+    describe('buildEvent', () => {
+        test('should expose method, path, query, headers and parsed JSON body', () => {
+            const headers = { 'content-type': 'application/json' };
+            const event = buildEvent({ method: 'POST', url: '/orders?limit=2', headers }, Buffer.from('{"a":1}'));
+
+            expect(event).toEqual({ method: 'POST', path: '/orders', query: { limit: '2' }, headers, body: { a: 1 } });
+        });
+
+        test('should pass other bodies as text and omit empty ones', () => {
+            expect(buildEvent({ method: 'POST', url: '/', headers: {} }, Buffer.from('hi')).body).toBe('hi');
+            expect(buildEvent({ method: 'GET', url: '/', headers: {} }, Buffer.alloc(0)).body).toBeUndefined();
+        });
+    });
+
+    describe('sendResult', () => {
+        test('should send full responses as given', () => {
+            const res = fakeResponse();
+
+            sendResult(res, { statusCode: 201, headers: { 'x-id': '1' }, body: 'created' });
+
+            expect(res.writeHead).toHaveBeenCalledWith(201, { 'x-id': '1', 'content-type': 'text/plain; charset=utf-8' });
+            expect(res.end).toHaveBeenCalledWith('created');
+        });
+
+        test('should send plain values as JSON and undefined as 204', () => {
+            const json = fakeResponse();
+            sendResult(json, { total: 3 });
+            expect(json.writeHead).toHaveBeenCalledWith(200, { 'content-type': 'application/json' });
+            expect(json.end).toHaveBeenCalledWith('{"total":3}');
+
+            const empty = fakeResponse();
+            sendResult(empty, undefined);
+            expect(empty.writeHead).toHaveBeenCalledWith(204, {});
+        });
+    });
+
+    describe('serveHttp', () => {
+        let server;
+
+        afterEach(async () => {
+            await close(server);
+        });
+
+        test('should call the handler with the event and a context', async () => {
+            const handler = jest.fn(async event => ({ statusCode: 200, body: { got: event.body } }));
+            server = await serveHttp(handler, { port: 0, name: 'fn' });
+
+            const response = await forwardRequest(server.address().port, {
+                method: 'POST',
+                path: '/x',
+                headers: { 'content-type': 'application/json', 'x-request-id': 'req-1' },
+                body: '{"n":1}'
+            });
+
+            expect(JSON.parse(response.body.toString())).toEqual({ got: { n: 1 } });
+            expect(handler).toHaveBeenCalledWith(
+                expect.objectContaining({ method: 'POST', path: '/x' }),
+                { requestId: 'req-1', name: 'fn' }
+            );
+        });
+
+        test('should answer 500 when the handler throws and 400 for malformed JSON', async () => {
+            server = await serveHttp(async () => {
+                throw new Error('boom');
+            }, { port: 0, name: 'fn' });
+            const port = server.address().port;
+
+            const failed = await forwardRequest(port);
+            const malformed = await forwardRequest(port, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: '{'
+            });
+
+            expect(failed.status).toBe(500);
+            expect(JSON.parse(failed.body.toString())).toEqual({ error: 'boom', name: 'Error' });
+            expect(malformed.status).toBe(400);
+        });
+    });
+
+    test('should list every file the runtime needs', () => {
+        const files = readRuntimeFiles();
+
+        expect(Object.keys(files)).toEqual(RUNTIME_FILES);
+        expect(RUNTIME_FILES).toContain(path.basename(RUNTIME_ENTRY));
+        // Files copied into containers may only require each other and Node built-ins
+        for (const source of Object.values(files)) {
+            for (const [, request] of source.matchAll(/require\('([^']+)'\)/g)) {
+                expect(request.startsWith('..')).toBe(false);
+            }
+        }
+    });
+
+    describe('under the managers', () => {
+        let manager;
+
+        beforeEach(() => {
+            process.once = jest.fn();
+            process.removeListener = jest.fn();
+        });
+
+        afterEach(async () => {
+            await manager.shutdown();
+        });
+
+        test('should serve a handler over HTTP from a process', async () => {
+            manager = new ProcessManager({ handler: true, logger: false });
+
+            const response = await manager.invoke({ args: [HANDLER], path: '/hello?who=me' });
+
+            const { echo } = JSON.parse(response.body.toString());
+            expect(echo).toMatchObject({ method: 'GET', path: '/hello', query: { who: 'me' } });
+        });
+
+        test('should serve a handler over a Unix socket and remove it on shutdown', async () => {
+            manager = new ProcessManager({ handler: true, transport: 'socket', logger: false });
+
+            const response = await manager.invoke({ args: [HANDLER], path: '/sock' });
+            const { socketPath } = response.instance;
+
+            expect(JSON.parse(response.body.toString()).echo).toMatchObject({ path: '/sock' });
+            expect(response.instance).toEqual({ name: expect.stringMatching(/^process-sock-/), port: null, socketPath });
+            expect(fs.statSync(socketPath).isSocket()).toBe(true);
+
+            await manager.shutdown();
+            expect(fs.existsSync(socketPath)).toBe(false);
+        });
+
+        test('should serve a handler over HTTP from a worker', async () => {
+            manager = new WorkerManager({ handler: true, logger: false, readiness: { type: 'tcp', interval: 20 } });
+
+            const response = await manager.invoke({ args: [HANDLER], method: 'POST', body: 'text' });
+
+            expect(JSON.parse(response.body.toString()).echo).toMatchObject({ method: 'POST', body: 'text' });
+        });
+    });
+});
@@ -0,0 +1,121 @@
+const {
+    RoundRobinStrategy,
+    LeastConnectionsStrategy,
+    LeastRecentlyUsedStrategy,
+    RandomStrategy,
+    ConsistentHashStrategy,
+    createStrategy,
+} = require('../lib/strategies');
+
+describe('load balancing strategies', () => {
+    const candidates = [
+        { name: 'a', lastUsed: 300 },
+        { name: 'b', lastUsed: 100 },
+        { name: 'c', lastUsed: 200 }
+    ];
+    const noConnections = { getConnections: () => 0 };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('createStrategy', () => {
+        test('should default to round-robin', () => {
+            expect(createStrategy()).toBeInstanceOf(RoundRobinStrategy);
+        });
+
+        test('should create strategies by name', () => {
+            expect(createStrategy('least-connections')).toBeInstanceOf(LeastConnectionsStrategy);
+            expect(createStrategy('least-recently-used')).toBeInstanceOf(LeastRecentlyUsedStrategy);
+            expect(createStrategy('random')).toBeInstanceOf(RandomStrategy);
+            expect(createStrategy('consistent-hash', { replicas: 10 }).replicas).toBe(10);
+        });
+
+        test('should accept custom strategy objects', () => {
+            const custom = { select: candidates => candidates[0] };
+            expect(createStrategy(custom)).toBe(custom);
+        });
+
+        test('should throw for unknown strategies', () => {
+            expect(() => createStrategy('fastest')).toThrow('Unknown load balancing strategy "fastest"');
+        });
+    });
+
+    test('round-robin should cycle through candidates', () => {
+        const strategy = new RoundRobinStrategy();
+        const picks = [1, 2, 3, 4].map(() => strategy.select(candidates, noConnections).name);
+
+        expect(picks).toEqual(['a', 'b', 'c', 'a']);
+    });
+
+    test('least-connections should pick the candidate with fewest connections', () => {
+        const strategy = new LeastConnectionsStrategy();
+        const connections = { a: 2, b: 1, c: 3 };
+
+        const selected = strategy.select(candidates, { getConnections: c => connections[c.name] });
+
+        expect(selected.name).toBe('b');
+    });
+
+    test('least-connections should rotate between candidates with as few connections', () => {
+        const strategy = new LeastConnectionsStrategy();
+        const connections = { a: 0, b: 1, c: 0 };
+        const context = { getConnections: c => connections[c.name] };
+
+        const selected = [1, 2, 3, 4].map(() => strategy.select(candidates, context).name);
+
+        expect(selected).toEqual(['a', 'c', 'a', 'c']);
+        expect([1, 2, 3].map(() => strategy.select(candidates, noConnections).name)).toEqual(['b', 'c', 'a']);
+    });
+
+    test('least-recently-used should pick the oldest lastUsed', () => {
+        expect(new LeastRecentlyUsedStrategy().select(candidates).name).toBe('b');
+    });
+
+    test('random should use Math.random', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.99);
+
+        expect(new RandomStrategy().select(candidates).name).toBe('c');
+    });
+
+    describe('consistent-hash', () => {
+        test('should map the same key to the same candidate', () => {
+            const strategy = new ConsistentHashStrategy();
+            const first = strategy.select(candidates, { key: 'user-42' });
+
+            for (let i = 0; i < 5; i++) {
+                expect(strategy.select(candidates, { key: 'user-42' })).toBe(first);
+            }
+        });
+
+        test('should spread different keys across candidates', () => {
+            const strategy = new ConsistentHashStrategy();
+            const names = new Set();
+            for (let i = 0; i < 50; i++) {
+                names.add(strategy.select(candidates, { key: `user-${i}` }).name);
+            }
+
+            expect(names.size).toBe(3);
+        });
+
+        test('should only remap keys owned by a removed candidate', () => {
+            const strategy = new ConsistentHashStrategy();
+            const keys = Array.from({ length: 50 }, (_, i) => `user-${i}`);
+            const before = keys.map(key => strategy.select(candidates, { key }).name);
+            const after = keys.map(key => strategy.select(candidates.slice(0, 2), { key }).name);
+
+            keys.forEach((key, i) => {
+                if (before[i] !== 'c') {
+                    expect(after[i]).toBe(before[i]);
+                }
+            });
+        });
+
+        test('should fall back to round-robin without a key', () => {
+            const strategy = new ConsistentHashStrategy();
+
+            expect(strategy.select(candidates, {}).name).toBe('a');
+            expect(strategy.select(candidates, {}).name).toBe('b');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { withSpan, instanceAttributes, noopSpan } = require('../lib/tracing');
+const { FakeManager } = require('./helpers');
+
+// Minimal stand-in for an OpenTelemetry tracer that records finished spans
+function createTracer() {
+    const spans = [];
+    const context = new AsyncLocalStorage();
+    return {
+        spans,
+        startActiveSpan(name, options, fn) {
+            const span = {
+                name,
+                parent: context.getStore() ? context.getStore().name : null,
+                attributes: { ...options.attributes },
+                exceptions: [],
+                status: null,
+                ended: false,
+                setAttribute(key, value) {
+                    this.attributes[key] = value;
+                    return this;
+                },
+                setAttributes(attributes) {
+                    Object.assign(this.attributes, attributes);
+                    return this;
+                },
+                recordException(err) {
+                    this.exceptions.push(err);
+                },
+                setStatus(status) {
+                    this.status = status;
+                    return this;
+                },
+                end() {
+                    this.ended = true;
+                    spans.push(this);
+                }
+            };
+            return context.run(span, () => fn(span));
+        }
+    };
+}
+
+describe('tracing', () => {
+    beforeEach(() => {
+        process.once = jest.fn();
+        process.removeListener = jest.fn();
+    });
+
+    describe('withSpan', () => {
+        test('should run the function with a no-op span when no tracer is set', async () => {
+            const fn = jest.fn(async () => 'result');
+
+            await expect(withSpan(null, 'op', {}, fn)).resolves.toBe('result');
+            expect(fn).toHaveBeenCalledWith(noopSpan);
+        });
+
+        test('should record exceptions and end the span', async () => {
+            const tracer = createTracer();
+
+            await expect(withSpan(tracer, 'op', { a: 1 }, async () => {
+                throw new Error('boom');
+            })).rejects.toThrow('boom');
+
+            expect(tracer.spans[0]).toMatchObject({
+                name: 'op',
+                attributes: { a: 1 },
+                status: { code: 2, message: 'boom' },
+                ended: true
+            });
+            expect(tracer.spans[0].exceptions[0].message).toBe('boom');
+        });
+    });
+
+    test('instanceAttributes should describe name and port', () => {
+        expect(instanceAttributes({ name: 'pod-1', port: 8080 })).toEqual({
+            'serverless.instance.name': 'pod-1',
+            'serverless.instance.port': 8080
+        });
+        expect(instanceAttributes(null)).toEqual({});
+    });
+
+    test('managers should trace getOrCreate, create and terminate', async () => {
+        const tracer = createTracer();
+        const manager = new FakeManager({ logger: false, tracer }, { backend: 'fake' });
+        manager.terminateInstance = async () => {
+            throw new Error('stuck');
+        };
+
+        await manager.getOrCreateInstance();
+        await manager.shutdown();
+
+        const byName = Object.fromEntries(tracer.spans.map(span => [span.name, span]));
+        expect(byName['create fake']).toMatchObject({
+            parent: 'getOrCreate fake',
+            attributes: {
+                'serverless.backend': 'fake',
+                'serverless.instance.name': 'fake-1',
+                'serverless.instance.port': 7001
+            }
+        });
+        expect(byName['getOrCreate fake'].attributes['serverless.instance.name']).toBe('fake-1');
+        expect(byName['terminate fake'].status).toEqual({ code: 2, message: 'stuck' });
+    });
+});
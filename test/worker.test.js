@@ -1,6 +1,7 @@
 const WorkerManager = require('../lib/managers/worker');
 const { getAvailablePort } = require('../lib/utils/port');
 const { Worker } = require('worker_threads');
+const { ScriptNotFoundError, CreationTimeoutError } = require('../lib/errors');
 
 // Mock dependencies
 jest.mock('worker_threads');
@@ -28,7 +29,7 @@ describe('WorkerManager', () => {
         
         // Mock process event listeners
         process.once = jest.fn();
-        process.removeAllListeners = jest.fn();
+        process.removeListener = jest.fn();
         
         // Create fresh instance
         workerManager = new WorkerManager();
@@ -176,8 +177,7 @@ describe('WorkerManager', () => {
             await new Promise(resolve => setImmediate(resolve));
             
             expect(consoleErrorSpy).toHaveBeenCalledWith(
-                'Error stopping worker test-worker:',
-                'Termination failed'
+                'Error stopping worker test-worker: Termination failed'
             );
             
             consoleErrorSpy.mockRestore();
@@ -290,7 +290,7 @@ describe('WorkerManager', () => {
             consoleSpy.mockRestore();
         });
 
-        test('should return random worker from pool when pool is full', async () => {
+        test('should return round-robin worker from pool when pool is full', async () => {
             // Fill the pool to max capacity
             workerManager.workerPool = [
                 { name: 'worker-1', port: 8001, worker: { threadId: 1 } },
@@ -298,16 +298,25 @@ describe('WorkerManager', () => {
                 { name: 'worker-3', port: 8003, worker: { threadId: 3 } }
             ];
             
-            // Mock Date.now to control round-robin selection
-            const originalDateNow = Date.now;
-            Date.now = jest.fn().mockReturnValue(2000); // Should select index 2000 % 3 = 2
+            const first = await workerManager.getOrCreateWorkerInPool('./examples/scripts/index.js');
+            const second = await workerManager.getOrCreateWorkerInPool('./examples/scripts/index.js');
             
-            const result = await workerManager.getOrCreateWorkerInPool('./examples/scripts/index.js');
-            
-            expect(result).toBe(workerManager.workerPool[2]);
+            expect(first).toBe(workerManager.workerPool[0]);
+            expect(second).toBe(workerManager.workerPool[1]);
             expect(Worker).not.toHaveBeenCalled();
+        });
+
+        test('should use the configured load balancing strategy', async () => {
+            workerManager = new WorkerManager({ strategy: 'least-recently-used' });
+            workerManager.workerPool = [
+                { name: 'worker-1', port: 8001, worker: { threadId: 1 }, lastUsed: 300 },
+                { name: 'worker-2', port: 8002, worker: { threadId: 2 }, lastUsed: 100 },
+                { name: 'worker-3', port: 8003, worker: { threadId: 3 }, lastUsed: 200 }
+            ];
             
-            Date.now = originalDateNow;
+            const result = await workerManager.getOrCreateWorkerInPool('./examples/scripts/index.js');
+            
+            expect(result.name).toBe('worker-2');
         });
 
         test('should throw error if worker creation fails and pool is empty', async () => {
@@ -363,6 +372,17 @@ describe('WorkerManager', () => {
                 .rejects.toThrow('Script path is required');
         });
 
+        test('should throw ScriptNotFoundError if script path does not exist', async () => {
+            const promise = workerManager.getOrCreateWorkerInPool('./missing-script.js');
+
+            await expect(promise).rejects.toBeInstanceOf(ScriptNotFoundError);
+            await expect(promise).rejects.toMatchObject({
+                code: 'SCRIPT_NOT_FOUND',
+                backend: 'worker',
+                scriptPath: './missing-script.js'
+            });
+        });
+
         test('should throw error if shutting down', async () => {
             workerManager.isShuttingDown = true;
             
@@ -416,7 +436,8 @@ describe('WorkerManager', () => {
         });
 
         test('should handle worker messages', async () => {
-            const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+            const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+            workerManager.logger = logger;
             
             // Mock worker events - store callbacks to trigger them in order
             let onlineCallback, messageCallback;
@@ -441,9 +462,10 @@ describe('WorkerManager', () => {
             // Wait for message to be processed
             await new Promise(resolve => setImmediate(resolve));
             
-            expect(consoleSpy).toHaveBeenCalledWith('worker test-worker message:', 'Test message');
-            
-            consoleSpy.mockRestore();
+            expect(logger.debug).toHaveBeenCalledWith(
+                { name: 'test-worker', port: 8080, msg: 'Test message' },
+                'worker test-worker message: "Test message"'
+            );
         });
 
         test('should handle worker errors after creation', async () => {
@@ -474,8 +496,7 @@ describe('WorkerManager', () => {
             await new Promise(resolve => setImmediate(resolve));
             
             expect(consoleErrorSpy).toHaveBeenCalledWith(
-                'worker test-worker error:',
-                runtimeError
+                `worker test-worker error: ${runtimeError.message}`
             );
             
             consoleErrorSpy.mockRestore();
@@ -517,6 +538,89 @@ describe('WorkerManager', () => {
             
             consoleSpy.mockRestore();
         });
+
+        test('should reject when the worker exits before it is ready', async () => {
+            jest.spyOn(console, 'log').mockImplementation();
+            mockWorker.on.mockImplementation((event, callback) => {
+                if (event === 'exit') {
+                    setImmediate(() => callback(1));
+                }
+            });
+
+            await expect(workerManager.createWorker('./examples/scripts/index.js', 8080, 'test-worker'))
+                .rejects.toThrow('worker test-worker exited with code 1 before it was ready');
+        });
+    });
+
+    describe('function mode', () => {
+        let functionManager;
+        let callbacks;
+
+        beforeEach(() => {
+            functionManager = new WorkerManager({ mode: 'function' });
+            callbacks = {};
+            mockWorker.postMessage = jest.fn();
+            mockWorker.on.mockImplementation((event, callback) => {
+                callbacks[event] = callback;
+            });
+        });
+
+        test('should reject unknown modes', () => {
+            expect(() => new WorkerManager({ mode: 'grpc' }))
+                .toThrow('Unknown worker mode "grpc". Available: http, function');
+        });
+
+        test('should start the function runtime without allocating a port', async () => {
+            const creating = functionManager.createInstance('./examples/scripts/index.js');
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(getAvailablePort).not.toHaveBeenCalled();
+            expect(Worker).toHaveBeenCalledWith(
+                require.resolve('../lib/runtime/bootstrap'),
+                expect.objectContaining({
+                    workerData: {
+                        scriptPath: require('path').resolve('./examples/scripts/index.js'),
+                        name: expect.stringMatching(/^worker-fn-1-/)
+                    }
+                })
+            );
+
+            // Ready only once the handler is loaded, not when the thread is online
+            callbacks.online();
+            callbacks.message({ type: 'serverless:ready' });
+            const info = await creating;
+
+            expect(info.port).toBeNull();
+            expect(info.channel).toBeDefined();
+        });
+
+        test('should call the handler through postMessage', async () => {
+            const creating = functionManager.createWorker('./handler.js', null, 'fn-worker');
+            callbacks.message({ type: 'serverless:ready' });
+            const info = await creating;
+            const transfer = [new ArrayBuffer(8)];
+
+            const call = functionManager.callInstance(info, { payload: { a: 1 }, transfer }, { timeout: 1000 });
+
+            expect(mockWorker.postMessage).toHaveBeenCalledWith(
+                { type: 'serverless:invoke', id: 1, payload: { a: 1 } },
+                transfer
+            );
+            callbacks.message({ type: 'serverless:result', id: 1, result: 'done' });
+            await expect(call).resolves.toEqual({ result: 'done' });
+        });
+
+        test('should fail pending calls when the worker exits', async () => {
+            jest.spyOn(console, 'log').mockImplementation();
+            const creating = functionManager.createWorker('./handler.js', null, 'fn-worker');
+            callbacks.message({ type: 'serverless:ready' });
+            const info = await creating;
+
+            const call = functionManager.callInstance(info, { payload: 1 }, {});
+            callbacks.exit(1);
+
+            await expect(call).rejects.toThrow('worker fn-worker exited with code 1');
+        });
     });
 
     describe('getPoolInfo', () => {
@@ -530,9 +634,14 @@ describe('WorkerManager', () => {
             
             expect(info).toEqual({
                 poolSize: 2,
+                minPoolSize: 0,
                 maxPoolSize: 3,
+                busy: 0,
+                idle: 2,
+                waiting: 0,
                 isShuttingDown: false,
                 watcherStarted: false,
+                functions: [],
                 workers: [
                     { name: 'worker-1', port: 8001, createdAt: undefined, lastUsed: undefined, alive: true },
                     { name: 'worker-2', port: 8002, createdAt: undefined, lastUsed: undefined, alive: true }
@@ -545,9 +654,14 @@ describe('WorkerManager', () => {
             
             expect(info).toEqual({
                 poolSize: 0,
+                minPoolSize: 0,
                 maxPoolSize: 3,
+                busy: 0,
+                idle: 0,
+                waiting: 0,
                 isShuttingDown: false,
                 watcherStarted: false,
+                functions: [],
                 workers: []
             });
         });
@@ -608,8 +722,7 @@ describe('WorkerManager', () => {
             await workerManager.stopAllWorkers();
             
             expect(consoleErrorSpy).toHaveBeenCalledWith(
-                'Error stopping worker worker-1:',
-                'Termination failed'
+                'Error stopping worker worker-1: Termination failed'
             );
             expect(workerManager.workerPool).toEqual([]);
             
@@ -629,16 +742,16 @@ describe('WorkerManager', () => {
             const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
             workerManager.watcherInterval = 'mock-interval';
             global.clearInterval = jest.fn();
-            jest.spyOn(workerManager, 'stopAllWorkers').mockResolvedValue();
+            jest.spyOn(workerManager, 'stopAllInstances').mockResolvedValue();
             
             await workerManager.shutdown();
             
             expect(workerManager.isShuttingDown).toBe(true);
             expect(global.clearInterval).toHaveBeenCalledWith('mock-interval');
-            expect(workerManager.stopAllWorkers).toHaveBeenCalled();
-            expect(process.removeAllListeners).toHaveBeenCalledWith('SIGINT');
-            expect(process.removeAllListeners).toHaveBeenCalledWith('SIGTERM');
-            expect(process.removeAllListeners).toHaveBeenCalledWith('beforeExit');
+            expect(workerManager.stopAllInstances).toHaveBeenCalled();
+            expect(process.removeListener).toHaveBeenCalledWith('SIGINT', expect.any(Function));
+            expect(process.removeListener).toHaveBeenCalledWith('SIGTERM', expect.any(Function));
+            expect(process.removeListener).toHaveBeenCalledWith('beforeExit', expect.any(Function));
             expect(consoleSpy).toHaveBeenCalledWith('WorkerManager shutting down...');
             expect(consoleSpy).toHaveBeenCalledWith('WorkerManager shutdown complete');
             
@@ -647,11 +760,11 @@ describe('WorkerManager', () => {
 
         test('should not shutdown twice', async () => {
             workerManager.isShuttingDown = true;
-            jest.spyOn(workerManager, 'stopAllWorkers').mockResolvedValue();
+            jest.spyOn(workerManager, 'stopAllInstances').mockResolvedValue();
             
             await workerManager.shutdown();
             
-            expect(workerManager.stopAllWorkers).not.toHaveBeenCalled();
+            expect(workerManager.stopAllInstances).not.toHaveBeenCalled();
         });
     });
 
@@ -726,8 +839,7 @@ describe('WorkerManager', () => {
             
             expect(mockWorker.kill).toHaveBeenCalled();
             expect(consoleErrorSpy).toHaveBeenCalledWith(
-                'Error stopping worker test-worker:',
-                'Worker termination timeout'
+                'Error stopping worker test-worker: Worker termination timeout'
             );
             
             consoleErrorSpy.mockRestore();
@@ -777,6 +889,7 @@ describe('WorkerManager', () => {
             jest.advanceTimersByTime(30100);
             
             await expect(createPromise).rejects.toThrow('Worker creation timeout after 30000ms');
+            await expect(createPromise).rejects.toBeInstanceOf(CreationTimeoutError);
             
             jest.useRealTimers();
         });